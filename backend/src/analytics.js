@@ -0,0 +1,84 @@
+const { ValidationError } = require('./errors');
+
+// Helpers for the /analytics routes, which report on search_history and search_clicks.
+// A search counts as clicked when at least one of its results was opened; the click-through
+// rate is the share of searches that were clicked.
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const INTERVALS = ['day', 'week'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The reporting window from ?days=: the last N days including today (UTC), as { days, since }.
+// since is midnight on the first day, formatted like searched_at (SQLite's CURRENT_TIMESTAMP).
+function parseWindow(value, now = new Date()) {
+    let days = DEFAULT_DAYS;
+    if (value !== undefined && value !== '') {
+        days = Number(value);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+            throw new ValidationError(`days must be a whole number from 1 to ${MAX_DAYS}`);
+        }
+    }
+
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const first = new Date(today - (days - 1) * DAY_MS);
+    return { days, since: `${isoDate(first)} 00:00:00` };
+}
+
+function parseInterval(value) {
+    if (value === undefined || value === '') {
+        return 'day';
+    }
+    if (!INTERVALS.includes(value)) {
+        throw new ValidationError(`interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+    return value;
+}
+
+// One row per period from the start of the window to today, with zeros where nobody searched.
+// Weeks start on Monday, as in Database.getSearchVolume.
+function fillVolume(rows, since, interval, now = new Date()) {
+    const byPeriod = new Map(rows.map(row => [row.period, row]));
+    const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+
+    let time = Date.parse(`${since.slice(0, 10)}T00:00:00Z`);
+    if (interval === 'week') {
+        time -= ((new Date(time).getUTCDay() + 6) % 7) * DAY_MS;
+    }
+
+    const series = [];
+    for (; time <= now.getTime(); time += step) {
+        const period = isoDate(new Date(time));
+        const row = byPeriod.get(period);
+        series.push({
+            period,
+            searches: row ? row.searches : 0,
+            zeroResultSearches: row ? row.zeroResultSearches : 0
+        });
+    }
+    return series;
+}
+
+// Add the click-through rate (and zero-result rate) to rows counting searches
+function withRates(row) {
+    return {
+        ...row,
+        clickThroughRate: rate(row.searchesWithClicks, row.searches),
+        ...(row.zeroResultSearches !== undefined && { zeroResultRate: rate(row.zeroResultSearches, row.searches) })
+    };
+}
+
+function rate(count, total) {
+    return total > 0 ? Math.round(count / total * 1000) / 1000 : 0;
+}
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    parseWindow,
+    parseInterval,
+    fillVolume,
+    withRates
+};
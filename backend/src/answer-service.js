@@ -0,0 +1,108 @@
+const { createChatProvider } = require('./chat-providers');
+
+const SYSTEM_PROMPT = [
+    'You answer questions using only the numbered sources provided.',
+    'Cite every statement with the number of the source it comes from, in square brackets, e.g. [1] or [2][3].',
+    'If the sources do not contain the answer, say so instead of guessing.'
+].join(' ');
+
+// Retrieval-augmented question answering: retrieve passages with the SearchService,
+// hand them to a chat model as numbered sources, and map the model's [n] markers
+// back to documents and character ranges.
+class AnswerService {
+    constructor(searchService) {
+        this.searchService = searchService;
+        this.maxPassages = parseInt(process.env.ASK_MAX_PASSAGES) || 5;
+        this.chat = null; // Chat provider, null when question answering is off
+
+        try {
+            this.chat = createChatProvider();
+        } catch (error) {
+            console.warn('Chat provider not available:', error.message);
+        }
+
+        if (this.chat) {
+            console.log(`✅ Question answering enabled with ${this.chat.id}`);
+        } else {
+            console.log('⚠️ No chat provider configured (set CHAT_PROVIDER=local for offline use). /ask is disabled.');
+        }
+    }
+
+    // Number the passages so the model can refer to them
+    toSources(passages) {
+        return passages.map((passage, index) => ({ number: index + 1, ...passage }));
+    }
+
+    buildMessages(question, sources) {
+        const context = sources
+            .map(source => `[${source.number}] ${source.filename}\n${source.text}`)
+            .join('\n\n');
+
+        return [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: `Sources:\n\n${context}\n\nQuestion: ${question}` }
+        ];
+    }
+
+    // Sources the answer actually cites, in order of first citation
+    citationsFor(answer, sources) {
+        const byNumber = new Map(sources.map(source => [source.number, source]));
+        const cited = new Map();
+
+        for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+            for (const number of match[1].split(',').map(value => parseInt(value, 10))) {
+                if (byNumber.has(number) && !cited.has(number)) {
+                    cited.set(number, byNumber.get(number));
+                }
+            }
+        }
+
+        return Array.from(cited.values());
+    }
+
+    // Yields { type: 'sources' }, then { type: 'delta' } per piece of text, then { type: 'done' }
+    async *stream(question, options = {}) {
+        if (!this.chat) {
+            throw new Error('No chat provider configured for question answering');
+        }
+
+        const { mode, passages } = await this.searchService.retrievePassages(question, {
+            limit: options.limit || this.maxPassages,
+            mode: options.mode,
+            workspaceId: options.workspaceId
+        });
+        const sources = this.toSources(passages);
+        yield { type: 'sources', mode, sources };
+
+        let answer = '';
+        if (sources.length === 0) {
+            answer = 'No documents matched this question, so there is nothing to answer from.';
+            yield { type: 'delta', text: answer };
+        } else {
+            for await (const text of this.chat.stream(this.buildMessages(question, sources))) {
+                answer += text;
+                yield { type: 'delta', text };
+            }
+        }
+
+        yield { type: 'done', answer, model: this.chat.id, citations: this.citationsFor(answer, sources) };
+    }
+
+    // Non-streaming variant: collect the whole answer
+    async answer(question, options = {}) {
+        const result = { question };
+        for await (const event of this.stream(question, options)) {
+            if (event.type === 'sources') {
+                result.mode = event.mode;
+                result.sources = event.sources;
+            } else if (event.type === 'done') {
+                result.answer = event.answer;
+                result.model = event.model;
+                result.citations = event.citations;
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = AnswerService;
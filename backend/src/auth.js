@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ValidationError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const API_KEY_PREFIX = 'ksk_';
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Local accounts, sessions and API keys. Passwords are hashed with scrypt; session tokens
+// and API keys are random and only their SHA-256 is stored, so a leaked database cannot
+// be replayed. Browsers get the session token as an HttpOnly cookie, scripts send it as
+// "Authorization: Bearer <token>" or use an API key in "X-API-Key".
+class AuthService {
+    constructor(database) {
+        this.db = database;
+        this.sessionTtlMs = (parseFloat(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+        this.allowRegistration = process.env.ALLOW_REGISTRATION === 'true';
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+        const { N, r, p } = SCRYPT_PARAMS;
+        return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, N, r, p, salt, hash] = stored.split('$');
+        if (scheme !== 'scrypt') {
+            return false;
+        }
+        const expected = Buffer.from(hash, 'base64');
+        const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+            N: Number(N), r: Number(r), p: Number(p)
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Create an account with a personal workspace. The first account becomes the admin and
+    // takes over documents uploaded before authentication existed; later ones need
+    // ALLOW_REGISTRATION=true, so a fresh server only lets its admin sign up.
+    async register(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new ValidationError('username must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new ValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+
+        if (await this.db.getUserByUsername(username)) {
+            throw new ValidationError('username is already taken');
+        }
+
+        let user;
+        try {
+            user = await this.db.createUser({
+                username,
+                passwordHash: await this.hashPassword(password),
+                firstOnly: !this.allowRegistration
+            });
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                throw new ValidationError('username is already taken'); // Taken meanwhile
+            }
+            throw error;
+        }
+        if (!user) {
+            throw new ValidationError('Registration is disabled');
+        }
+
+        const isFirstUser = user.role === 'admin';
+        const workspace = await this.db.createWorkspace(username, user.id);
+        if (isFirstUser) {
+            const claimed = await this.db.assignUnownedDocuments(user.id, workspace.id);
+            console.log(`👤 First user ${username} is the admin and owns ${claimed} existing documents`);
+        }
+        return user;
+    }
+
+    // Resolves to { token, expiresAt, user }, or null for a wrong username or password
+    async login(username, password) {
+        const row = typeof username === 'string' ? await this.db.getUserByUsername(username) : null;
+        if (!row || typeof password !== 'string' || !await this.verifyPassword(password, row.passwordHash)) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+        await this.db.createSession(this.hashToken(token), row.id, expiresAt);
+        return { token, expiresAt, user: toUser(row) };
+    }
+
+    async logout(token) {
+        await this.db.deleteSession(this.hashToken(token));
+    }
+
+    // The user behind a session token, or null when it is unknown or expired
+    async userForSession(token) {
+        const row = await this.db.getSessionUser(this.hashToken(token), new Date().toISOString());
+        return row ? toUser(row) : null;
+    }
+
+    async userForApiKey(key) {
+        if (!key.startsWith(API_KEY_PREFIX)) {
+            return null;
+        }
+        const row = await this.db.useApiKey(this.hashToken(key), new Date().toISOString());
+        return row ? toUser(row) : null;
+    }
+
+    // Resolves to { key, apiKey }; the key itself is only ever shown here
+    async createApiKey(userId, name) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+            throw new ValidationError('name is required (up to 100 characters)');
+        }
+
+        const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const apiKey = await this.db.createApiKey({
+            userId,
+            name: name.trim(),
+            prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            keyHash: this.hashToken(key)
+        });
+        return { key, apiKey };
+    }
+}
+
+function toUser(row) {
+    return { id: row.id, username: row.username, role: row.role, createdAt: row.createdAt };
+}
+
+module.exports = AuthService;
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Content-addressed store for original uploads. Each file is saved once under its SHA-256
+// (blobs/ab/cd/abcd...), so identical uploads and unchanged versions share one copy.
+// Documents reference blobs by hash; unreferenced blobs are removed by the caller.
+class BlobStore {
+    constructor(rootDir = process.env.BLOB_STORE_DIR || path.join(__dirname, '..', 'data', 'blobs')) {
+        this.rootDir = rootDir;
+    }
+
+    pathFor(hash) {
+        if (!HASH_PATTERN.test(hash)) {
+            throw new Error(`Invalid blob hash: ${hash}`);
+        }
+        return path.join(this.rootDir, hash.slice(0, 2), hash.slice(2, 4), hash);
+    }
+
+    // Copy a file into the store; resolves to { hash, size }
+    async put(filePath) {
+        const hash = await this.hashFile(filePath);
+        const target = this.pathFor(hash);
+
+        if (!await this.exists(hash)) {
+            await fsp.mkdir(path.dirname(target), { recursive: true });
+            // Write beside the target and rename, so a crash never leaves a partial blob under its hash
+            const partial = `${target}.${process.pid}.${Date.now()}.partial`;
+            await fsp.copyFile(filePath, partial);
+            await fsp.rename(partial, target);
+        }
+
+        const stats = await fsp.stat(target);
+        return { hash, size: stats.size };
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('error', reject)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    async exists(hash) {
+        try {
+            await fsp.access(this.pathFor(hash));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async remove(hash) {
+        try {
+            await fsp.unlink(this.pathFor(hash));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Failed to remove blob ${hash}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = BlobStore;
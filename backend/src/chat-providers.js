@@ -0,0 +1,185 @@
+const { tokenize, isStopWord } = require('./tokenizer');
+
+// Every chat provider exposes the same shape:
+//   id                 - identifier reported with answers (e.g. "openai:gpt-4o-mini")
+//   stream(messages)   - async iterator of text deltas for an OpenAI-style message list
+
+// OpenAI chat completions through the official SDK
+class OpenAIChatProvider {
+    constructor({ apiKey, model = 'gpt-4o-mini', temperature = 0.2 }) {
+        const { OpenAI } = require('openai');
+        this.client = new OpenAI({ apiKey });
+        this.model = model;
+        this.temperature = temperature;
+        this.id = `openai:${model}`;
+    }
+
+    async *stream(messages) {
+        const stream = await this.client.chat.completions.create({
+            model: this.model,
+            temperature: this.temperature,
+            messages,
+            stream: true
+        });
+
+        for await (const part of stream) {
+            const delta = part.choices[0] && part.choices[0].delta && part.choices[0].delta.content;
+            if (delta) {
+                yield delta;
+            }
+        }
+    }
+}
+
+// Any server that speaks the OpenAI /chat/completions protocol with server-sent events
+class HttpChatProvider {
+    constructor({ baseUrl, apiKey, model, temperature = 0.2, timeoutMs = 120000 }) {
+        if (!baseUrl) {
+            throw new Error('CHAT_API_URL is required for the http chat provider');
+        }
+
+        this.endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.temperature = temperature;
+        this.timeoutMs = timeoutMs;
+        this.id = `http:${model || 'default'}`;
+    }
+
+    async *stream(messages) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: this.model, temperature: this.temperature, messages, stream: true }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Chat endpoint returned ${response.status} ${response.statusText}`);
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.startsWith('data:') ? line.slice(5).trim() : null;
+                if (!data || data === '[DONE]') {
+                    continue;
+                }
+
+                const part = JSON.parse(data);
+                const delta = part.choices && part.choices[0] && part.choices[0].delta && part.choices[0].delta.content;
+                if (delta) {
+                    yield delta;
+                }
+            }
+        }
+    }
+}
+
+// Offline stand-in that needs no model: quotes the sentence from each source that best
+// overlaps the question and cites it. Deterministic, so /ask can be tested without network.
+class LocalChatProvider {
+    constructor() {
+        this.id = 'local:extractive';
+    }
+
+    async *stream(messages) {
+        const question = messages.filter(message => message.role === 'user').pop();
+        const { sources, query } = parsePrompt(question ? question.content : '');
+        const queryTerms = new Set(tokenize(query).filter(term => !isStopWord(term)));
+
+        const sentences = sources.map(source => ({ number: source.number, ...bestSentence(source.text, queryTerms) }))
+            .filter(sentence => sentence.overlap > 0)
+            .sort((a, b) => b.overlap - a.overlap)
+            .slice(0, 3);
+
+        const answer = sentences.length === 0
+            ? 'The provided sources do not contain an answer to this question.'
+            : sentences.map(sentence => `${sentence.text} [${sentence.number}]`).join(' ');
+
+        // Emit word by word so streaming behaves like a real provider
+        for (const word of answer.split(/(?<=\s)/)) {
+            yield word;
+        }
+    }
+}
+
+// Recover the numbered sources and the question from the prompt built by AnswerService
+function parsePrompt(content) {
+    const sources = [];
+    const pattern = /^\[(\d+)\] [^\n]*\n([\s\S]*?)(?=\n\[\d+\] |\nQuestion: |$)/gm;
+    for (const match of content.matchAll(pattern)) {
+        sources.push({ number: parseInt(match[1], 10), text: match[2].trim() });
+    }
+
+    const questionMatch = /\nQuestion: ([\s\S]*)$/.exec(content);
+    return { sources, query: questionMatch ? questionMatch[1].trim() : content };
+}
+
+function bestSentence(text, queryTerms) {
+    let best = { text: '', overlap: 0 };
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+        const overlap = new Set(tokenize(sentence).filter(term => queryTerms.has(term))).size;
+        if (overlap > best.overlap) {
+            best = { text: sentence.trim().replace(/\s+/g, ' '), overlap };
+        }
+    }
+    return best;
+}
+
+function hasOpenAIKey(env) {
+    return Boolean(env.OPENAI_API_KEY &&
+        env.OPENAI_API_KEY !== 'your_openai_api_key_here' &&
+        env.OPENAI_API_KEY.trim() !== '');
+}
+
+// Pick a backend from CHAT_PROVIDER (openai | http | local | none).
+// When unset, OpenAI is used if a key is configured, otherwise question answering is off.
+function createChatProvider(env = process.env) {
+    const name = (env.CHAT_PROVIDER || (hasOpenAIKey(env) ? 'openai' : 'none')).toLowerCase();
+    const temperature = env.CHAT_TEMPERATURE !== undefined ? parseFloat(env.CHAT_TEMPERATURE) : 0.2;
+
+    switch (name) {
+        case 'openai':
+            if (!hasOpenAIKey(env)) {
+                throw new Error('OPENAI_API_KEY is required for the openai chat provider');
+            }
+            return new OpenAIChatProvider({
+                apiKey: env.OPENAI_API_KEY,
+                model: env.CHAT_MODEL || 'gpt-4o-mini',
+                temperature
+            });
+        case 'http':
+            return new HttpChatProvider({
+                baseUrl: env.CHAT_API_URL,
+                apiKey: env.CHAT_API_KEY,
+                model: env.CHAT_MODEL,
+                temperature,
+                timeoutMs: parseInt(env.CHAT_TIMEOUT_MS) || 120000
+            });
+        case 'local':
+            return new LocalChatProvider();
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown chat provider: ${name}. Use openai, http, local or none.`);
+    }
+}
+
+module.exports = {
+    createChatProvider,
+    OpenAIChatProvider,
+    HttpChatProvider,
+    LocalChatProvider
+};
@@ -0,0 +1,61 @@
+const { ValidationError } = require('./errors');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Named collections of documents. Each belongs to one workspace, whose editors manage it;
+// it can hold the workspace's own documents as well as those shared into it.
+class CollectionService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    async create(workspaceId, body, userId) {
+        const fields = parseFields(body, true);
+        await this.ensureUniqueName(workspaceId, fields.name);
+        return this.db.createCollection(workspaceId, fields, userId);
+    }
+
+    async update(collection, body) {
+        const fields = parseFields(body, false);
+        if (Object.keys(fields).length === 0) {
+            throw new ValidationError('Nothing to update. Send name or description');
+        }
+        if (fields.name !== undefined) {
+            await this.ensureUniqueName(collection.workspaceId, fields.name, collection.id);
+        }
+        return this.db.updateCollection(collection.id, fields);
+    }
+
+    // Names are unique per workspace, ignoring case
+    async ensureUniqueName(workspaceId, name, collectionId = null) {
+        const existing = await this.db.getCollectionByName(workspaceId, name);
+        if (existing && existing.id !== collectionId) {
+            throw new ValidationError(`A collection named "${existing.name}" already exists`);
+        }
+    }
+}
+
+// name is required when creating; description may be null to clear it
+function parseFields(body, requireName) {
+    const fields = {};
+    if (body.name !== undefined || requireName) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+            throw new ValidationError(`name is required (up to ${MAX_NAME_LENGTH} characters)`);
+        }
+        fields.name = body.name.trim();
+    }
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== 'string') {
+            throw new ValidationError('description must be a string or null');
+        }
+        const description = (body.description || '').trim();
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new ValidationError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        fields.description = description || null;
+    }
+    return fields;
+}
+
+module.exports = CollectionService;
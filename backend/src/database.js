@@ -1,10 +1,72 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
+// Embeddings are stored as little-endian float32 blobs
+function encodeVector(vector) {
+    return vector ? Buffer.from(new Float32Array(vector).buffer) : null;
+}
+
+function decodeVector(blob) {
+    if (!blob) {
+        return null;
+    }
+    return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+// MinHash signatures are stored the same way, as uint32 blobs
+function encodeSignature(signature) {
+    return signature ? Buffer.from(signature.buffer, signature.byteOffset, signature.byteLength) : null;
+}
+
+function decodeSignature(blob) {
+    if (!blob) {
+        return null;
+    }
+    return new Uint32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+// Public columns of an ingestion job (the stored file path stays internal)
+const JOB_COLUMNS = `
+    id, batch_id as batchId, filename, status, stage, attempts, max_attempts as maxAttempts,
+    error, document_id as documentId, created_at as createdAt, updated_at as updatedAt,
+    started_at as startedAt, finished_at as finishedAt, owner_id as ownerId, workspace_id as workspaceId
+`;
+
+const USER_COLUMNS = 'u.id, u.username, u.role, u.created_at as createdAt';
+
+const SAVED_SEARCH_COLUMNS = `
+    id, workspace_id as workspaceId, user_id as userId, name, query, filters, webhook_id as webhookId,
+    created_at as createdAt, updated_at as updatedAt, last_matched_at as lastMatchedAt
+`;
+
+function toSavedSearch(row) {
+    return row && { ...row, filters: JSON.parse(row.filters) };
+}
+
+// Public columns of a webhook subscription (the signing secret is only shown once)
+const WEBHOOK_COLUMNS = `
+    id, workspace_id as workspaceId, url, events, description, active, created_by as createdBy,
+    created_at as createdAt, updated_at as updatedAt
+`;
+
+function toWebhook(row) {
+    return row && { ...row, events: JSON.parse(row.events), active: Boolean(row.active) };
+}
+
+const DELIVERY_COLUMNS = `
+    id, webhook_id as webhookId, event, status, attempts, max_attempts as maxAttempts,
+    run_after as nextAttemptAt, response_status as responseStatus, error, duration_ms as durationMs,
+    created_at as createdAt, updated_at as updatedAt, delivered_at as deliveredAt
+`;
+
 class Database {
     constructor() {
         this.db = null;
         this.dbPath = process.env.DATABASE_URL || path.join(__dirname, '..', 'data', 'search.db');
+        this.transactionQueue = Promise.resolve();
+        // Bumped after every change to the indexed terms a workspace can see (postings, documents,
+        // shares), so vocabularies cached from getWorkspaceVocabulary know when they are stale
+        this.vocabularyVersion = 0;
     }
 
     async initialize() {
@@ -39,7 +101,7 @@ class Database {
                     word_count INTEGER DEFAULT 0,
                     page_count INTEGER DEFAULT 0,
                     uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    embedding TEXT
+                    embedding TEXT -- legacy whole-document vector, superseded by chunks
                 )
             `;
 
@@ -52,62 +114,465 @@ class Database {
                 )
             `;
 
+            // Inverted index: one row per (term, document) plus each document's token length
+            const createIndexPostingsTable = `
+                CREATE TABLE IF NOT EXISTS index_postings (
+                    term TEXT NOT NULL,
+                    document_id INTEGER NOT NULL,
+                    term_freq INTEGER NOT NULL,
+                    PRIMARY KEY (term, document_id)
+                ) WITHOUT ROWID
+            `;
+
+            const createIndexDocumentsTable = `
+                CREATE TABLE IF NOT EXISTS index_documents (
+                    document_id INTEGER PRIMARY KEY,
+                    length INTEGER NOT NULL
+                )
+            `;
+
+            const createPostingsDocumentIndex = `
+                CREATE INDEX IF NOT EXISTS idx_index_postings_document
+                ON index_postings (document_id)
+            `;
+
+            // Passages used for semantic search, one row per chunk of a document
+            const createChunksTable = `
+                CREATE TABLE IF NOT EXISTS chunks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    document_id INTEGER NOT NULL,
+                    position INTEGER NOT NULL,
+                    start_offset INTEGER NOT NULL,
+                    end_offset INTEGER NOT NULL,
+                    content TEXT NOT NULL,
+                    embedding BLOB,
+                    embedding_model TEXT,
+                    UNIQUE (document_id, position)
+                )
+            `;
+
+            // Small key/value store for internal bookkeeping such as index versions
+            const createSettingsTable = `
+                CREATE TABLE IF NOT EXISTS settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                )
+            `;
+
+            const createTagsTable = `
+                CREATE TABLE IF NOT EXISTS tags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+
+            const createDocumentTagsTable = `
+                CREATE TABLE IF NOT EXISTS document_tags (
+                    document_id INTEGER NOT NULL,
+                    tag_id INTEGER NOT NULL,
+                    PRIMARY KEY (document_id, tag_id)
+                ) WITHOUT ROWID
+            `;
+
+            // Page boundaries of paginated documents (PDFs) as character ranges of documents.content
+            const createDocumentPagesTable = `
+                CREATE TABLE IF NOT EXISTS document_pages (
+                    document_id INTEGER NOT NULL,
+                    page_number INTEGER NOT NULL,
+                    start_offset INTEGER NOT NULL,
+                    end_offset INTEGER NOT NULL,
+                    PRIMARY KEY (document_id, page_number)
+                ) WITHOUT ROWID
+            `;
+
+            // Persistent ingestion queue; rows outlive restarts so interrupted uploads resume
+            const createIngestionJobsTable = `
+                CREATE TABLE IF NOT EXISTS ingestion_jobs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    batch_id TEXT NOT NULL,
+                    filename TEXT NOT NULL,
+                    file_path TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'queued',
+                    stage TEXT NOT NULL DEFAULT 'queued',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    max_attempts INTEGER NOT NULL DEFAULT 3,
+                    error TEXT,
+                    document_id INTEGER,
+                    run_after TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    started_at TEXT,
+                    finished_at TEXT
+                )
+            `;
+
+            const createIngestionJobsIndexes = [
+                'CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_status ON ingestion_jobs (status, run_after)',
+                'CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_batch ON ingestion_jobs (batch_id)'
+            ];
+
+            // MinHash LSH buckets: documents sharing a (band, bucket) are near-duplicate candidates
+            const createDocumentLshTable = `
+                CREATE TABLE IF NOT EXISTS document_lsh (
+                    band INTEGER NOT NULL,
+                    bucket INTEGER NOT NULL,
+                    document_id INTEGER NOT NULL,
+                    PRIMARY KEY (band, bucket, document_id)
+                ) WITHOUT ROWID
+            `;
+
+            const createDocumentLshIndex = `
+                CREATE INDEX IF NOT EXISTS idx_document_lsh_document
+                ON document_lsh (document_id)
+            `;
+
+            // Earlier versions of a document; the documents row always holds the latest one
+            const createDocumentVersionsTable = `
+                CREATE TABLE IF NOT EXISTS document_versions (
+                    document_id INTEGER NOT NULL,
+                    version INTEGER NOT NULL,
+                    filename TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    file_size INTEGER,
+                    word_count INTEGER DEFAULT 0,
+                    page_count INTEGER DEFAULT 0,
+                    uploaded_at DATETIME,
+                    pages TEXT, -- JSON [{ number, start, end }] page ranges
+                    replaced_at TEXT NOT NULL,
+                    PRIMARY KEY (document_id, version)
+                ) WITHOUT ROWID
+            `;
+
+            const createUsersTable = `
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    password_hash TEXT NOT NULL,
+                    role TEXT NOT NULL DEFAULT 'user',
+                    created_at TEXT NOT NULL
+                )
+            `;
+
+            // Only hashes of session tokens and API keys are stored
+            const createSessionsTable = `
+                CREATE TABLE IF NOT EXISTS sessions (
+                    token_hash TEXT PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL
+                ) WITHOUT ROWID
+            `;
+
+            const createApiKeysTable = `
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    prefix TEXT NOT NULL,
+                    key_hash TEXT NOT NULL UNIQUE,
+                    created_at TEXT NOT NULL,
+                    last_used_at TEXT
+                )
+            `;
+
+            const createWorkspacesTable = `
+                CREATE TABLE IF NOT EXISTS workspaces (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    created_by INTEGER,
+                    created_at TEXT NOT NULL
+                )
+            `;
+
+            // role: viewer (read and search), editor (also upload, update, delete, share) or admin (also members)
+            const createWorkspaceMembersTable = `
+                CREATE TABLE IF NOT EXISTS workspace_members (
+                    workspace_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    role TEXT NOT NULL,
+                    added_at TEXT NOT NULL,
+                    PRIMARY KEY (workspace_id, user_id)
+                ) WITHOUT ROWID
+            `;
+
+            // Documents made visible (read-only) in workspaces other than their own
+            const createDocumentSharesTable = `
+                CREATE TABLE IF NOT EXISTS document_shares (
+                    document_id INTEGER NOT NULL,
+                    workspace_id INTEGER NOT NULL,
+                    shared_by INTEGER,
+                    shared_at TEXT NOT NULL,
+                    PRIMARY KEY (document_id, workspace_id)
+                ) WITHOUT ROWID
+            `;
+
+            // Named groups of documents within a workspace; shared documents can be added too
+            const createCollectionsTable = `
+                CREATE TABLE IF NOT EXISTS collections (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id INTEGER NOT NULL,
+                    name TEXT NOT NULL COLLATE NOCASE,
+                    description TEXT,
+                    created_by INTEGER,
+                    created_at TEXT NOT NULL,
+                    UNIQUE (workspace_id, name)
+                )
+            `;
+
+            const createCollectionDocumentsTable = `
+                CREATE TABLE IF NOT EXISTS collection_documents (
+                    collection_id INTEGER NOT NULL,
+                    document_id INTEGER NOT NULL,
+                    added_at TEXT NOT NULL,
+                    PRIMARY KEY (collection_id, document_id)
+                ) WITHOUT ROWID
+            `;
+
+            // Results opened from a search, at most once per search and document; position is the
+            // 1-based rank the result was shown at
+            const createSearchClicksTable = `
+                CREATE TABLE IF NOT EXISTS search_clicks (
+                    search_id INTEGER NOT NULL,
+                    document_id INTEGER NOT NULL,
+                    position INTEGER NOT NULL,
+                    clicked_at TEXT NOT NULL,
+                    PRIMARY KEY (search_id, document_id)
+                ) WITHOUT ROWID
+            `;
+
+            // A user's saved query in one workspace; filters is a JSON object of facet selections
+            // as parsed by facets.parseFacetFilters
+            const createSavedSearchesTable = `
+                CREATE TABLE IF NOT EXISTS saved_searches (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    query TEXT NOT NULL,
+                    filters TEXT NOT NULL DEFAULT '{}',
+                    webhook_id INTEGER,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    last_matched_at TEXT
+                )
+            `;
+
+            // Documents newly matching a saved search, at most once per search and document
+            const createNotificationsTable = `
+                CREATE TABLE IF NOT EXISTS notifications (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    workspace_id INTEGER NOT NULL,
+                    saved_search_id INTEGER NOT NULL,
+                    document_id INTEGER NOT NULL,
+                    created_at TEXT NOT NULL,
+                    read_at TEXT,
+                    UNIQUE (saved_search_id, document_id)
+                )
+            `;
+
+            // Subscriptions to document events of one workspace; events is a JSON array of event
+            // types, secret signs each delivery (see webhooks.js)
+            const createWebhooksTable = `
+                CREATE TABLE IF NOT EXISTS webhooks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id INTEGER NOT NULL,
+                    url TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    description TEXT,
+                    active INTEGER NOT NULL DEFAULT 1,
+                    created_by INTEGER,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                )
+            `;
+
+            // One event sent to one webhook, retried like ingestion jobs; also the delivery log
+            const createWebhookDeliveriesTable = `
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    webhook_id INTEGER NOT NULL,
+                    event TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'queued',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    max_attempts INTEGER NOT NULL,
+                    run_after TEXT NOT NULL,
+                    response_status INTEGER,
+                    error TEXT,
+                    duration_ms INTEGER,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    delivered_at TEXT
+                )
+            `;
+
+            // Every attempt at a delivery with its outcome; webhook_deliveries only keeps the last one
+            const createWebhookDeliveryAttemptsTable = `
+                CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    delivery_id INTEGER NOT NULL,
+                    attempt INTEGER NOT NULL,
+                    response_status INTEGER,
+                    error TEXT,
+                    duration_ms INTEGER,
+                    attempted_at TEXT NOT NULL
+                )
+            `;
+
+            // Directories ingested by the directory watcher (see directory-watcher.js), with the time
+            // of their last complete scan
+            const createWatchedRootsTable = `
+                CREATE TABLE IF NOT EXISTS watched_roots (
+                    path TEXT PRIMARY KEY,
+                    workspace_id INTEGER,
+                    last_sync_at TEXT,
+                    last_error TEXT
+                ) WITHOUT ROWID
+            `;
+
+            // Files seen in a watched directory, by path relative to it. mtime_ms and size are those
+            // of the file when it was last processed, successfully or not.
+            const createWatchedFilesTable = `
+                CREATE TABLE IF NOT EXISTS watched_files (
+                    root TEXT NOT NULL,
+                    path TEXT NOT NULL,
+                    mtime_ms REAL NOT NULL,
+                    size INTEGER NOT NULL,
+                    document_id INTEGER,
+                    error TEXT,
+                    synced_at TEXT NOT NULL,
+                    PRIMARY KEY (root, path)
+                ) WITHOUT ROWID
+            `;
+
+            const createWorkspaceIndexes = [
+                'CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members (user_id)',
+                'CREATE INDEX IF NOT EXISTS idx_document_shares_workspace ON document_shares (workspace_id)',
+                'CREATE INDEX IF NOT EXISTS idx_collection_documents_document ON collection_documents (document_id)',
+                'CREATE INDEX IF NOT EXISTS idx_document_tags_tag ON document_tags (tag_id)',
+                'CREATE INDEX IF NOT EXISTS idx_search_clicks_document ON search_clicks (document_id)',
+                'CREATE INDEX IF NOT EXISTS idx_saved_searches_workspace ON saved_searches (workspace_id, user_id)',
+                'CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, workspace_id, read_at)',
+                'CREATE INDEX IF NOT EXISTS idx_notifications_document ON notifications (document_id)',
+                'CREATE INDEX IF NOT EXISTS idx_webhooks_workspace ON webhooks (workspace_id)',
+                'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status, run_after)',
+                'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id)',
+                'CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts (delivery_id, attempt)'
+            ];
+
+            const statements = [
+                createDocumentsTable,
+                createSearchHistoryTable,
+                createIndexPostingsTable,
+                createIndexDocumentsTable,
+                createPostingsDocumentIndex,
+                createChunksTable,
+                createSettingsTable,
+                createTagsTable,
+                createDocumentTagsTable,
+                createDocumentPagesTable,
+                createIngestionJobsTable,
+                ...createIngestionJobsIndexes,
+                createDocumentLshTable,
+                createDocumentLshIndex,
+                createDocumentVersionsTable,
+                createUsersTable,
+                createSessionsTable,
+                createApiKeysTable,
+                createWorkspacesTable,
+                createWorkspaceMembersTable,
+                createDocumentSharesTable,
+                createCollectionsTable,
+                createCollectionDocumentsTable,
+                createSearchClicksTable,
+                createSavedSearchesTable,
+                createNotificationsTable,
+                createWebhooksTable,
+                createWebhookDeliveriesTable,
+                createWebhookDeliveryAttemptsTable,
+                createWatchedRootsTable,
+                createWatchedFilesTable,
+                ...createWorkspaceIndexes
+            ];
+
+            // Resolve only once the last statement has run so callers never see missing tables
             this.db.serialize(() => {
-                this.db.run(createDocumentsTable);
-                this.db.run(createSearchHistoryTable);
-                console.log('Database tables created successfully');
-                resolve();
+                statements.forEach((statement, i) => {
+                    this.db.run(statement, (err) => {
+                        if (err) {
+                            reject(err);
+                        } else if (i === statements.length - 1) {
+                            this.migrateColumns().then(() => this.migrateToWorkspaces()).then(() => {
+                                console.log('Database tables created successfully');
+                                resolve();
+                            }).catch(reject);
+                        }
+                    });
+                });
             });
         });
     }
 
-    async addDocument(docData) {
-        return new Promise((resolve, reject) => {
-            const { filename, content, fileSize, wordCount, pageCount, uploadedAt, embedding } = docData;
-            const query = `
-                INSERT INTO documents (filename, content, file_size, word_count, page_count, uploaded_at, embedding)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `;
-            
-            this.db.run(query, [filename, content, fileSize, wordCount, pageCount, uploadedAt, embedding], function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(this.lastID);
-                }
-            });
-        });
+    // Columns added after a table was first released; CREATE TABLE IF NOT EXISTS skips them on old databases
+    async migrateColumns() {
+        const additions = [
+            ['chunks', 'embedding_model', 'TEXT'],
+            ['documents', 'content_hash', 'TEXT'], // '' when the document has no text to fingerprint
+            ['documents', 'minhash', 'BLOB'],
+            ['documents', 'duplicate_of', 'INTEGER'],
+            ['documents', 'duplicate_similarity', 'REAL'],
+            ['documents', 'version', 'INTEGER NOT NULL DEFAULT 1'],
+            ['documents', 'blob_hash', 'TEXT'], // original file in the blob store, see blob-store.js
+            ['document_versions', 'blob_hash', 'TEXT'],
+            ['documents', 'owner_id', 'INTEGER'], // null only for documents uploaded before accounts existed
+            ['ingestion_jobs', 'owner_id', 'INTEGER'],
+            ['documents', 'workspace_id', 'INTEGER'], // the workspace the document belongs to
+            ['ingestion_jobs', 'workspace_id', 'INTEGER'],
+            ['search_history', 'workspace_id', 'INTEGER'],
+            ['documents', 'title', 'TEXT'], // editable metadata, prefilled from the file's own properties
+            ['documents', 'author', 'TEXT'],
+            ['documents', 'description', 'TEXT'],
+            ['documents', 'keyphrases', 'TEXT'], // JSON array, see summaries.js; null until computed
+            ['documents', 'summary', 'TEXT'], // '' when the document has no text to summarize
+            ['documents', 'abstract_summary', 'TEXT'],
+            ['saved_searches', 'webhook_id', 'INTEGER'] // replaced webhook_url, which is no longer used
+        ];
+
+        for (const [table, column, definition] of additions) {
+            const columns = await this.all(`PRAGMA table_info(${table})`);
+            if (!columns.some(info => info.name === column)) {
+                await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+
+        // Indexes on added columns can only be created once the columns exist
+        await this.run('CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents (content_hash)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_documents_duplicate_of ON documents (duplicate_of)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_documents_blob_hash ON documents (blob_hash)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_documents_owner ON documents (owner_id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_documents_workspace ON documents (workspace_id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_search_history_workspace ON search_history (workspace_id, searched_at)');
     }
 
-    async getAllDocuments() {
+    // Promise wrappers around the sqlite3 callback API
+    run(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const query = `
-                SELECT id, filename, content, file_size as fileSize, word_count as wordCount, 
-                       page_count as pageCount, uploaded_at as uploadedAt
-                FROM documents 
-                ORDER BY uploaded_at DESC
-            `;
-            
-            this.db.all(query, [], (err, rows) => {
+            this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows || []);
+                    resolve({ lastID: this.lastID, changes: this.changes });
                 }
             });
         });
     }
 
-    async getDocumentById(id) {
+    get(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const query = `
-                SELECT id, filename, content, file_size as fileSize, word_count as wordCount, 
-                       page_count as pageCount, uploaded_at as uploadedAt, embedding
-                FROM documents 
-                WHERE id = ?
-            `;
-            
-            this.db.get(query, [id], (err, row) => {
+            this.db.get(sql, params, (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -117,82 +582,1928 @@ class Database {
         });
     }
 
-    async deleteDocument(id) {
+    all(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const query = 'DELETE FROM documents WHERE id = ?';
-            
-            this.db.run(query, [id], function(err) {
+            this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(this.changes > 0);
+                    resolve(rows || []);
                 }
             });
         });
     }
 
-    async getStats() {
+    // Run the same statement once per parameter set using a prepared statement
+    runBatch(sql, paramSets) {
         return new Promise((resolve, reject) => {
-            const query = `
-                SELECT 
-                    COUNT(*) as totalDocuments,
-                    COALESCE(SUM(word_count), 0) as totalWordCount,
-                    COALESCE(SUM(page_count), 0) as totalPageCount,
-                    COALESCE(SUM(file_size), 0) as totalFileSize
-                FROM documents
-            `;
-            
-            this.db.get(query, [], (err, row) => {
-                if (err) {
-                    reject(err);
+            const statement = this.db.prepare(sql);
+            let failed = null;
+
+            for (const params of paramSets) {
+                statement.run(params, (err) => {
+                    if (err && !failed) {
+                        failed = err;
+                    }
+                });
+            }
+
+            statement.finalize((err) => {
+                if (failed || err) {
+                    reject(failed || err);
                 } else {
-                    resolve(row || {
-                        totalDocuments: 0,
-                        totalWordCount: 0,
-                        totalPageCount: 0,
-                        totalFileSize: 0
-                    });
+                    resolve(paramSets.length);
                 }
             });
         });
     }
 
-    async logSearch(query, resultCount) {
+    // Transactions share one connection, so they are queued to avoid nesting BEGINs
+    async transaction(work) {
+        const previous = this.transactionQueue;
+        let release;
+        this.transactionQueue = new Promise(resolve => { release = resolve; });
+        await previous;
+
+        try {
+            await this.run('BEGIN IMMEDIATE');
+            const result = await work();
+            await this.run('COMMIT');
+            return result;
+        } catch (error) {
+            await this.run('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            release();
+        }
+    }
+
+    // pages: optional [{ number, start, end }] ranges of content, stored alongside the document
+    // fingerprint: see fingerprints.js; duplicate: { documentId, similarity } when linked to another document
+    // blobHash: the original file in the blob store; ownerId: the uploading user; workspaceId: its workspace;
+    // title, author, description and tags: initial metadata
+    async addDocument(docData) {
+        const {
+            filename, content, fileSize, wordCount, pageCount, uploadedAt, pages = [],
+            fingerprint = null, duplicate = null, blobHash = null, ownerId = null, workspaceId = null,
+            title = null, author = null, description = null, tags = []
+        } = docData;
+
+        return this.transaction(async () => {
+            const result = await this.run(`
+                INSERT INTO documents (filename, content, file_size, word_count, page_count, uploaded_at,
+                                       duplicate_of, duplicate_similarity, blob_hash, owner_id, workspace_id,
+                                       title, author, description)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                filename, content, fileSize, wordCount, pageCount, uploadedAt,
+                duplicate ? duplicate.documentId : null, duplicate ? duplicate.similarity : null, blobHash,
+                ownerId, workspaceId, title, author, description
+            ]);
+
+            await this.runBatch(
+                'INSERT INTO document_pages (document_id, page_number, start_offset, end_offset) VALUES (?, ?, ?, ?)',
+                pages.map(page => [result.lastID, page.number, page.start, page.end])
+            );
+            await this.storeFingerprint(result.lastID, fingerprint);
+            await this.setDocumentTags(result.lastID, tags);
+            return result.lastID;
+        });
+    }
+
+    // Archive the current version and store a new one in its place, keeping the document id.
+    // duplicate: as for addDocument; releaseDuplicates: ids of documents linked to this one
+    // that no longer match the new content; title, author and description only fill fields
+    // that are still empty, so edited metadata survives. Keyphrases and summaries are cleared
+    // for the new content. Resolves to the new version number.
+    async replaceDocument(id, docData) {
+        const {
+            filename, content, fileSize, wordCount, pageCount, uploadedAt, pages = [],
+            fingerprint = null, duplicate = null, releaseDuplicates = [], blobHash = null,
+            title = null, author = null, description = null
+        } = docData;
+
+        return this.transaction(async () => {
+            const current = await this.get('SELECT version FROM documents WHERE id = ?', [id]);
+            if (!current) {
+                return null;
+            }
+
+            await this.archiveCurrentVersion(id);
+            await this.run(`
+                UPDATE documents
+                SET filename = ?, content = ?, file_size = ?, word_count = ?, page_count = ?, uploaded_at = ?,
+                    duplicate_of = ?, duplicate_similarity = ?, version = ?, blob_hash = ?,
+                    title = COALESCE(title, ?), author = COALESCE(author, ?), description = COALESCE(description, ?),
+                    keyphrases = NULL, summary = NULL, abstract_summary = NULL
+                WHERE id = ?
+            `, [
+                filename, content, fileSize, wordCount, pageCount, uploadedAt,
+                duplicate ? duplicate.documentId : null, duplicate ? duplicate.similarity : null,
+                current.version + 1, blobHash, title, author, description, id
+            ]);
+
+            await this.replaceDocumentPages(id, pages);
+            await this.storeFingerprint(id, fingerprint);
+            await this.runBatch(
+                'UPDATE documents SET duplicate_of = NULL, duplicate_similarity = NULL WHERE id = ?',
+                releaseDuplicates.map(duplicateId => [duplicateId])
+            );
+            return current.version + 1;
+        });
+    }
+
+    // Call inside a transaction
+    async archiveCurrentVersion(id) {
+        const pages = await this.all(`
+            SELECT page_number as number, start_offset as start, end_offset as end
+            FROM document_pages WHERE document_id = ? ORDER BY page_number
+        `, [id]);
+
+        await this.run(`
+            INSERT INTO document_versions (document_id, version, filename, content, file_size, word_count,
+                                           page_count, uploaded_at, pages, replaced_at, blob_hash)
+            SELECT id, version, filename, content, file_size, word_count, page_count, uploaded_at, ?, ?, blob_hash
+            FROM documents WHERE id = ?
+        `, [pages.length > 0 ? JSON.stringify(pages) : null, new Date().toISOString(), id]);
+    }
+
+    // Call inside a transaction
+    async replaceDocumentPages(id, pages) {
+        await this.run('DELETE FROM document_pages WHERE document_id = ?', [id]);
+        await this.runBatch(
+            'INSERT INTO document_pages (document_id, page_number, start_offset, end_offset) VALUES (?, ?, ?, ?)',
+            pages.map(page => [id, page.number, page.start, page.end])
+        );
+    }
+
+    // Undo the last replaceDocument: the newest archived version becomes current again.
+    // Duplicate links are not restored; the fingerprint and summaries are cleared until they are recomputed.
+    // Resolves to the restored version, or null if there is none.
+    async restorePreviousVersion(id) {
+        return this.transaction(async () => {
+            const previous = await this.get(`
+                SELECT version, filename, content, file_size, word_count, page_count, uploaded_at, pages, blob_hash
+                FROM document_versions
+                WHERE document_id = ?
+                ORDER BY version DESC
+                LIMIT 1
+            `, [id]);
+            if (!previous) {
+                return null;
+            }
+
+            await this.run(`
+                UPDATE documents
+                SET filename = ?, content = ?, file_size = ?, word_count = ?, page_count = ?, uploaded_at = ?,
+                    duplicate_of = NULL, duplicate_similarity = NULL, version = ?, blob_hash = ?,
+                    keyphrases = NULL, summary = NULL, abstract_summary = NULL
+                WHERE id = ?
+            `, [
+                previous.filename, previous.content, previous.file_size, previous.word_count,
+                previous.page_count, previous.uploaded_at, previous.version, previous.blob_hash, id
+            ]);
+            await this.replaceDocumentPages(id, previous.pages ? JSON.parse(previous.pages) : []);
+            await this.run('UPDATE documents SET content_hash = NULL, minhash = NULL WHERE id = ?', [id]);
+            await this.run('DELETE FROM document_lsh WHERE document_id = ?', [id]);
+            await this.run('DELETE FROM document_versions WHERE document_id = ? AND version = ?', [id, previous.version]);
+            return previous;
+        });
+    }
+
+    // Every version of a document, newest first, without content. Null if the document does not exist.
+    async getDocumentVersions(id) {
+        const current = await this.get(`
+            SELECT version, filename, file_size as fileSize, word_count as wordCount,
+                   page_count as pageCount, uploaded_at as uploadedAt, blob_hash IS NOT NULL as hasFile
+            FROM documents WHERE id = ?
+        `, [id]);
+        if (!current) {
+            return null;
+        }
+
+        const earlier = await this.all(`
+            SELECT version, filename, file_size as fileSize, word_count as wordCount,
+                   page_count as pageCount, uploaded_at as uploadedAt, replaced_at as replacedAt,
+                   blob_hash IS NOT NULL as hasFile
+            FROM document_versions
+            WHERE document_id = ?
+            ORDER BY version DESC
+        `, [id]);
+
+        return [
+            { ...current, hasFile: Boolean(current.hasFile), current: true, replacedAt: null },
+            ...earlier.map(version => ({ ...version, hasFile: Boolean(version.hasFile), current: false }))
+        ];
+    }
+
+    // The stored original of a document, or of one of its versions: { filename, version, blobHash }.
+    // blobHash is null for documents uploaded before originals were kept.
+    async getDocumentFile(id, version = null) {
+        if (version === null) {
+            return this.get('SELECT filename, version, blob_hash as blobHash FROM documents WHERE id = ?', [id]);
+        }
+        return this.get(`
+            SELECT filename, version, blob_hash as blobHash FROM documents WHERE id = ? AND version = ?
+            UNION ALL
+            SELECT filename, version, blob_hash as blobHash FROM document_versions WHERE document_id = ? AND version = ?
+        `, [id, version, id, version]);
+    }
+
+    // Blobs held by a document and its earlier versions
+    async getDocumentBlobHashes(id) {
+        const rows = await this.all(`
+            SELECT blob_hash as blobHash FROM documents WHERE id = ? AND blob_hash IS NOT NULL
+            UNION
+            SELECT blob_hash FROM document_versions WHERE document_id = ? AND blob_hash IS NOT NULL
+        `, [id, id]);
+        return rows.map(row => row.blobHash);
+    }
+
+    async isBlobReferenced(hash) {
+        const row = await this.get(`
+            SELECT EXISTS (SELECT 1 FROM documents WHERE blob_hash = ?)
+                OR EXISTS (SELECT 1 FROM document_versions WHERE blob_hash = ?) as referenced
+        `, [hash, hash]);
+        return Boolean(row.referenced);
+    }
+
+    // One version with its content and page ranges, whether current or archived
+    async getDocumentVersion(id, version) {
+        const current = await this.get('SELECT version FROM documents WHERE id = ?', [id]);
+        if (!current) {
+            return null;
+        }
+
+        if (current.version === version) {
+            const doc = await this.getDocumentById(id);
+            const pages = await this.getDocumentPages([id]);
+            return {
+                version, filename: doc.filename, content: doc.content, fileSize: doc.fileSize,
+                wordCount: doc.wordCount, pageCount: doc.pageCount, uploadedAt: doc.uploadedAt,
+                pages: pages.get(id) || [], hasFile: doc.hasFile, current: true, replacedAt: null
+            };
+        }
+
+        const row = await this.get(`
+            SELECT version, filename, content, file_size as fileSize, word_count as wordCount,
+                   page_count as pageCount, uploaded_at as uploadedAt, pages, replaced_at as replacedAt,
+                   blob_hash IS NOT NULL as hasFile
+            FROM document_versions
+            WHERE document_id = ? AND version = ?
+        `, [id, version]);
+        return row ? {
+            ...row, pages: row.pages ? JSON.parse(row.pages) : [], hasFile: Boolean(row.hasFile), current: false
+        } : null;
+    }
+
+    // Call inside a transaction
+    async storeFingerprint(documentId, fingerprint) {
+        await this.run('UPDATE documents SET content_hash = ?, minhash = ? WHERE id = ?', [
+            fingerprint ? fingerprint.contentHash : '',
+            fingerprint ? encodeSignature(fingerprint.minhash) : null,
+            documentId
+        ]);
+        await this.run('DELETE FROM document_lsh WHERE document_id = ?', [documentId]);
+        await this.runBatch(
+            'INSERT OR IGNORE INTO document_lsh (band, bucket, document_id) VALUES (?, ?, ?)',
+            (fingerprint ? fingerprint.buckets : []).map((bucket, band) => [band, bucket, documentId])
+        );
+    }
+
+    async setDocumentFingerprint(documentId, fingerprint) {
+        return this.transaction(() => this.storeFingerprint(documentId, fingerprint));
+    }
+
+    // Documents stored before fingerprinting existed
+    async getUnfingerprintedDocumentIds() {
+        const rows = await this.all('SELECT id FROM documents WHERE content_hash IS NULL ORDER BY id');
+        return rows.map(row => row.id);
+    }
+
+    // Oldest document with exactly this normalized text, other than excludeId, in one workspace
+    async findDocumentByContentHash(contentHash, excludeId = null, workspaceId = null) {
+        return this.get(`
+            SELECT id, filename, duplicate_of as duplicateOf
+            FROM documents
+            WHERE content_hash = ? AND id IS NOT ? AND workspace_id IS ?
+            ORDER BY id
+            LIMIT 1
+        `, [contentHash, excludeId, workspaceId]);
+    }
+
+    // Ids of documents linked as duplicates of this one
+    async getLinkedDuplicateIds(id) {
+        const rows = await this.all('SELECT id FROM documents WHERE duplicate_of = ? ORDER BY id', [id]);
+        return rows.map(row => row.id);
+    }
+
+    // Documents sharing at least one LSH bucket with the given buckets
+    async findLshCandidates(buckets) {
+        if (buckets.length === 0) {
+            return [];
+        }
+
+        const conditions = buckets.map(() => '(band = ? AND bucket = ?)').join(' OR ');
+        const rows = await this.all(
+            `SELECT DISTINCT document_id as id FROM document_lsh WHERE ${conditions}`,
+            buckets.flatMap((bucket, band) => [band, bucket])
+        );
+        return rows.map(row => row.id);
+    }
+
+    // MinHash signature plus duplicate link per document
+    async getDocumentSignatures(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const rows = await this.all(`
+            SELECT id, filename, duplicate_of as duplicateOf, content_hash as contentHash, minhash,
+                   workspace_id as workspaceId
+            FROM documents
+            WHERE id IN (${placeholders}) AND minhash IS NOT NULL
+        `, ids);
+        return rows.map(row => ({ ...row, minhash: decodeSignature(row.minhash) }));
+    }
+
+    // Groups of document ids with identical normalized text
+    async getContentHashGroups() {
+        const rows = await this.all(`
+            SELECT group_concat(id) as ids
+            FROM documents
+            WHERE content_hash IS NOT NULL AND content_hash != ''
+            GROUP BY content_hash
+            HAVING COUNT(*) > 1
+        `);
+        return rows.map(row => row.ids.split(',').map(Number));
+    }
+
+    // Groups of document ids that landed in the same LSH bucket
+    async getLshCollisions() {
+        const rows = await this.all(`
+            SELECT group_concat(document_id) as ids
+            FROM document_lsh
+            GROUP BY band, bucket
+            HAVING COUNT(*) > 1
+        `);
+        return rows.map(row => row.ids.split(',').map(Number));
+    }
+
+    async getAllDocuments() {
         return new Promise((resolve, reject) => {
-            const insertQuery = `
-                INSERT INTO search_history (query, result_count)
-                VALUES (?, ?)
+            const query = `
+                SELECT id, filename, content, file_size as fileSize, word_count as wordCount, 
+                       page_count as pageCount, uploaded_at as uploadedAt
+                FROM documents 
+                ORDER BY uploaded_at DESC
             `;
             
-            this.db.run(insertQuery, [query, resultCount], function(err) {
+            this.db.all(query, [], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(this.lastID);
+                    resolve(rows || []);
                 }
             });
         });
     }
 
-    async getSearchHistory() {
+    async getDocumentById(id) {
         return new Promise((resolve, reject) => {
             const query = `
-                SELECT query, result_count as resultCount, searched_at as searchedAt
-                FROM search_history 
-                ORDER BY searched_at DESC 
-                LIMIT 50
+                SELECT id, filename, content, file_size as fileSize, word_count as wordCount, 
+                       page_count as pageCount, uploaded_at as uploadedAt, version,
+                       duplicate_of as duplicateOf, duplicate_similarity as duplicateSimilarity,
+                       blob_hash IS NOT NULL as hasFile, owner_id as ownerId, workspace_id as workspaceId,
+                       title, author, description, keyphrases, summary, abstract_summary as abstractSummary,
+                       (SELECT group_concat(t.name, char(31)) FROM document_tags dt
+                        JOIN tags t ON t.id = dt.tag_id WHERE dt.document_id = documents.id) as tags
+                FROM documents 
+                WHERE id = ?
             `;
             
-            this.db.all(query, [], (err, rows) => {
+            this.db.get(query, [id], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows || []);
+                    resolve(row && {
+                        ...row,
+                        hasFile: Boolean(row.hasFile),
+                        tags: row.tags ? row.tags.split('\u001f') : [],
+                        keyphrases: row.keyphrases ? JSON.parse(row.keyphrases) : []
+                    });
                 }
             });
         });
     }
 
+    async getDocumentsByIds(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        return this.all(`
+            SELECT id, filename, content, file_size as fileSize, word_count as wordCount,
+                   page_count as pageCount, uploaded_at as uploadedAt
+            FROM documents
+            WHERE id IN (${placeholders})
+        `, ids);
+    }
+
+    async deleteDocument(id) {
+        const deleted = await this.transaction(async () => {
+            await this.run('DELETE FROM document_tags WHERE document_id = ?', [id]);
+            await this.run('DELETE FROM document_pages WHERE document_id = ?', [id]);
+            await this.run('DELETE FROM document_lsh WHERE document_id = ?', [id]);
+            await this.run('DELETE FROM document_versions WHERE document_id = ?', [id]);
+            await this.run('DELETE FROM document_shares WHERE document_id = ?', [id]);
+            await this.run('DELETE FROM collection_documents WHERE document_id = ?', [id]);
+            await this.run('DELETE FROM notifications WHERE document_id = ?', [id]);
+            await this.deleteUnusedTags();
+
+            // The oldest linked duplicate takes over as the original
+            const duplicates = await this.all('SELECT id FROM documents WHERE duplicate_of = ? ORDER BY id', [id]);
+            if (duplicates.length > 0) {
+                const [successor, ...rest] = duplicates.map(row => row.id);
+                await this.run('UPDATE documents SET duplicate_of = NULL, duplicate_similarity = NULL WHERE id = ?', [successor]);
+                await this.run('UPDATE documents SET duplicate_of = ? WHERE duplicate_of = ?', [successor, id]);
+            }
+
+            const result = await this.run('DELETE FROM documents WHERE id = ?', [id]);
+            return result.changes > 0;
+        });
+        this.vocabularyVersion++;
+        return deleted;
+    }
+
+    // Page ranges per document id, ordered by page number; documents without pages are absent
+    async getDocumentPages(ids) {
+        if (ids.length === 0) {
+            return new Map();
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const rows = await this.all(`
+            SELECT document_id as documentId, page_number as number, start_offset as start, end_offset as end
+            FROM document_pages
+            WHERE document_id IN (${placeholders})
+            ORDER BY document_id, page_number
+        `, ids);
+
+        const pagesById = new Map();
+        for (const { documentId, ...page } of rows) {
+            if (!pagesById.has(documentId)) {
+                pagesById.set(documentId, []);
+            }
+            pagesById.get(documentId).push(page);
+        }
+        return pagesById;
+    }
+
+    // The first characters of each document, for list views
+    async getDocumentPreviews(ids, length = 200) {
+        if (ids.length === 0) {
+            return new Map();
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const rows = await this.all(
+            `SELECT id, substr(content, 1, ?) as preview FROM documents WHERE id IN (${placeholders})`,
+            [length, ...ids]
+        );
+        return new Map(rows.map(row => [row.id, row.preview]));
+    }
+
+    // Light rows (no content) with metadata and tag names, used for faceting and sorting.
+    // Pass null for every document.
+    async getDocumentSummaries(ids = null) {
+        if (ids !== null && ids.length === 0) {
+            return [];
+        }
+
+        const select = `
+            SELECT d.id, d.filename, d.file_size as fileSize, d.word_count as wordCount,
+                   d.page_count as pageCount, d.uploaded_at as uploadedAt, d.duplicate_of as duplicateOf,
+                   d.version, d.blob_hash IS NOT NULL as hasFile, d.owner_id as ownerId,
+                   d.workspace_id as workspaceId, d.title, d.author, d.description, d.keyphrases, d.summary,
+                   d.abstract_summary as abstractSummary,
+                   (SELECT group_concat(t.name, char(31)) FROM document_tags dt
+                    JOIN tags t ON t.id = dt.tag_id WHERE dt.document_id = d.id) as tags
+            FROM documents d
+        `;
+
+        let rows;
+        if (ids === null) {
+            rows = await this.all(select);
+        } else {
+            rows = [];
+            for (let i = 0; i < ids.length; i += 500) {
+                const batch = ids.slice(i, i + 500);
+                rows.push(...await this.all(`${select} WHERE d.id IN (${batch.map(() => '?').join(', ')})`, batch));
+            }
+        }
+
+        return rows.map(row => ({
+            ...row,
+            hasFile: Boolean(row.hasFile),
+            tags: row.tags ? row.tags.split('\u001f') : [],
+            keyphrases: row.keyphrases ? JSON.parse(row.keyphrases) : []
+        }));
+    }
+
+    // Replace every posting for a document in one transaction
+    async replaceDocumentPostings(documentId, length, termFrequencies) {
+        await this.transaction(async () => {
+            await this.run('DELETE FROM index_postings WHERE document_id = ?', [documentId]);
+            await this.run(
+                'INSERT OR REPLACE INTO index_documents (document_id, length) VALUES (?, ?)',
+                [documentId, length]
+            );
+            await this.runBatch(
+                'INSERT INTO index_postings (term, document_id, term_freq) VALUES (?, ?, ?)',
+                Array.from(termFrequencies, ([term, freq]) => [term, documentId, freq])
+            );
+        });
+        this.vocabularyVersion++;
+    }
+
+    async deleteDocumentPostings(documentId) {
+        await this.transaction(async () => {
+            await this.run('DELETE FROM index_postings WHERE document_id = ?', [documentId]);
+            await this.run('DELETE FROM index_documents WHERE document_id = ?', [documentId]);
+        });
+        this.vocabularyVersion++;
+    }
+
+    async getPostings(terms) {
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const placeholders = terms.map(() => '?').join(', ');
+        return this.all(`
+            SELECT p.term, p.document_id as documentId, p.term_freq as termFreq, d.length
+            FROM index_postings p
+            JOIN index_documents d ON d.document_id = p.document_id
+            WHERE p.term IN (${placeholders})
+        `, terms);
+    }
+
+    // Most frequent indexed terms starting with a prefix
+    async expandPrefix(prefix, limit = 50) {
+        const rows = await this.all(`
+            SELECT term, COUNT(*) as documentFrequency
+            FROM index_postings
+            WHERE term >= ? AND term < ?
+            GROUP BY term
+            ORDER BY documentFrequency DESC
+            LIMIT ?
+        `, [prefix, prefix + '\uffff', limit]);
+        return rows.map(row => row.term);
+    }
+
+    // Number of indexed documents containing each term; terms in no document are absent
+    async getDocumentFrequencies(terms) {
+        const frequencies = new Map();
+        for (let i = 0; i < terms.length; i += 500) {
+            const batch = terms.slice(i, i + 500);
+            const rows = await this.all(`
+                SELECT term, COUNT(*) as documentFrequency
+                FROM index_postings
+                WHERE term IN (${batch.map(() => '?').join(', ')})
+                GROUP BY term
+            `, batch);
+            rows.forEach(row => frequencies.set(row.term, row.documentFrequency));
+        }
+        return frequencies;
+    }
+
+    // Indexed terms of the documents a workspace can see, with how many of those documents
+    // contain each, most common first, optionally only those starting with prefix. Without a
+    // prefix every posting of the workspace is read; see vocabularyVersion for caching that.
+    async getWorkspaceVocabulary(workspaceId, { prefix = null, limit = -1 } = {}) {
+        const clauses = ['(d.workspace_id = ? OR d.id IN (SELECT document_id FROM document_shares WHERE workspace_id = ?))'];
+        const params = [workspaceId, workspaceId];
+
+        if (prefix !== null) {
+            clauses.push('p.term >= ? AND p.term < ?');
+            params.push(prefix, prefix + '\uffff');
+        }
+
+        return this.all(`
+            SELECT p.term, COUNT(*) as documentFrequency
+            FROM index_postings p
+            JOIN documents d ON d.id = p.document_id
+            WHERE ${clauses.join(' AND ')}
+            GROUP BY p.term
+            ORDER BY documentFrequency DESC, p.term
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    // The postings of each document, as { documentId, term, termFreq } rows
+    async getTermFrequencies(documentIds) {
+        const rows = [];
+        for (let i = 0; i < documentIds.length; i += 500) {
+            const batch = documentIds.slice(i, i + 500);
+            rows.push(...await this.all(`
+                SELECT document_id as documentId, term, term_freq as termFreq
+                FROM index_postings
+                WHERE document_id IN (${batch.map(() => '?').join(', ')})
+            `, batch));
+        }
+        return rows;
+    }
+
+    async getIndexedDocumentIds() {
+        const rows = await this.all('SELECT document_id FROM index_documents');
+        return rows.map(row => row.document_id);
+    }
+
+    async clearIndex() {
+        await this.transaction(async () => {
+            await this.run('DELETE FROM index_postings');
+            await this.run('DELETE FROM index_documents');
+        });
+        this.vocabularyVersion++;
+    }
+
+    // Ids of documents matching parsed field filters (filename:, ext:, uploaded:).
+    // Filters on the same text field are alternatives; everything else must hold together.
+    // workspaceId resolves collection: filters against that workspace's collections
+    async getDocumentIdsByFilters(filters, workspaceId = null) {
+        const clauses = [];
+        const params = [];
+        const alternatives = { filename: [], ext: [] };
+
+        for (const filter of filters) {
+            let clause;
+            let values;
+
+            if (filter.field === 'filename') {
+                clause = "filename LIKE ? ESCAPE '\\'";
+                values = ['%' + filter.value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%') + '%'];
+            } else if (filter.field === 'ext') {
+                clause = "LOWER(filename) LIKE ? ESCAPE '\\'";
+                values = ['%.' + filter.value.replace(/[\\%_]/g, '\\$&')];
+            } else if (filter.field === 'uploaded') {
+                // Compare only as much of the date as the filter specifies (YYYY, YYYY-MM or YYYY-MM-DD)
+                clause = `substr(date(uploaded_at), 1, ?) ${filter.op} ?`;
+                values = [filter.value.length, filter.value];
+            } else if (filter.field === 'tag') {
+                clause = `id IN (SELECT dt.document_id FROM document_tags dt
+                                 JOIN tags t ON t.id = dt.tag_id WHERE t.name = ?)`;
+                values = [filter.value];
+            } else if (filter.field === 'collection') {
+                clause = `id IN (SELECT cd.document_id FROM collection_documents cd
+                                 JOIN collections c ON c.id = cd.collection_id
+                                 WHERE c.name = ? AND c.workspace_id IS ?)`;
+                values = [filter.value, workspaceId];
+            } else {
+                continue;
+            }
+
+            if (filter.negate) {
+                clauses.push(`NOT (${clause})`);
+                params.push(...values);
+            } else if (alternatives[filter.field]) {
+                alternatives[filter.field].push({ clause, values });
+            } else {
+                clauses.push(clause);
+                params.push(...values);
+            }
+        }
+
+        for (const options of Object.values(alternatives)) {
+            if (options.length > 0) {
+                clauses.push(`(${options.map(option => option.clause).join(' OR ')})`);
+                options.forEach(option => params.push(...option.values));
+            }
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const rows = await this.all(`SELECT id FROM documents ${where}`, params);
+        return rows.map(row => row.id);
+    }
+
+    async getSetting(key) {
+        const row = await this.get('SELECT value FROM settings WHERE key = ?', [key]);
+        return row ? row.value : null;
+    }
+
+    async setSetting(key, value) {
+        return this.run(
+            'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+            [key, String(value)]
+        );
+    }
+
+    async getIndexStats() {
+        const row = await this.get(`
+            SELECT COUNT(*) as documentCount, COALESCE(AVG(length), 0) as averageLength
+            FROM index_documents
+        `);
+        return row || { documentCount: 0, averageLength: 0 };
+    }
+
+    // Documents stored before the index existed (or whose indexing failed)
+    async getUnindexedDocumentIds() {
+        const rows = await this.all(`
+            SELECT d.id FROM documents d
+            LEFT JOIN index_documents i ON i.document_id = d.id
+            WHERE i.document_id IS NULL
+        `);
+        return rows.map(row => row.id);
+    }
+
+    async setDocumentSummary(id, keyphrases, summary) {
+        return this.run('UPDATE documents SET keyphrases = ?, summary = ? WHERE id = ?', [JSON.stringify(keyphrases), summary, id]);
+    }
+
+    // Only stored while the document is still at the version that was summarized
+    async setAbstractSummary(id, version, text) {
+        return this.run('UPDATE documents SET abstract_summary = ? WHERE id = ? AND version = ?', [text, id, version]);
+    }
+
+    async getUnsummarizedDocumentIds() {
+        const rows = await this.all('SELECT id FROM documents WHERE summary IS NULL');
+        return rows.map(row => row.id);
+    }
+
+    async getDocumentIdsWithoutAbstract() {
+        const rows = await this.all("SELECT id FROM documents WHERE abstract_summary IS NULL AND summary != ''");
+        return rows.map(row => row.id);
+    }
+
+    // Replace the chunks of a document; embeddings may be null when none are available
+    async replaceDocumentChunks(documentId, chunks, embeddingModel) {
+        return this.transaction(async () => {
+            await this.run('DELETE FROM chunks WHERE document_id = ?', [documentId]);
+            await this.runBatch(`
+                INSERT INTO chunks (document_id, position, start_offset, end_offset, content, embedding, embedding_model)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, chunks.map((chunk, position) => [
+                documentId, position, chunk.start, chunk.end, chunk.text,
+                encodeVector(chunk.embedding), chunk.embedding ? embeddingModel : null
+            ]));
+        });
+    }
+
+    async deleteDocumentChunks(documentId) {
+        return this.run('DELETE FROM chunks WHERE document_id = ?', [documentId]);
+    }
+
+    async getChunkEmbeddings(embeddingModel) {
+        const rows = await this.all(`
+            SELECT id, document_id as documentId, position, embedding
+            FROM chunks
+            WHERE embedding IS NOT NULL AND embedding_model = ?
+        `, [embeddingModel]);
+        return rows.map(row => ({ ...row, embedding: decodeVector(row.embedding) }));
+    }
+
+    async getChunksByIds(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        return this.all(`
+            SELECT id, document_id as documentId, position, start_offset as start,
+                   end_offset as end, content as text
+            FROM chunks
+            WHERE id IN (${placeholders})
+        `, ids);
+    }
+
+    async getChunksByDocumentIds(documentIds) {
+        if (documentIds.length === 0) {
+            return [];
+        }
+
+        const placeholders = documentIds.map(() => '?').join(', ');
+        return this.all(`
+            SELECT id, document_id as documentId, position, start_offset as start,
+                   end_offset as end, content as text
+            FROM chunks
+            WHERE document_id IN (${placeholders})
+            ORDER BY document_id, position
+        `, documentIds);
+    }
+
+    // Chunks with no vector, or a vector from a different embedding model
+    async getChunksWithoutEmbeddings(embeddingModel, limit = 100) {
+        return this.all(`
+            SELECT id, content as text FROM chunks
+            WHERE embedding IS NULL OR embedding_model IS NOT ?
+            ORDER BY id
+            LIMIT ?
+        `, [embeddingModel, limit]);
+    }
+
+    async setChunkEmbedding(chunkId, embedding, embeddingModel) {
+        return this.run(
+            'UPDATE chunks SET embedding = ?, embedding_model = ? WHERE id = ?',
+            [encodeVector(embedding), embeddingModel, chunkId]
+        );
+    }
+
+    // Documents that have not been split into chunks yet
+    async getUnchunkedDocumentIds() {
+        const rows = await this.all(`
+            SELECT d.id FROM documents d
+            WHERE NOT EXISTS (SELECT 1 FROM chunks c WHERE c.document_id = d.id)
+        `);
+        return rows.map(row => row.id);
+    }
+
+    // Queue one job per file of a batch; files are [{ filename, filePath }]
+    async createIngestionJobs(batchId, files, maxAttempts, ownerId = null, workspaceId = null) {
+        const now = new Date().toISOString();
+        return this.transaction(async () => {
+            const ids = [];
+            for (const file of files) {
+                const result = await this.run(`
+                    INSERT INTO ingestion_jobs (batch_id, filename, file_path, max_attempts, run_after, created_at,
+                                                updated_at, owner_id, workspace_id)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [batchId, file.filename, file.filePath, maxAttempts, now, now, now, ownerId, workspaceId]);
+                ids.push(result.lastID);
+            }
+            return ids;
+        });
+    }
+
+    // Atomically take the oldest job that is due and mark it as processing
+    async claimIngestionJob() {
+        const now = new Date().toISOString();
+        return this.transaction(async () => {
+            const job = await this.get(`
+                SELECT ${JOB_COLUMNS}, file_path as filePath
+                FROM ingestion_jobs
+                WHERE status = 'queued' AND run_after <= ?
+                ORDER BY id
+                LIMIT 1
+            `, [now]);
+            if (!job) {
+                return null;
+            }
+
+            await this.run(`
+                UPDATE ingestion_jobs
+                SET status = 'processing', stage = 'extracting', attempts = attempts + 1,
+                    started_at = ?, updated_at = ?
+                WHERE id = ?
+            `, [now, now, job.id]);
+            return { ...job, status: 'processing', stage: 'extracting', attempts: job.attempts + 1 };
+        });
+    }
+
+    // fields: any of status, stage, error, documentId, runAfter, finishedAt
+    async updateIngestionJob(id, fields) {
+        const columns = {
+            status: 'status',
+            stage: 'stage',
+            error: 'error',
+            documentId: 'document_id',
+            runAfter: 'run_after',
+            finishedAt: 'finished_at'
+        };
+        const entries = Object.entries(fields).filter(([key]) => columns[key]);
+        const assignments = entries.map(([key]) => `${columns[key]} = ?`);
+
+        return this.run(
+            `UPDATE ingestion_jobs SET ${assignments.join(', ')}, updated_at = ? WHERE id = ?`,
+            [...entries.map(([, value]) => value), new Date().toISOString(), id]
+        );
+    }
+
+    async getIngestionJob(id) {
+        return this.get(`SELECT ${JOB_COLUMNS} FROM ingestion_jobs WHERE id = ?`, [id]);
+    }
+
+    async getIngestionJobsByBatch(batchId) {
+        return this.all(`SELECT ${JOB_COLUMNS} FROM ingestion_jobs WHERE batch_id = ? ORDER BY id`, [batchId]);
+    }
+
+    // Jobs left processing by a crash or restart go back to the queue
+    async requeueInterruptedJobs() {
+        const result = await this.run(`
+            UPDATE ingestion_jobs SET status = 'queued', stage = 'queued', updated_at = ?
+            WHERE status = 'processing'
+        `, [new Date().toISOString()]);
+        return result.changes;
+    }
+
+    // Who may reach a document: { ownerId, workspaceId, sharedWith: [workspace ids] },
+    // or undefined when the document does not exist
+    async getDocumentAccess(id) {
+        const document = await this.get(
+            'SELECT owner_id as ownerId, workspace_id as workspaceId FROM documents WHERE id = ?',
+            [id]
+        );
+        if (!document) {
+            return undefined;
+        }
+        const shares = await this.all('SELECT workspace_id as workspaceId FROM document_shares WHERE document_id = ?', [id]);
+        return { ...document, sharedWith: shares.map(share => share.workspaceId) };
+    }
+
+    // Give documents from before accounts existed to a user and workspace; resolves to how many
+    async assignUnownedDocuments(userId, workspaceId) {
+        const result = await this.run(
+            'UPDATE documents SET owner_id = ?, workspace_id = ? WHERE owner_id IS NULL',
+            [userId, workspaceId]
+        );
+        return result.changes;
+    }
+
+    // Documents a workspace can see: its own plus those shared into it
+    async getVisibleDocumentIds(workspaceId) {
+        const rows = await this.all(`
+            SELECT id FROM documents WHERE workspace_id = ?
+            UNION
+            SELECT document_id FROM document_shares WHERE workspace_id = ?
+        `, [workspaceId, workspaceId]);
+        return rows.map(row => row.id);
+    }
+
+    // Creates the workspace with its creator as admin
+    async createWorkspace(name, userId) {
+        return this.transaction(async () => {
+            const now = new Date().toISOString();
+            const result = await this.run(
+                'INSERT INTO workspaces (name, created_by, created_at) VALUES (?, ?, ?)',
+                [name, userId, now]
+            );
+            await this.run(
+                "INSERT INTO workspace_members (workspace_id, user_id, role, added_at) VALUES (?, ?, 'admin', ?)",
+                [result.lastID, userId, now]
+            );
+            return this.getWorkspace(result.lastID);
+        });
+    }
+
+    async getWorkspace(id) {
+        return this.get(`
+            SELECT w.id, w.name, w.created_at as createdAt,
+                   (SELECT COUNT(*) FROM documents d WHERE d.workspace_id = w.id) as documentCount
+            FROM workspaces w WHERE w.id = ?
+        `, [id]);
+    }
+
+    // Workspaces a user belongs to with their role, oldest (the personal one) first
+    async getWorkspacesForUser(userId) {
+        return this.all(`
+            SELECT w.id, w.name, w.created_at as createdAt, m.role,
+                   (SELECT COUNT(*) FROM documents d WHERE d.workspace_id = w.id) as documentCount
+            FROM workspace_members m JOIN workspaces w ON w.id = m.workspace_id
+            WHERE m.user_id = ?
+            ORDER BY w.id
+        `, [userId]);
+    }
+
+    async getWorkspaceRole(workspaceId, userId) {
+        const row = await this.get(
+            'SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+            [workspaceId, userId]
+        );
+        return row ? row.role : null;
+    }
+
+    async getWorkspaceMembers(workspaceId) {
+        return this.all(`
+            SELECT u.id, u.username, m.role, m.added_at as addedAt
+            FROM workspace_members m JOIN users u ON u.id = m.user_id
+            WHERE m.workspace_id = ?
+            ORDER BY u.username
+        `, [workspaceId]);
+    }
+
+    // Add a member or change their role
+    async setWorkspaceMember(workspaceId, userId, role) {
+        await this.run(`
+            INSERT INTO workspace_members (workspace_id, user_id, role, added_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = excluded.role
+        `, [workspaceId, userId, role, new Date().toISOString()]);
+    }
+
+    // Former members' saved searches and notifications there go with them
+    async removeWorkspaceMember(workspaceId, userId) {
+        return this.transaction(async () => {
+            const result = await this.run(
+                'DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+                [workspaceId, userId]
+            );
+            await this.run('DELETE FROM notifications WHERE workspace_id = ? AND user_id = ?', [workspaceId, userId]);
+            await this.run('DELETE FROM saved_searches WHERE workspace_id = ? AND user_id = ?', [workspaceId, userId]);
+            return result.changes > 0;
+        });
+    }
+
+    async countWorkspaceAdmins(workspaceId) {
+        const row = await this.get(
+            "SELECT COUNT(*) as count FROM workspace_members WHERE workspace_id = ? AND role = 'admin'",
+            [workspaceId]
+        );
+        return row.count;
+    }
+
+    async renameWorkspace(id, name) {
+        await this.run('UPDATE workspaces SET name = ? WHERE id = ?', [name, id]);
+    }
+
+    // Only empty workspaces are deleted; shares into it, its collections, search history, saved
+    // searches and webhooks go with it
+    async deleteWorkspace(id) {
+        return this.transaction(async () => {
+            await this.run(`
+                DELETE FROM collection_documents
+                WHERE collection_id IN (SELECT id FROM collections WHERE workspace_id = ?)
+            `, [id]);
+            await this.run('DELETE FROM collections WHERE workspace_id = ?', [id]);
+            await this.run('DELETE FROM workspace_members WHERE workspace_id = ?', [id]);
+            await this.run('DELETE FROM document_shares WHERE workspace_id = ?', [id]);
+            await this.run(`
+                DELETE FROM search_clicks
+                WHERE search_id IN (SELECT id FROM search_history WHERE workspace_id = ?)
+            `, [id]);
+            await this.run('DELETE FROM search_history WHERE workspace_id = ?', [id]);
+            await this.run('DELETE FROM notifications WHERE workspace_id = ?', [id]);
+            await this.run('DELETE FROM saved_searches WHERE workspace_id = ?', [id]);
+            await this.run(`
+                DELETE FROM webhook_delivery_attempts
+                WHERE delivery_id IN (
+                    SELECT d.id FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                    WHERE w.workspace_id = ?
+                )
+            `, [id]);
+            await this.run(`
+                DELETE FROM webhook_deliveries
+                WHERE webhook_id IN (SELECT id FROM webhooks WHERE workspace_id = ?)
+            `, [id]);
+            await this.run('DELETE FROM webhooks WHERE workspace_id = ?', [id]);
+            await this.run('DELETE FROM workspaces WHERE id = ?', [id]);
+        });
+    }
+
+    async shareDocument(documentId, workspaceId, userId) {
+        await this.run(`
+            INSERT OR IGNORE INTO document_shares (document_id, workspace_id, shared_by, shared_at)
+            VALUES (?, ?, ?, ?)
+        `, [documentId, workspaceId, userId, new Date().toISOString()]);
+        this.vocabularyVersion++;
+    }
+
+    // The document also leaves the workspace's collections
+    async unshareDocument(documentId, workspaceId) {
+        const unshared = await this.transaction(async () => {
+            const result = await this.run(
+                'DELETE FROM document_shares WHERE document_id = ? AND workspace_id = ?',
+                [documentId, workspaceId]
+            );
+            await this.run(`
+                DELETE FROM collection_documents
+                WHERE document_id = ? AND collection_id IN (SELECT id FROM collections WHERE workspace_id = ?)
+            `, [documentId, workspaceId]);
+            await this.run('DELETE FROM notifications WHERE document_id = ? AND workspace_id = ?', [documentId, workspaceId]);
+            return result.changes > 0;
+        });
+        this.vocabularyVersion++;
+        return unshared;
+    }
+
+    async getDocumentShares(documentId) {
+        return this.all(`
+            SELECT s.workspace_id as workspaceId, w.name, s.shared_at as sharedAt
+            FROM document_shares s JOIN workspaces w ON w.id = s.workspace_id
+            WHERE s.document_id = ?
+            ORDER BY w.name
+        `, [documentId]);
+    }
+
+    // Give every user a workspace and put documents and jobs from before workspaces existed
+    // into their owner's first workspace
+    async migrateToWorkspaces() {
+        const users = await this.all(`
+            SELECT id, username FROM users
+            WHERE id NOT IN (SELECT user_id FROM workspace_members)
+        `);
+        for (const user of users) {
+            await this.createWorkspace(user.username, user.id);
+        }
+
+        for (const table of ['documents', 'ingestion_jobs']) {
+            await this.run(`
+                UPDATE ${table}
+                SET workspace_id = (SELECT MIN(m.workspace_id) FROM workspace_members m
+                                    WHERE m.user_id = ${table}.owner_id AND m.role = 'admin')
+                WHERE workspace_id IS NULL AND owner_id IS NOT NULL
+            `);
+        }
+    }
+
+    // Replace a document's tags with these names, creating tags as needed. Call inside a transaction.
+    async setDocumentTags(id, names) {
+        await this.run('DELETE FROM document_tags WHERE document_id = ?', [id]);
+        await this.runBatch('INSERT OR IGNORE INTO tags (name) VALUES (?)', names.map(name => [name]));
+        await this.runBatch(`
+            INSERT OR IGNORE INTO document_tags (document_id, tag_id)
+            SELECT ?, id FROM tags WHERE name = ?
+        `, names.map(name => [id, name]));
+        await this.deleteUnusedTags();
+    }
+
+    async deleteUnusedTags() {
+        await this.run('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM document_tags)');
+    }
+
+    // fields: any of title, author, description (null clears); tags: names, or undefined to keep them
+    async updateDocumentMetadata(id, fields, tags) {
+        return this.transaction(async () => {
+            const columns = Object.keys(fields);
+            if (columns.length > 0) {
+                await this.run(
+                    `UPDATE documents SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                    [...columns.map(column => fields[column]), id]
+                );
+            }
+            if (tags !== undefined) {
+                await this.setDocumentTags(id, tags);
+            }
+        });
+    }
+
+    // Tags used by these documents, most used first
+    async getTagCounts(documentIds) {
+        if (documentIds.length === 0) {
+            return [];
+        }
+        const rows = [];
+        for (let i = 0; i < documentIds.length; i += 500) {
+            const batch = documentIds.slice(i, i + 500);
+            rows.push(...await this.all(`
+                SELECT t.name, dt.document_id as documentId FROM document_tags dt
+                JOIN tags t ON t.id = dt.tag_id
+                WHERE dt.document_id IN (${batch.map(() => '?').join(', ')})
+            `, batch));
+        }
+
+        const counts = new Map();
+        for (const row of rows) {
+            counts.set(row.name, (counts.get(row.name) || 0) + 1);
+        }
+        return Array.from(counts, ([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    // Rename a tag on one workspace's own documents, merging it into `to` where both are set.
+    // Resolves to the number of documents changed.
+    async renameWorkspaceTag(workspaceId, from, to) {
+        return this.transaction(async () => {
+            const rows = await this.all(`
+                SELECT dt.document_id as documentId FROM document_tags dt
+                JOIN tags t ON t.id = dt.tag_id JOIN documents d ON d.id = dt.document_id
+                WHERE t.name = ? AND d.workspace_id = ?
+            `, [from, workspaceId]);
+            const ids = rows.map(row => row.documentId);
+
+            // Tag names are compared without case, so a change of case only respells the tag
+            if (from.toLowerCase() === to.toLowerCase()) {
+                await this.run('UPDATE tags SET name = ? WHERE name = ?', [to, from]);
+                return ids.length;
+            }
+
+            await this.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [to]);
+            const target = await this.get('SELECT id FROM tags WHERE name = ?', [to]);
+            await this.runBatch(`
+                DELETE FROM document_tags WHERE document_id = ? AND tag_id = (SELECT id FROM tags WHERE name = ?)
+            `, ids.map(id => [id, from]));
+            await this.runBatch(
+                'INSERT OR IGNORE INTO document_tags (document_id, tag_id) VALUES (?, ?)',
+                ids.map(id => [id, target.id])
+            );
+            await this.deleteUnusedTags();
+            return ids.length;
+        });
+    }
+
+    // Remove a tag from one workspace's own documents; resolves to the number of documents changed
+    async removeWorkspaceTag(workspaceId, name) {
+        return this.transaction(async () => {
+            const result = await this.run(`
+                DELETE FROM document_tags
+                WHERE tag_id = (SELECT id FROM tags WHERE name = ?)
+                  AND document_id IN (SELECT id FROM documents WHERE workspace_id = ?)
+            `, [name, workspaceId]);
+            await this.deleteUnusedTags();
+            return result.changes;
+        });
+    }
+
+    async createCollection(workspaceId, { name, description = null }, userId) {
+        const result = await this.run(`
+            INSERT INTO collections (workspace_id, name, description, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [workspaceId, name, description, userId, new Date().toISOString()]);
+        return this.getCollection(result.lastID);
+    }
+
+    async getCollection(id) {
+        return this.get(`
+            SELECT c.id, c.workspace_id as workspaceId, c.name, c.description, c.created_at as createdAt,
+                   (SELECT COUNT(*) FROM collection_documents cd WHERE cd.collection_id = c.id) as documentCount
+            FROM collections c WHERE c.id = ?
+        `, [id]);
+    }
+
+    async getCollectionByName(workspaceId, name) {
+        return this.get('SELECT id, name FROM collections WHERE workspace_id = ? AND name = ?', [workspaceId, name]);
+    }
+
+    async getCollections(workspaceId) {
+        return this.all(`
+            SELECT c.id, c.workspace_id as workspaceId, c.name, c.description, c.created_at as createdAt,
+                   (SELECT COUNT(*) FROM collection_documents cd WHERE cd.collection_id = c.id) as documentCount
+            FROM collections c WHERE c.workspace_id = ?
+            ORDER BY c.name
+        `, [workspaceId]);
+    }
+
+    // fields: any of name, description
+    async updateCollection(id, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length > 0) {
+            await this.run(
+                `UPDATE collections SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => fields[column]), id]
+            );
+        }
+        return this.getCollection(id);
+    }
+
+    // The documents themselves are kept
+    async deleteCollection(id) {
+        return this.transaction(async () => {
+            await this.run('DELETE FROM collection_documents WHERE collection_id = ?', [id]);
+            await this.run('DELETE FROM collections WHERE id = ?', [id]);
+        });
+    }
+
+    async getCollectionDocumentIds(id) {
+        const rows = await this.all(
+            'SELECT document_id as documentId FROM collection_documents WHERE collection_id = ? ORDER BY added_at, document_id',
+            [id]
+        );
+        return rows.map(row => row.documentId);
+    }
+
+    // Resolves to false when the document was already in the collection
+    async addToCollection(collectionId, documentId) {
+        const result = await this.run(`
+            INSERT OR IGNORE INTO collection_documents (collection_id, document_id, added_at) VALUES (?, ?, ?)
+        `, [collectionId, documentId, new Date().toISOString()]);
+        return result.changes > 0;
+    }
+
+    async removeFromCollection(collectionId, documentId) {
+        const result = await this.run(
+            'DELETE FROM collection_documents WHERE collection_id = ? AND document_id = ?',
+            [collectionId, documentId]
+        );
+        return result.changes > 0;
+    }
+
+    // Names of one workspace's collections per document id
+    async getDocumentCollections(workspaceId) {
+        const rows = await this.all(`
+            SELECT cd.document_id as documentId, c.name FROM collection_documents cd
+            JOIN collections c ON c.id = cd.collection_id
+            WHERE c.workspace_id = ?
+            ORDER BY c.name
+        `, [workspaceId]);
+
+        const byDocument = new Map();
+        for (const row of rows) {
+            byDocument.set(row.documentId, [...(byDocument.get(row.documentId) || []), row.name]);
+        }
+        return byDocument;
+    }
+
+    async createSavedSearch(workspaceId, userId, { name, query, filters = {}, webhookId = null }) {
+        const now = new Date().toISOString();
+        const result = await this.run(`
+            INSERT INTO saved_searches (workspace_id, user_id, name, query, filters, webhook_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [workspaceId, userId, name, query, JSON.stringify(filters), webhookId, now, now]);
+        return this.getSavedSearch(result.lastID);
+    }
+
+    async getSavedSearch(id) {
+        return toSavedSearch(await this.get(`SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches WHERE id = ?`, [id]));
+    }
+
+    // One user's saved searches in a workspace, or everyone's when userId is null. Searches of
+    // users who left the workspace are kept but skipped until they are members again; site
+    // admins can use every workspace.
+    async getSavedSearches(workspaceId, userId = null) {
+        const rows = await this.all(`
+            SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches
+            WHERE workspace_id = ? AND (? IS NULL OR user_id = ?)
+              AND (user_id IN (SELECT m.user_id FROM workspace_members m WHERE m.workspace_id = saved_searches.workspace_id)
+                   OR user_id IN (SELECT u.id FROM users u WHERE u.role = 'admin'))
+            ORDER BY name COLLATE NOCASE, id
+        `, [workspaceId, userId, userId]);
+        return rows.map(toSavedSearch);
+    }
+
+    // fields: any of name, query, filters, webhookId
+    async updateSavedSearch(id, fields) {
+        const columns = { name: 'name', query: 'query', filters: 'filters', webhookId: 'webhook_id' };
+        const entries = Object.entries(fields)
+            .filter(([key]) => columns[key])
+            .map(([key, value]) => [key, key === 'filters' ? JSON.stringify(value) : value]);
+
+        await this.run(
+            `UPDATE saved_searches SET ${entries.map(([key]) => `${columns[key]} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+            [...entries.map(([, value]) => value), new Date().toISOString(), id]
+        );
+        return this.getSavedSearch(id);
+    }
+
+    // Its notifications go with it
+    async deleteSavedSearch(id) {
+        return this.transaction(async () => {
+            await this.run('DELETE FROM notifications WHERE saved_search_id = ?', [id]);
+            const result = await this.run('DELETE FROM saved_searches WHERE id = ?', [id]);
+            return result.changes > 0;
+        });
+    }
+
+    // Notify the owner of a saved search about documents it matches. Resolves to the ids of the
+    // documents not notified about before.
+    async addNotifications(savedSearch, documentIds) {
+        const now = new Date().toISOString();
+        return this.transaction(async () => {
+            const added = [];
+            for (const documentId of documentIds) {
+                const result = await this.run(`
+                    INSERT OR IGNORE INTO notifications (user_id, workspace_id, saved_search_id, document_id, created_at)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [savedSearch.userId, savedSearch.workspaceId, savedSearch.id, documentId, now]);
+                if (result.changes > 0) {
+                    added.push(documentId);
+                }
+            }
+            if (added.length > 0) {
+                await this.run('UPDATE saved_searches SET last_matched_at = ? WHERE id = ?', [now, savedSearch.id]);
+            }
+            return added;
+        });
+    }
+
+    // Newest first, with the saved search and document each one is about
+    async getNotifications(userId, workspaceId, { unreadOnly = false, limit = 50 } = {}) {
+        const rows = await this.all(`
+            SELECT n.id, n.created_at as createdAt, n.read_at as readAt,
+                   s.id as savedSearchId, s.name as savedSearchName, s.query,
+                   d.id as documentId, d.filename, d.title
+            FROM notifications n
+            JOIN saved_searches s ON s.id = n.saved_search_id
+            JOIN documents d ON d.id = n.document_id
+            WHERE n.user_id = ? AND n.workspace_id = ? AND (? = 0 OR n.read_at IS NULL)
+            ORDER BY n.id DESC
+            LIMIT ?
+        `, [userId, workspaceId, unreadOnly ? 1 : 0, limit]);
+
+        return rows.map(row => ({
+            id: row.id,
+            createdAt: row.createdAt,
+            readAt: row.readAt,
+            savedSearch: { id: row.savedSearchId, name: row.savedSearchName, query: row.query },
+            document: { id: row.documentId, filename: row.filename, title: row.title }
+        }));
+    }
+
+    async countUnreadNotifications(userId, workspaceId) {
+        const row = await this.get(
+            'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND workspace_id = ? AND read_at IS NULL',
+            [userId, workspaceId]
+        );
+        return row.count;
+    }
+
+    // Resolves to false when the user has no such notification in the workspace; marking one
+    // that is already read keeps its first read time
+    async markNotificationRead(id, userId, workspaceId) {
+        const result = await this.run(`
+            UPDATE notifications SET read_at = COALESCE(read_at, ?)
+            WHERE id = ? AND user_id = ? AND workspace_id = ?
+        `, [new Date().toISOString(), id, userId, workspaceId]);
+        return result.changes > 0;
+    }
+
+    // Resolves to the number of notifications marked
+    async markAllNotificationsRead(userId, workspaceId) {
+        const result = await this.run(`
+            UPDATE notifications SET read_at = ?
+            WHERE user_id = ? AND workspace_id = ? AND read_at IS NULL
+        `, [new Date().toISOString(), userId, workspaceId]);
+        return result.changes;
+    }
+
+    async createWebhook(workspaceId, { url, events, secret, description = null, active = true }, userId) {
+        const now = new Date().toISOString();
+        const result = await this.run(`
+            INSERT INTO webhooks (workspace_id, url, events, secret, description, active, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [workspaceId, url, JSON.stringify(events), secret, description, Number(active), userId, now, now]);
+        return this.getWebhook(result.lastID);
+    }
+
+    async getWebhook(id) {
+        return toWebhook(await this.get(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`, [id]));
+    }
+
+    async getWebhooks(workspaceId) {
+        const rows = await this.all(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE workspace_id = ? ORDER BY id`, [workspaceId]);
+        return rows.map(toWebhook);
+    }
+
+    // Ids of the active webhooks of a workspace subscribed to an event type
+    async getSubscribedWebhookIds(workspaceId, event) {
+        const rows = await this.all('SELECT id, events FROM webhooks WHERE workspace_id = ? AND active = 1', [workspaceId]);
+        return rows.filter(row => JSON.parse(row.events).includes(event)).map(row => row.id);
+    }
+
+    // fields: any of url, events, secret, description, active
+    async updateWebhook(id, fields) {
+        const entries = Object.entries(fields)
+            .filter(([key]) => ['url', 'events', 'secret', 'description', 'active'].includes(key))
+            .map(([key, value]) => [key, key === 'events' ? JSON.stringify(value) : key === 'active' ? Number(value) : value]);
+
+        await this.run(
+            `UPDATE webhooks SET ${entries.map(([key]) => `${key} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+            [...entries.map(([, value]) => value), new Date().toISOString(), id]
+        );
+        return this.getWebhook(id);
+    }
+
+    // Its delivery log goes with it, and saved searches sending to it stop
+    async deleteWebhook(id) {
+        return this.transaction(async () => {
+            await this.run(`
+                DELETE FROM webhook_delivery_attempts
+                WHERE delivery_id IN (SELECT id FROM webhook_deliveries WHERE webhook_id = ?)
+            `, [id]);
+            await this.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+            await this.run('UPDATE saved_searches SET webhook_id = NULL WHERE webhook_id = ?', [id]);
+            const result = await this.run('DELETE FROM webhooks WHERE id = ?', [id]);
+            return result.changes > 0;
+        });
+    }
+
+    // Queue one delivery of an event per webhook; resolves to the new delivery ids
+    async createWebhookDeliveries(webhookIds, event, payload, maxAttempts) {
+        const now = new Date().toISOString();
+        return this.transaction(async () => {
+            const ids = [];
+            for (const webhookId of webhookIds) {
+                const result = await this.run(`
+                    INSERT INTO webhook_deliveries (webhook_id, event, payload, max_attempts, run_after, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [webhookId, event, payload, maxAttempts, now, now, now]);
+                ids.push(result.lastID);
+            }
+            return ids;
+        });
+    }
+
+    // Atomically take the oldest delivery that is due and mark it as delivering, with what is
+    // needed to send it: the payload and the webhook's url and secret
+    async claimWebhookDelivery() {
+        const now = new Date().toISOString();
+        return this.transaction(async () => {
+            const delivery = await this.get(`
+                SELECT d.id, d.webhook_id as webhookId, d.event, d.payload, d.attempts, d.max_attempts as maxAttempts,
+                       w.url, w.secret
+                FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                WHERE d.status = 'queued' AND d.run_after <= ?
+                ORDER BY d.id
+                LIMIT 1
+            `, [now]);
+            if (!delivery) {
+                return null;
+            }
+
+            await this.run(`
+                UPDATE webhook_deliveries SET status = 'delivering', attempts = attempts + 1, updated_at = ?
+                WHERE id = ?
+            `, [now, delivery.id]);
+            return { ...delivery, attempts: delivery.attempts + 1 };
+        });
+    }
+
+    // fields: any of status, runAfter, responseStatus, error, durationMs, deliveredAt
+    async updateWebhookDelivery(id, fields) {
+        const columns = {
+            status: 'status',
+            runAfter: 'run_after',
+            responseStatus: 'response_status',
+            error: 'error',
+            durationMs: 'duration_ms',
+            deliveredAt: 'delivered_at'
+        };
+        const entries = Object.entries(fields).filter(([key]) => columns[key]);
+
+        return this.run(
+            `UPDATE webhook_deliveries SET ${entries.map(([key]) => `${columns[key]} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+            [...entries.map(([, value]) => value), new Date().toISOString(), id]
+        );
+    }
+
+    // Log one attempt at a delivery; attempt counts from 1
+    async addWebhookDeliveryAttempt(deliveryId, attempt, { responseStatus, error, durationMs }) {
+        return this.run(`
+            INSERT INTO webhook_delivery_attempts (delivery_id, attempt, response_status, error, duration_ms, attempted_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [deliveryId, attempt, responseStatus, error, durationMs, new Date().toISOString()]);
+    }
+
+    // The delivery log of a webhook, newest first
+    async getWebhookDeliveries(webhookId, limit = 50) {
+        return this.all(
+            `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?`,
+            [webhookId, limit]
+        );
+    }
+
+    // One delivery with the JSON payload that was sent and its attempts, oldest first
+    async getWebhookDelivery(id) {
+        const row = await this.get(`SELECT ${DELIVERY_COLUMNS}, payload FROM webhook_deliveries WHERE id = ?`, [id]);
+        if (!row) {
+            return row;
+        }
+        const history = await this.all(`
+            SELECT attempt, response_status as responseStatus, error, duration_ms as durationMs, attempted_at as attemptedAt
+            FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempt
+        `, [id]);
+        return { ...row, payload: JSON.parse(row.payload), history };
+    }
+
+    // Deliveries left delivering by a crash or restart go back to the queue
+    async requeueInterruptedDeliveries() {
+        const result = await this.run(`
+            UPDATE webhook_deliveries SET status = 'queued', updated_at = ? WHERE status = 'delivering'
+        `, [new Date().toISOString()]);
+        return result.changes;
+    }
+
+    // The oldest workspace the first site admin administers, where watched directories are
+    // ingested unless configured otherwise
+    async getFirstAdminWorkspaceId() {
+        const row = await this.get(`
+            SELECT MIN(m.workspace_id) as workspaceId
+            FROM workspace_members m
+            WHERE m.role = 'admin' AND m.user_id = (SELECT MIN(id) FROM users WHERE role = 'admin')
+        `);
+        return row.workspaceId;
+    }
+
+    // The longest-standing admin of a workspace, who owns documents no user uploaded
+    async getWorkspaceOwnerId(workspaceId) {
+        const row = await this.get(`
+            SELECT user_id as userId FROM workspace_members
+            WHERE workspace_id = ? AND role = 'admin'
+            ORDER BY added_at, user_id
+            LIMIT 1
+        `, [workspaceId]);
+        return row ? row.userId : null;
+    }
+
+    // documentDeleted is true when the file's document no longer exists, e.g. deleted through the API
+    async getWatchedFiles(root) {
+        const rows = await this.all(`
+            SELECT f.path, f.mtime_ms as mtimeMs, f.size, f.document_id as documentId, f.error, f.synced_at as syncedAt,
+                   f.document_id IS NOT NULL AND d.id IS NULL as documentDeleted
+            FROM watched_files f LEFT JOIN documents d ON d.id = f.document_id
+            WHERE f.root = ?
+        `, [root]);
+        return rows.map(row => ({ ...row, documentDeleted: Boolean(row.documentDeleted) }));
+    }
+
+    async setWatchedFile(root, filePath, { mtimeMs, size, documentId = null, error = null }) {
+        await this.run(`
+            INSERT INTO watched_files (root, path, mtime_ms, size, document_id, error, synced_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (root, path) DO UPDATE SET
+                mtime_ms = excluded.mtime_ms, size = excluded.size, document_id = excluded.document_id,
+                error = excluded.error, synced_at = excluded.synced_at
+        `, [root, filePath, mtimeMs, size, documentId, error, new Date().toISOString()]);
+    }
+
+    async deleteWatchedFile(root, filePath) {
+        await this.run('DELETE FROM watched_files WHERE root = ? AND path = ?', [root, filePath]);
+    }
+
+    // Record a scan of a watched directory: lastSyncAt when it completed, otherwise the error
+    // (keeping the time of the last complete one)
+    async setWatchedRootSync(root, workspaceId, { lastSyncAt = null, error = null }) {
+        await this.run(`
+            INSERT INTO watched_roots (path, workspace_id, last_sync_at, last_error) VALUES (?, ?, ?, ?)
+            ON CONFLICT (path) DO UPDATE SET
+                workspace_id = COALESCE(excluded.workspace_id, workspace_id),
+                last_sync_at = COALESCE(excluded.last_sync_at, last_sync_at),
+                last_error = excluded.last_error
+        `, [root, workspaceId, lastSyncAt, error]);
+    }
+
+    // Per watched directory: workspaceId, lastSyncAt, lastError and counts of its tracked files
+    async getWatchedRoots() {
+        return this.all(`
+            SELECT r.path, r.workspace_id as workspaceId, r.last_sync_at as lastSyncAt, r.last_error as lastError,
+                   (SELECT COUNT(*) FROM watched_files f WHERE f.root = r.path AND f.error IS NULL) as files,
+                   (SELECT COUNT(*) FROM watched_files f WHERE f.root = r.path AND f.error IS NOT NULL) as failedFiles
+            FROM watched_roots r
+        `);
+    }
+
+    // Includes the password hash, for login only
+    async getUserByUsername(username) {
+        return this.get(
+            `SELECT ${USER_COLUMNS}, u.password_hash as passwordHash FROM users u WHERE u.username = ?`,
+            [username]
+        );
+    }
+
+    // The first account becomes the admin, later ones are users, or are not created when
+    // firstOnly (resolves to null then). Counting and inserting share a transaction, so of
+    // concurrent first sign-ups only one becomes the admin.
+    async createUser({ username, passwordHash, firstOnly = false }) {
+        return this.transaction(async () => {
+            const { count } = await this.get('SELECT COUNT(*) as count FROM users');
+            if (count > 0 && firstOnly) {
+                return null;
+            }
+            const result = await this.run(
+                'INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)',
+                [username, passwordHash, count === 0 ? 'admin' : 'user', new Date().toISOString()]
+            );
+            return this.get(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`, [result.lastID]);
+        });
+    }
+
+    // Expired sessions are dropped whenever a new one starts
+    async createSession(tokenHash, userId, expiresAt) {
+        const now = new Date().toISOString();
+        await this.run('DELETE FROM sessions WHERE expires_at <= ?', [now]);
+        await this.run(
+            'INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+            [tokenHash, userId, now, expiresAt]
+        );
+    }
+
+    async deleteSession(tokenHash) {
+        await this.run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+    }
+
+    async getSessionUser(tokenHash, now) {
+        return this.get(`
+            SELECT ${USER_COLUMNS}
+            FROM sessions s JOIN users u ON u.id = s.user_id
+            WHERE s.token_hash = ? AND s.expires_at > ?
+        `, [tokenHash, now]);
+    }
+
+    async createApiKey({ userId, name, prefix, keyHash }) {
+        const result = await this.run(
+            'INSERT INTO api_keys (user_id, name, prefix, key_hash, created_at) VALUES (?, ?, ?, ?, ?)',
+            [userId, name, prefix, keyHash, new Date().toISOString()]
+        );
+        const [apiKey] = (await this.getApiKeys(userId)).filter(key => key.id === result.lastID);
+        return apiKey;
+    }
+
+    async getApiKeys(userId) {
+        return this.all(`
+            SELECT id, name, prefix, created_at as createdAt, last_used_at as lastUsedAt
+            FROM api_keys WHERE user_id = ? ORDER BY id
+        `, [userId]);
+    }
+
+    async deleteApiKey(userId, id) {
+        const result = await this.run('DELETE FROM api_keys WHERE user_id = ? AND id = ?', [userId, id]);
+        return result.changes > 0;
+    }
+
+    // The owner of an API key, recording that the key was used
+    async useApiKey(keyHash, now) {
+        const user = await this.get(`
+            SELECT ${USER_COLUMNS}
+            FROM api_keys k JOIN users u ON u.id = k.user_id
+            WHERE k.key_hash = ?
+        `, [keyHash]);
+        if (user) {
+            await this.run('UPDATE api_keys SET last_used_at = ? WHERE key_hash = ?', [now, keyHash]);
+        }
+        return user;
+    }
+
+    // Totals over the documents a workspace can see, or over all documents without one
+    async getStats(workspaceId = null) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT 
+                    COUNT(*) as totalDocuments,
+                    COALESCE(SUM(word_count), 0) as totalWordCount,
+                    COALESCE(SUM(page_count), 0) as totalPageCount,
+                    COALESCE(SUM(file_size), 0) as totalFileSize
+                FROM documents
+                ${workspaceId === null ? '' : `WHERE workspace_id = ?
+                   OR id IN (SELECT document_id FROM document_shares WHERE workspace_id = ?)`}
+            `;
+            
+            this.db.get(query, workspaceId === null ? [] : [workspaceId, workspaceId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || {
+                        totalDocuments: 0,
+                        totalWordCount: 0,
+                        totalPageCount: 0,
+                        totalFileSize: 0
+                    });
+                }
+            });
+        });
+    }
+
+    async logSearch(query, resultCount, workspaceId = null) {
+        return new Promise((resolve, reject) => {
+            const insertQuery = `
+                INSERT INTO search_history (query, result_count, workspace_id)
+                VALUES (?, ?, ?)
+            `;
+            
+            this.db.run(insertQuery, [query, resultCount, workspaceId], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    // Recent searches of one workspace
+    async getSearchHistory(workspaceId, limit = 50) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT query, result_count as resultCount, searched_at as searchedAt
+                FROM search_history 
+                WHERE workspace_id = ?
+                ORDER BY searched_at DESC, id DESC
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [workspaceId, limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    // Earlier queries of a workspace starting with prefix that found something, most searched first
+    async getPopularQueries(workspaceId, prefix, limit) {
+        return this.all(`
+            SELECT lower(trim(query)) as query, COUNT(*) as searches
+            FROM search_history
+            WHERE workspace_id = ? AND result_count > 0 AND lower(trim(query)) LIKE ? ESCAPE '\\'
+            GROUP BY lower(trim(query))
+            ORDER BY searches DESC, MAX(searched_at) DESC
+            LIMIT ?
+        `, [workspaceId, prefix.replace(/[\\%_]/g, '\\$&') + '%', limit]);
+    }
+
+    // Titles (filenames for untitled documents) a workspace can see with a word starting with
+    // prefix, those starting with it first. Linked duplicates are left out.
+    async getTitlesByPrefix(workspaceId, prefix, limit) {
+        const pattern = prefix.replace(/[\\%_]/g, '\\$&') + '%';
+        const rows = await this.all(`
+            SELECT DISTINCT COALESCE(title, filename) as title
+            FROM documents
+            WHERE (workspace_id = ? OR id IN (SELECT document_id FROM document_shares WHERE workspace_id = ?))
+              AND duplicate_of IS NULL
+              AND (lower(COALESCE(title, filename)) LIKE ? ESCAPE '\\' OR lower(COALESCE(title, filename)) LIKE ? ESCAPE '\\')
+            ORDER BY lower(COALESCE(title, filename)) LIKE ? ESCAPE '\\' DESC, lower(COALESCE(title, filename))
+            LIMIT ?
+        `, [workspaceId, workspaceId, pattern, '% ' + pattern, pattern, limit]);
+        return rows.map(row => row.title);
+    }
+
+    async getSearch(id) {
+        return this.get('SELECT id, query, workspace_id as workspaceId FROM search_history WHERE id = ?', [id]);
+    }
+
+    // Resolves to false when the click was already recorded for this search
+    async logSearchClick(searchId, documentId, position) {
+        const result = await this.run(`
+            INSERT OR IGNORE INTO search_clicks (search_id, document_id, position, clicked_at) VALUES (?, ?, ?, ?)
+        `, [searchId, documentId, position, new Date().toISOString()]);
+        return result.changes > 0;
+    }
+
+    // Search analytics for one workspace over searches made at or after `since` (formatted like
+    // searched_at). Queries are grouped ignoring case and surrounding spaces.
+
+    async getSearchTotals(workspaceId, since) {
+        return this.get(`
+            SELECT COUNT(*) as searches,
+                   COUNT(DISTINCT lower(trim(query))) as distinctQueries,
+                   COALESCE(SUM(result_count = 0), 0) as zeroResultSearches,
+                   COALESCE(SUM(EXISTS (SELECT 1 FROM search_clicks c WHERE c.search_id = h.id)), 0) as searchesWithClicks,
+                   (SELECT COUNT(*) FROM search_clicks c JOIN search_history s ON s.id = c.search_id
+                    WHERE s.workspace_id = ? AND s.searched_at >= ?) as clicks
+            FROM search_history h
+            WHERE workspace_id = ? AND searched_at >= ?
+        `, [workspaceId, since, workspaceId, since]);
+    }
+
+    async getTopQueries(workspaceId, since, limit) {
+        return this.all(`
+            SELECT lower(trim(query)) as query, COUNT(*) as searches,
+                   AVG(result_count) as averageResults,
+                   SUM(result_count = 0) as zeroResultSearches,
+                   SUM(EXISTS (SELECT 1 FROM search_clicks c WHERE c.search_id = h.id)) as searchesWithClicks,
+                   MAX(searched_at) as lastSearchedAt
+            FROM search_history h
+            WHERE workspace_id = ? AND searched_at >= ?
+            GROUP BY lower(trim(query))
+            ORDER BY searches DESC, lastSearchedAt DESC
+            LIMIT ?
+        `, [workspaceId, since, limit]);
+    }
+
+    // Queries that found nothing, with the result count of their latest search so queries
+    // the corpus has since caught up with can be told apart
+    async getZeroResultQueries(workspaceId, since, limit) {
+        return this.all(`
+            SELECT lower(trim(query)) as query, COUNT(*) as searches, MAX(searched_at) as lastSearchedAt,
+                   (SELECT result_count FROM search_history latest
+                    WHERE latest.workspace_id = h.workspace_id AND lower(trim(latest.query)) = lower(trim(h.query))
+                    ORDER BY latest.searched_at DESC, latest.id DESC LIMIT 1) as latestResultCount
+            FROM search_history h
+            WHERE workspace_id = ? AND searched_at >= ? AND result_count = 0
+            GROUP BY lower(trim(query))
+            ORDER BY searches DESC, lastSearchedAt DESC
+            LIMIT ?
+        `, [workspaceId, since, limit]);
+    }
+
+    // Searches per day, or per week starting on Monday; periods without searches are absent
+    async getSearchVolume(workspaceId, since, interval) {
+        const period = interval === 'week' ? "date(searched_at, '-6 days', 'weekday 1')" : 'date(searched_at)';
+        return this.all(`
+            SELECT ${period} as period, COUNT(*) as searches, SUM(result_count = 0) as zeroResultSearches
+            FROM search_history
+            WHERE workspace_id = ? AND searched_at >= ?
+            GROUP BY period
+            ORDER BY period
+        `, [workspaceId, since]);
+    }
+
+    async getClicksByPosition(workspaceId, since) {
+        return this.all(`
+            SELECT c.position, COUNT(*) as clicks
+            FROM search_clicks c
+            JOIN search_history h ON h.id = c.search_id
+            WHERE h.workspace_id = ? AND h.searched_at >= ?
+            GROUP BY c.position
+            ORDER BY c.position
+        `, [workspaceId, since]);
+    }
+
+    // Most clicked results; filename and title are null for documents deleted since
+    async getClickedDocuments(workspaceId, since, limit) {
+        return this.all(`
+            SELECT c.document_id as documentId, d.filename, d.title, COUNT(*) as clicks,
+                   AVG(c.position) as averagePosition, COUNT(DISTINCT lower(trim(h.query))) as queries
+            FROM search_clicks c
+            JOIN search_history h ON h.id = c.search_id
+            LEFT JOIN documents d ON d.id = c.document_id
+            WHERE h.workspace_id = ? AND h.searched_at >= ?
+            GROUP BY c.document_id
+            ORDER BY clicks DESC, averagePosition
+            LIMIT ?
+        `, [workspaceId, since, limit]);
+    }
+
     close() {
         return new Promise((resolve) => {
             if (this.db) {
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { getExtractor } = require('./extractors');
+
+const SETTLE_MS = 2000; // Files modified more recently may still be being written
+
+// Continuous ingestion from directories on the server, configured by WATCH_DIRS. Each directory
+// is scanned on start, every WATCH_INTERVAL_SECONDS and shortly after file system change events
+// where fs.watch supports them. Files are tracked in watched_files by path, mtime and size:
+//   new files     - ingested as documents of the directory's workspace
+//   changed files - stored as a new version of their document
+//   deleted files - their documents are deleted
+// so a restart only picks up what changed meanwhile. A file whose document was deleted through
+// the API is ingested again, as the directory is what the workspace mirrors. A file that fails
+// to ingest is tried again when it changes or the server restarts. A directory that cannot be
+// read is left alone: its documents are only removed once a scan sees their files are gone.
+class DirectoryWatcher {
+    constructor(database, handlers, options = {}) {
+        this.db = database;
+        // ingest(filePath, filename, { ownerId, workspaceId }) => documentId
+        // replace(documentId, workspaceId, filePath, filename) => null when the document is gone
+        // remove(documentId)
+        this.handlers = handlers;
+        this.roots = options.roots || parseRoots(process.env.WATCH_DIRS);
+        this.defaultWorkspaceId = parseInt(process.env.WATCH_WORKSPACE_ID) || null;
+        this.intervalMs = options.intervalMs || (parseInt(process.env.WATCH_INTERVAL_SECONDS) || 60) * 1000;
+        this.states = new Map(this.roots.map(root => [root.path, {
+            workspaceId: null,
+            watcher: null,
+            timer: null,
+            changeTimer: null,
+            syncing: false,
+            syncAgain: false,
+            retryFailed: true
+        }]));
+    }
+
+    async start() {
+        for (const root of this.roots) {
+            const state = this.states.get(root.path);
+            state.watcher = this.watch(root);
+            state.timer = setInterval(() => this.sync(root), this.intervalMs);
+            state.timer.unref();
+            console.log(`📂 Watching ${root.path}${state.watcher ? '' : ` (every ${this.intervalMs / 1000}s)`}`);
+        }
+        for (const root of this.roots) {
+            await this.sync(root);
+        }
+    }
+
+    stop() {
+        for (const state of this.states.values()) {
+            clearInterval(state.timer);
+            clearTimeout(state.changeTimer);
+            if (state.watcher) {
+                state.watcher.close();
+            }
+        }
+    }
+
+    // Scan soon after files change; null where recursive watching is not supported, in which
+    // case the periodic scans find the changes
+    watch(root) {
+        const state = this.states.get(root.path);
+        try {
+            const watcher = fs.watch(root.path, { recursive: true, persistent: false }, () => {
+                clearTimeout(state.changeTimer);
+                state.changeTimer = setTimeout(() => this.sync(root), SETTLE_MS);
+            });
+            watcher.on('error', error => {
+                console.warn(`Stopped watching ${root.path} for changes:`, error.message);
+                watcher.close();
+                state.watcher = null;
+            });
+            return watcher;
+        } catch (error) {
+            console.warn(`Cannot watch ${root.path} for changes, scanning it periodically:`, error.message);
+            return null;
+        }
+    }
+
+    // Bring the documents in line with one directory. Scans of the same directory never overlap;
+    // a scan requested while one runs happens right after it.
+    async sync(root) {
+        const state = this.states.get(root.path);
+        if (state.syncing) {
+            state.syncAgain = true;
+            return;
+        }
+
+        state.syncing = true;
+        try {
+            do {
+                state.syncAgain = false;
+                try {
+                    await this.scan(root, state);
+                    await this.db.setWatchedRootSync(root.path, state.workspaceId, { lastSyncAt: new Date().toISOString() });
+                } catch (error) {
+                    console.warn(`Failed to sync ${root.path}:`, error.message);
+                    await this.db.setWatchedRootSync(root.path, state.workspaceId, { error: error.message });
+                }
+            } while (state.syncAgain);
+        } catch (error) {
+            console.error(`Failed to record the sync of ${root.path}:`, error.message);
+        } finally {
+            state.syncing = false;
+        }
+    }
+
+    async scan(root, state) {
+        state.workspaceId = root.workspaceId || this.defaultWorkspaceId || await this.db.getFirstAdminWorkspaceId();
+        if (!state.workspaceId || !await this.db.getWorkspace(state.workspaceId)) {
+            throw new Error('No workspace to ingest into. Create the admin account or set WATCH_WORKSPACE_ID');
+        }
+        const owner = { ownerId: await this.db.getWorkspaceOwnerId(state.workspaceId), workspaceId: state.workspaceId };
+
+        const files = await listFiles(root.path);
+        const tracked = new Map((await this.db.getWatchedFiles(root.path)).map(file => [file.path, file]));
+        const retryFailed = state.retryFailed;
+        state.retryFailed = false;
+        let settling = false;
+
+        for (const file of files) {
+            const known = tracked.get(file.path);
+            tracked.delete(file.path);
+
+            const unchanged = known && known.mtimeMs === file.mtimeMs && known.size === file.size;
+            if (unchanged && !known.documentDeleted && !(known.error && retryFailed)) {
+                continue;
+            }
+            if (Date.now() - file.mtimeMs < SETTLE_MS) {
+                settling = true; // May still be being written; picked up by the next scan
+                continue;
+            }
+            await this.syncFile(root, file, known, owner);
+        }
+
+        if (settling) {
+            clearTimeout(state.changeTimer);
+            state.changeTimer = setTimeout(() => this.sync(root), SETTLE_MS);
+        }
+
+        for (const gone of tracked.values()) {
+            if (gone.documentId) {
+                await this.handlers.remove(gone.documentId);
+                console.log(`🗑️ Removed document ${gone.documentId}: ${gone.path} was deleted from ${root.path}`);
+            }
+            await this.db.deleteWatchedFile(root.path, gone.path);
+        }
+    }
+
+    async syncFile(root, file, known, owner) {
+        const filename = path.basename(file.fullPath);
+        let documentId = known ? known.documentId : null;
+        try {
+            const replaced = documentId && await this.handlers.replace(documentId, owner.workspaceId, file.fullPath, filename);
+            if (!replaced) {
+                documentId = await this.handlers.ingest(file.fullPath, filename, owner);
+            }
+            await this.db.setWatchedFile(root.path, file.path, { mtimeMs: file.mtimeMs, size: file.size, documentId });
+            console.log(`✅ ${replaced ? 'Updated' : 'Ingested'} ${file.path} from ${root.path} (document ${documentId})`);
+        } catch (error) {
+            console.warn(`Failed to ingest ${file.path} from ${root.path}:`, error.message);
+            await this.db.setWatchedFile(root.path, file.path, {
+                mtimeMs: file.mtimeMs,
+                size: file.size,
+                documentId,
+                error: error.message
+            });
+        }
+    }
+
+    // Each configured directory with its workspace, when its last complete scan finished, the
+    // error of the last scan if it failed, and how many files are tracked or failed
+    async status() {
+        const rows = new Map((await this.db.getWatchedRoots()).map(row => [row.path, row]));
+        return this.roots.map(root => {
+            const state = this.states.get(root.path);
+            const row = rows.get(root.path) || {};
+            return {
+                path: root.path,
+                workspaceId: state.workspaceId || root.workspaceId || row.workspaceId || null,
+                watching: state.watcher ? 'events' : 'polling',
+                syncing: state.syncing,
+                lastSyncAt: row.lastSyncAt || null,
+                lastError: row.lastError || null,
+                files: row.files || 0,
+                failedFiles: row.failedFiles || 0
+            };
+        });
+    }
+}
+
+// WATCH_DIRS: comma-separated directories, each optionally followed by =<workspace id>,
+// e.g. "/srv/handbook,/srv/contracts=3". Relative paths are resolved from the working directory.
+function parseRoots(value) {
+    const roots = [];
+    for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = entry.match(/^(.*)=(\d+)$/);
+        const dir = path.resolve(match ? match[1] : entry);
+        if (!roots.some(root => root.path === dir)) {
+            roots.push({ path: dir, workspaceId: match ? Number(match[2]) : null });
+        }
+    }
+    return roots;
+}
+
+// Files below dir of a type in the extractor registry, skipping hidden files and directories, as
+// { path (relative, with forward slashes), fullPath, mtimeMs, size }
+async function listFiles(dir) {
+    const files = [];
+    const walk = async (current) => {
+        for (const entry of await fsp.readdir(current, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) {
+                continue;
+            }
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                await walk(fullPath);
+            } else if (entry.isFile() && getExtractor(path.extname(entry.name))) {
+                const stats = await fsp.stat(fullPath).catch(() => null); // Deleted since it was listed
+                if (stats) {
+                    files.push({
+                        path: path.relative(dir, fullPath).split(path.sep).join('/'),
+                        fullPath,
+                        mtimeMs: stats.mtimeMs,
+                        size: stats.size
+                    });
+                }
+            }
+        }
+    };
+    await walk(dir);
+    return files;
+}
+
+module.exports = DirectoryWatcher;
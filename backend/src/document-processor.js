@@ -1,28 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
-const pdfParse = require('pdf-parse');
-const { marked } = require('marked');
+const { getExtractor, supportedExtensions, supportedTypesLabel, openZip } = require('./extractors');
+const { fingerprint } = require('./fingerprints');
+const { ValidationError, UnprocessableFileError } = require('./errors');
 
 class DocumentProcessor {
     constructor() {
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
-        this.allowedExtensions = ['.pdf', '.txt', '.md'];
+        this.allowedExtensions = supportedExtensions(); // See extractors.js
     }
 
+    // Errors keep the retryable flag of their cause: file system errors may pass, while
+    // unsupported, oversized or unreadable files are UnprocessableFileErrors
     async processFile(filePath, originalName) {
         try {
             const extension = path.extname(originalName).toLowerCase();
+            const extractor = getExtractor(extension);
             
-            if (!this.allowedExtensions.includes(extension)) {
-                throw new Error(`Unsupported file type: ${extension}. Only PDF, TXT, and MD files are allowed.`);
+            if (!extractor) {
+                throw new UnprocessableFileError(`Unsupported file type: ${extension}. Only ${supportedTypesLabel()} files are allowed.`);
             }
 
             const stats = await fs.stat(filePath);
             if (stats.size > this.maxFileSize) {
-                throw new Error(`File too large. Maximum size is ${this.maxFileSize / (1024 * 1024)}MB.`);
+                throw new UnprocessableFileError(`File too large. Maximum size is ${this.maxFileSize / (1024 * 1024)}MB.`);
             }
 
-            let content = '';
             let metadata = {
                 originalName,
                 extension,
@@ -30,79 +33,81 @@ class DocumentProcessor {
                 processedAt: new Date().toISOString()
             };
 
-            switch (extension) {
-                case '.pdf':
-                    content = await this.processPDF(filePath);
-                    break;
-                case '.txt':
-                    content = await this.processText(filePath);
-                    break;
-                case '.md':
-                    content = await this.processMarkdown(filePath);
-                    break;
-                default:
-                    throw new Error(`Unsupported file extension: ${extension}`);
-            }
+            const data = await fs.readFile(filePath);
+            const extracted = await extractor.extract(data).catch(error => {
+                throw new UnprocessableFileError(error.message);
+            });
+            const content = extracted.content;
 
             // Add word and page count
             const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
-            const pageCount = extension === '.pdf' ? await this.countPDFPages(filePath) : 1;
+            const pageCount = extracted.pageCount || 1;
             
             metadata.wordCount = wordCount;
             metadata.pageCount = pageCount;
 
             return {
                 content,
+                pages: extracted.pages || [],
+                properties: extracted.properties || {}, // Title, author etc. declared by the file itself
+                fingerprint: fingerprint(content), // For duplicate detection, see duplicates.js
                 metadata,
                 embedding: null // Will be generated by search service
             };
 
         } catch (error) {
-            throw new Error(`Failed to process file ${originalName}: ${error.message}`);
+            const wrapped = new Error(`Failed to process file ${originalName}: ${error.message}`, { cause: error });
+            wrapped.retryable = error.retryable !== false;
+            throw wrapped;
         }
     }
 
-    async processPDF(filePath) {
+    // Unpack a .zip upload next to it: one file per supported entry, folders flattened.
+    // Resolves to { files: [{ filename, filePath }], skipped: [entry names] }. Nothing is left
+    // behind when it fails. An unreadable archive is an UnprocessableFileError, and one with
+    // more than maxFiles supported entries a ValidationError, checked before anything is unpacked.
+    async expandArchive(filePath, maxFiles = Infinity) {
+        let zip;
         try {
-            const dataBuffer = await fs.readFile(filePath);
-            const data = await pdfParse(dataBuffer);
-            return data.text || '';
+            zip = openZip(await fs.readFile(filePath));
         } catch (error) {
-            throw new Error(`Failed to parse PDF: ${error.message}`);
+            throw new UnprocessableFileError(`Failed to read zip archive: ${error.message}`);
         }
-    }
 
-    async processText(filePath) {
-        try {
-            return await fs.readFile(filePath, 'utf8');
-        } catch (error) {
-            throw new Error(`Failed to read text file: ${error.message}`);
+        const entries = [];
+        const skipped = [];
+        for (const entry of zip.getEntries()) {
+            const filename = path.posix.basename(entry.entryName);
+            if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/') || filename.startsWith('.')) {
+                continue;
+            }
+            if (!getExtractor(path.extname(filename))) {
+                skipped.push(entry.entryName);
+                continue;
+            }
+            entries.push(entry);
         }
-    }
-
-    async processMarkdown(filePath) {
-        try {
-            const markdownContent = await fs.readFile(filePath, 'utf8');
-            const html = marked(markdownContent);
-            // Extract text from HTML
-            return html.replace(/<[^>]*>/g, '').replace(/&[^;]+;/g, ' ');
-        } catch (error) {
-            throw new Error(`Failed to process markdown file: ${error.message}`);
+        if (entries.length > maxFiles) {
+            throw new ValidationError(`Too many files: the archive holds ${entries.length} supported files, only ${maxFiles} more fit in this upload`);
         }
-    }
 
-    async countPDFPages(filePath) {
-        try {
-            const dataBuffer = await fs.readFile(filePath);
-            const data = await pdfParse(dataBuffer);
-            // PDF.js doesn't always provide accurate page count, so we'll estimate
-            // Based on content length and common page lengths
-            const textLength = data.text.length;
-            const estimatedPages = Math.max(1, Math.ceil(textLength / 2000));
-            return estimatedPages;
-        } catch (error) {
-            return 1; // Default to 1 page if we can't determine
+        const files = [];
+        const directory = path.dirname(filePath);
+        for (const entry of entries) {
+            const filename = path.posix.basename(entry.entryName);
+            const entryPath = path.join(directory, `archive-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(filename).toLowerCase()}`);
+            try {
+                await fs.writeFile(entryPath, entry.getData());
+            } catch (error) {
+                for (const file of [...files, { filePath: entryPath }]) {
+                    await fs.rm(file.filePath, { force: true });
+                }
+                throw new Error(`Failed to unpack ${entry.entryName}: ${error.message}`);
+            }
+            files.push({ filename, filePath: entryPath });
         }
+
+        return { files, skipped };
     }
 
     async cleanup(filePath) {
@@ -0,0 +1,207 @@
+const { fingerprint, estimateSimilarity } = require('./fingerprints');
+
+const POLICIES = ['link', 'reject'];
+
+// Finds exact and near-duplicate documents from their fingerprints (see fingerprints.js).
+// DUPLICATE_POLICY decides what happens to an upload that matches: "link" stores it with
+// duplicate_of pointing at the original (hidden from search and listings), "reject" refuses it.
+class DuplicateDetector {
+    constructor(database) {
+        this.db = database;
+        this.policy = (process.env.DUPLICATE_POLICY || 'link').toLowerCase();
+        this.threshold = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.9; // Estimated Jaccard similarity of word shingles
+        this.queue = Promise.resolve();
+
+        if (!POLICIES.includes(this.policy)) {
+            console.warn(`Unknown DUPLICATE_POLICY "${this.policy}", using link`);
+            this.policy = 'link';
+        }
+    }
+
+    // Run check-then-insert steps one at a time, so two copies uploaded together still match
+    async exclusive(work) {
+        const previous = this.queue;
+        let release;
+        this.queue = new Promise(resolve => { release = resolve; });
+        await previous;
+
+        try {
+            return await work();
+        } finally {
+            release();
+        }
+    }
+
+    // The original an upload duplicates, as { documentId, filename, similarity, kind }, or null.
+    // Only documents of the same workspace are compared. excludeId skips a document being
+    // replaced, so a new version never matches itself.
+    async findDuplicate(print, { excludeId = null, workspaceId = null } = {}) {
+        if (!print) {
+            return null; // Nothing to compare, e.g. a scanned PDF without text
+        }
+
+        const exact = await this.db.findDocumentByContentHash(print.contentHash, excludeId, workspaceId);
+        if (exact) {
+            return this.withoutSelf(await this.toOriginal(exact, 1, 'exact'), excludeId);
+        }
+
+        const candidateIds = (await this.db.findLshCandidates(print.buckets)).filter(id => id !== excludeId);
+        const candidates = (await this.db.getDocumentSignatures(candidateIds))
+            .filter(candidate => candidate.workspaceId === workspaceId);
+        let best = null;
+        for (const candidate of candidates) {
+            const similarity = estimateSimilarity(print.minhash, candidate.minhash);
+            if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+                best = { candidate, similarity };
+            }
+        }
+        return best ? this.withoutSelf(await this.toOriginal(best.candidate, best.similarity, 'near'), excludeId) : null;
+    }
+
+    // A match whose original is the document being replaced is one of its own duplicates
+    withoutSelf(duplicate, excludeId) {
+        return duplicate.documentId === excludeId ? null : duplicate;
+    }
+
+    // Documents linked to this one that no longer match its new content
+    async staleDuplicatesOf(documentId, print) {
+        const linked = await this.db.getLinkedDuplicateIds(documentId);
+        if (!print) {
+            return linked;
+        }
+
+        const signatures = await this.db.getDocumentSignatures(linked);
+        const matching = new Set(signatures
+            .filter(doc => doc.contentHash === print.contentHash ||
+                estimateSimilarity(print.minhash, doc.minhash) >= this.threshold)
+            .map(doc => doc.id));
+        return linked.filter(id => !matching.has(id));
+    }
+
+    // Link to the original a match was itself linked to, so clusters stay one level deep
+    async toOriginal(match, similarity, kind) {
+        if (match.duplicateOf) {
+            const [original] = await this.db.getDocumentSignatures([match.duplicateOf]);
+            if (original) {
+                return { documentId: original.id, filename: original.filename, similarity, kind };
+            }
+        }
+        return { documentId: match.id, filename: match.filename, similarity, kind };
+    }
+
+    // Fingerprint documents stored before duplicate detection existed. Existing duplicates
+    // are not linked automatically; they show up in findClusters() for review.
+    async fingerprintMissingDocuments() {
+        const ids = await this.db.getUnfingerprintedDocumentIds();
+        for (const id of ids) {
+            const doc = await this.db.getDocumentById(id);
+            if (doc) {
+                await this.db.setDocumentFingerprint(id, fingerprint(doc.content));
+            }
+        }
+        return ids.length;
+    }
+
+    // Groups of documents that are duplicates of each other, whether linked or not.
+    // Candidate pairs come from shared content hashes and LSH buckets, then near matches
+    // are confirmed against the threshold and merged into clusters. Documents of different
+    // workspaces never share a cluster; workspaceId limits the clusters to one workspace.
+    async findClusters(threshold = this.threshold, workspaceId = undefined) {
+        const [allExactGroups, allCollisions] = await Promise.all([
+            this.db.getContentHashGroups(),
+            this.db.getLshCollisions()
+        ]);
+
+        const ids = [...new Set([...allExactGroups, ...allCollisions].flat())];
+        const fingerprinted = await this.db.getDocumentSignatures(ids);
+        const workspaceById = new Map(fingerprinted.map(doc => [doc.id, doc.workspaceId]));
+        const byWorkspace = groups => groups.flatMap(group => {
+            const workspaces = new Map();
+            for (const id of group) {
+                const workspace = workspaceById.get(id);
+                if (workspaceId === undefined || workspace === workspaceId) {
+                    workspaces.set(workspace, [...(workspaces.get(workspace) || []), id]);
+                }
+            }
+            return [...workspaces.values()].filter(members => members.length > 1);
+        });
+        const exactGroups = byWorkspace(allExactGroups);
+        const collisions = byWorkspace(allCollisions);
+
+        const parent = new Map();
+        const find = id => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const union = (a, b) => {
+            for (const id of [a, b]) {
+                if (!parent.has(id)) {
+                    parent.set(id, id);
+                }
+            }
+            parent.set(find(a), find(b));
+        };
+
+        const pairSimilarity = new Map(); // "a:b" -> similarity, for confirmed pairs
+        for (const group of exactGroups) {
+            for (let i = 1; i < group.length; i++) {
+                union(group[0], group[i]);
+                pairSimilarity.set(pairKey(group[0], group[i]), 1);
+            }
+        }
+
+        const signatures = new Map(fingerprinted.map(doc => [doc.id, doc.minhash]));
+        const hashes = new Map(fingerprinted.map(doc => [doc.id, doc.contentHash]));
+        for (const group of collisions) {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    const key = pairKey(group[i], group[j]);
+                    if (pairSimilarity.has(key) || !signatures.has(group[i]) || !signatures.has(group[j])) {
+                        continue;
+                    }
+                    const similarity = estimateSimilarity(signatures.get(group[i]), signatures.get(group[j]));
+                    if (similarity >= threshold) {
+                        union(group[i], group[j]);
+                        pairSimilarity.set(key, similarity);
+                    }
+                }
+            }
+        }
+
+        const clusters = new Map();
+        for (const id of parent.keys()) {
+            const root = find(id);
+            clusters.set(root, [...(clusters.get(root) || []), id]);
+        }
+
+        const members = await this.db.getDocumentSummaries([...parent.keys()]);
+        const summaryById = new Map(members.map(doc => [doc.id, doc]));
+
+        return Array.from(clusters.values()).map(ids => {
+            const similarities = [];
+            for (const [key, similarity] of pairSimilarity) {
+                const [a] = key.split(':').map(Number);
+                if (ids.includes(a)) {
+                    similarities.push(similarity);
+                }
+            }
+            return {
+                size: ids.length,
+                exact: ids.every(id => hashes.get(id) === hashes.get(ids[0])),
+                minSimilarity: Math.min(...similarities),
+                documents: ids.sort((a, b) => a - b).map(id => summaryById.get(id)).filter(Boolean)
+            };
+        }).sort((a, b) => b.size - a.size || a.documents[0].id - b.documents[0].id);
+    }
+}
+
+function pairKey(a, b) {
+    return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+DuplicateDetector.POLICIES = POLICIES;
+
+module.exports = DuplicateDetector;
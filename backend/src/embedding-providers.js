@@ -0,0 +1,160 @@
+const { tokenize, termFrequencies, isStopWord } = require('./tokenizer');
+const { fnv1a } = require('./hashing');
+
+// Every provider exposes the same shape:
+//   id            - stable identifier stored next to each vector (e.g. "openai:text-embedding-3-small")
+//   embed(texts)  - resolves to one numeric array per input text, in order
+
+// OpenAI embeddings through the official SDK
+class OpenAIEmbeddingProvider {
+    constructor({ apiKey, model = 'text-embedding-3-small' }) {
+        const { OpenAI } = require('openai');
+        this.client = new OpenAI({ apiKey });
+        this.model = model;
+        this.id = `openai:${model}`;
+    }
+
+    async embed(texts) {
+        const response = await this.client.embeddings.create({
+            model: this.model,
+            input: texts
+        });
+        return response.data.map(item => item.embedding);
+    }
+}
+
+// Any server that speaks the OpenAI /embeddings protocol (Ollama, LocalAI, vLLM, LM Studio...)
+class HttpEmbeddingProvider {
+    constructor({ baseUrl, apiKey, model, timeoutMs = 30000 }) {
+        if (!baseUrl) {
+            throw new Error('EMBEDDING_API_URL is required for the http embedding provider');
+        }
+
+        this.endpoint = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+        this.id = `http:${model || 'default'}`;
+    }
+
+    async embed(texts) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: this.model, input: texts }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Embedding endpoint returned ${response.status} ${response.statusText}`);
+        }
+
+        const body = await response.json();
+        if (!Array.isArray(body.data) || body.data.length !== texts.length) {
+            throw new Error('Embedding endpoint returned an unexpected payload');
+        }
+
+        return body.data
+            .slice()
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+    }
+}
+
+// Fully offline vectorizer: signed feature hashing of words and character trigrams.
+// Deterministic, so semantic ranking can be exercised without any network access.
+class LocalEmbeddingProvider {
+    constructor({ dimensions = 384 } = {}) {
+        this.dimensions = dimensions;
+        this.id = `local:hash-${dimensions}`;
+    }
+
+    async embed(texts) {
+        return texts.map(text => Array.from(this.vectorize(text)));
+    }
+
+    vectorize(text) {
+        const vector = new Float32Array(this.dimensions);
+        const terms = tokenize(text).filter(term => !isStopWord(term));
+
+        for (const [term, count] of termFrequencies(terms)) {
+            const weight = 1 + Math.log(count); // Sublinear term frequency
+            this.addFeature(vector, `w:${term}`, weight);
+
+            // Trigrams let related word forms ("index", "indexing") share dimensions
+            const padded = `#${term}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                this.addFeature(vector, `c:${padded.slice(i, i + 3)}`, weight * 0.3);
+            }
+        }
+
+        let norm = 0;
+        for (const value of vector) {
+            norm += value * value;
+        }
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < vector.length; i++) {
+                vector[i] /= norm;
+            }
+        }
+
+        return vector;
+    }
+
+    addFeature(vector, feature, weight) {
+        const hash = fnv1a(feature);
+        const sign = hash & 1 ? 1 : -1;
+        vector[(hash >>> 1) % this.dimensions] += sign * weight;
+    }
+}
+
+function hasOpenAIKey(env) {
+    return Boolean(env.OPENAI_API_KEY &&
+        env.OPENAI_API_KEY !== 'your_openai_api_key_here' &&
+        env.OPENAI_API_KEY.trim() !== '');
+}
+
+// Pick a backend from EMBEDDING_PROVIDER (openai | http | local | none).
+// When unset, OpenAI is used if a key is configured, otherwise embeddings are off.
+function createEmbeddingProvider(env = process.env) {
+    const name = (env.EMBEDDING_PROVIDER || (hasOpenAIKey(env) ? 'openai' : 'none')).toLowerCase();
+
+    switch (name) {
+        case 'openai':
+            if (!hasOpenAIKey(env)) {
+                throw new Error('OPENAI_API_KEY is required for the openai embedding provider');
+            }
+            return new OpenAIEmbeddingProvider({
+                apiKey: env.OPENAI_API_KEY,
+                model: env.EMBEDDING_MODEL || 'text-embedding-3-small'
+            });
+        case 'http':
+            return new HttpEmbeddingProvider({
+                baseUrl: env.EMBEDDING_API_URL,
+                apiKey: env.EMBEDDING_API_KEY,
+                model: env.EMBEDDING_MODEL,
+                timeoutMs: parseInt(env.EMBEDDING_TIMEOUT_MS) || 30000
+            });
+        case 'local':
+            return new LocalEmbeddingProvider({
+                dimensions: parseInt(env.EMBEDDING_DIMENSIONS) || 384
+            });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown embedding provider: ${name}. Use openai, http, local or none.`);
+    }
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    OpenAIEmbeddingProvider,
+    HttpEmbeddingProvider,
+    LocalEmbeddingProvider
+};
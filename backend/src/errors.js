@@ -0,0 +1,38 @@
+// Errors caused by a malformed request; routes answer these with 400 instead of 500
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+// An upload matching an existing document while DUPLICATE_POLICY=reject; answered with 409.
+// Retrying cannot help, so ingestion jobs fail on the first attempt.
+class DuplicateDocumentError extends Error {
+    constructor(duplicate) {
+        super(`Duplicate of "${duplicate.filename}" (document ${duplicate.documentId}, ${Math.round(duplicate.similarity * 100)}% similar)`);
+        this.name = 'DuplicateDocumentError';
+        this.duplicate = duplicate;
+        this.retryable = false;
+    }
+}
+
+// A file that cannot be ingested as it is: an unsupported type, too large, or content its
+// extractor cannot read. Processing it again gives the same result, so jobs do not retry it.
+class UnprocessableFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnprocessableFileError';
+        this.retryable = false;
+    }
+}
+
+// Two versions too different to diff within the limits in versions.js; answered with 422
+class DiffTooLargeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiffTooLargeError';
+    }
+}
+
+module.exports = { ValidationError, DuplicateDocumentError, UnprocessableFileError, DiffTooLargeError };
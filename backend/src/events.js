@@ -0,0 +1,25 @@
+const EventEmitter = require('events');
+
+// Document lifecycle events, published by server.js as documents are stored, changed and removed:
+//   document.added   - { document, duplicateOf } once a new document is indexed
+//   document.updated - { document, change: 'version' | 'metadata' } after a new version or a
+//                      metadata edit
+//   document.deleted - { document }, as it was before it was deleted
+//   document.failed  - { filename, error, documentId, jobId } when an upload could not be
+//                      processed; documentId is set for new versions, jobId for batch uploads
+// Listeners receive { type, workspaceId, occurredAt, data } and are called synchronously by
+// publish, so anything slow or fallible should be queued by the listener.
+const DOCUMENT_EVENTS = ['document.added', 'document.updated', 'document.deleted', 'document.failed'];
+
+class DocumentEvents extends EventEmitter {
+    publish(type, workspaceId, data) {
+        if (!DOCUMENT_EVENTS.includes(type)) {
+            throw new Error(`Unknown document event "${type}"`);
+        }
+        this.emit(type, { type, workspaceId, occurredAt: new Date().toISOString(), data });
+    }
+}
+
+DocumentEvents.TYPES = DOCUMENT_EVENTS;
+
+module.exports = DocumentEvents;
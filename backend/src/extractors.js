@@ -0,0 +1,378 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { marked } = require('marked');
+const mammoth = require('mammoth');
+const AdmZip = require('adm-zip');
+const { Parser } = require('htmlparser2');
+const { parse: parseCsv } = require('csv-parse/sync');
+
+// Every extractor exposes the same shape:
+//   label            - short name used in messages (e.g. "PDF")
+//   extensions       - lowercase file extensions it handles, with the dot
+//   extract(buffer)  - resolves to { content, pageCount?, pages?, properties? } with the plain text of the file;
+//                      pages lists { number, start, end } ranges of content for paginated formats and
+//                      properties the { title, author, subject, keywords } the file declares about itself
+
+const MAX_UNZIPPED_SIZE = 200 * 1024 * 1024; // Guard against zip bombs in DOCX/EPUB
+
+// Elements whose text is never shown to a reader
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg']);
+// Elements that start a new line of text
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main',
+    'nav', 'ol', 'p', 'pre', 'section', 'table', 'title', 'tr', 'ul'
+]);
+
+// Visible text of an HTML/XHTML document, one line per block element, entities decoded
+function htmlToText(html) {
+    const lines = [];
+    let line = '';
+    let skipDepth = 0;
+
+    const flush = () => {
+        const text = line.replace(/\s+/g, ' ').trim();
+        if (text) {
+            lines.push(text);
+        }
+        line = '';
+    };
+
+    const parser = new Parser({
+        onopentag(name) {
+            if (SKIPPED_ELEMENTS.has(name)) {
+                skipDepth++;
+            } else if (BLOCK_ELEMENTS.has(name)) {
+                flush();
+            } else if (name === 'td' || name === 'th') {
+                line += ' ';
+            }
+        },
+        ontext(text) {
+            if (skipDepth === 0) {
+                line += text;
+            }
+        },
+        onclosetag(name) {
+            if (SKIPPED_ELEMENTS.has(name)) {
+                skipDepth--;
+            } else if (BLOCK_ELEMENTS.has(name)) {
+                flush();
+            }
+        }
+    }, { decodeEntities: true, recognizeSelfClosing: true, lowerCaseTags: true });
+
+    parser.write(html);
+    parser.end();
+    flush();
+    return lines.join('\n');
+}
+
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+// Open a zip container, refusing archives that would inflate past MAX_UNZIPPED_SIZE
+function openZip(buffer) {
+    const zip = new AdmZip(buffer);
+    const inflated = zip.getEntries().reduce((total, entry) => total + entry.header.size, 0);
+    if (inflated > MAX_UNZIPPED_SIZE) {
+        throw new Error('Archive expands to more than 200MB');
+    }
+    return zip;
+}
+
+// pdf-parse's default page renderer: text items in order, a newline whenever the baseline moves
+function renderPdfPage(pageData) {
+    return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(textContent => {
+            let lastY;
+            let text = '';
+            for (const item of textContent.items) {
+                text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+                lastY = item.transform[5];
+            }
+            return text;
+        });
+}
+
+// Parses the file once, keeping each page's range in the extracted text
+class PdfExtractor {
+    constructor() {
+        this.label = 'PDF';
+        this.extensions = ['.pdf'];
+    }
+
+    async extract(buffer) {
+        const pageTexts = [];
+        let data;
+        try {
+            // pdf.js reads the whole underlying ArrayBuffer, so small Buffers sliced from
+            // Node's shared pool must be copied into memory of their own first
+            data = await pdfParse(new Uint8Array(buffer), {
+                pagerender: pageData => renderPdfPage(pageData).then(text => {
+                    pageTexts[pageData.pageIndex] = text;
+                    return text;
+                })
+            });
+        } catch (error) {
+            throw new Error(`Failed to parse PDF: ${error.message}`);
+        }
+
+        // Pages are separated by a blank line; a page that fails to render stays empty
+        let content = '';
+        const pages = [];
+        for (let i = 0; i < data.numpages; i++) {
+            if (i > 0) {
+                content += '\n\n';
+            }
+            const start = content.length;
+            content += pageTexts[i] || '';
+            pages.push({ number: i + 1, start, end: content.length });
+        }
+
+        return { content, pageCount: Math.max(1, data.numpages), pages, properties: pdfProperties(data.info) };
+    }
+}
+
+// Title, author, subject and keywords from the PDF info dictionary; blank entries are left out
+function pdfProperties(info) {
+    const clean = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+    info = info || {};
+    const properties = {
+        title: clean(info.Title),
+        author: clean(info.Author),
+        subject: clean(info.Subject),
+        keywords: clean(info.Keywords)
+    };
+    return Object.fromEntries(Object.entries(properties).filter(([, value]) => value));
+}
+
+class TextExtractor {
+    constructor() {
+        this.label = 'TXT';
+        this.extensions = ['.txt'];
+    }
+
+    async extract(buffer) {
+        return { content: stripBom(buffer.toString('utf8')) };
+    }
+}
+
+// Markdown is rendered to HTML first so the text matches what a reader sees
+class MarkdownExtractor {
+    constructor() {
+        this.label = 'MD';
+        this.extensions = ['.md', '.markdown'];
+    }
+
+    async extract(buffer) {
+        try {
+            return { content: htmlToText(marked(stripBom(buffer.toString('utf8')))) };
+        } catch (error) {
+            throw new Error(`Failed to process markdown file: ${error.message}`);
+        }
+    }
+}
+
+class HtmlExtractor {
+    constructor() {
+        this.label = 'HTML';
+        this.extensions = ['.html', '.htm'];
+    }
+
+    async extract(buffer) {
+        return { content: htmlToText(stripBom(buffer.toString('utf8'))) };
+    }
+}
+
+class DocxExtractor {
+    constructor() {
+        this.label = 'DOCX';
+        this.extensions = ['.docx'];
+    }
+
+    async extract(buffer) {
+        try {
+            openZip(buffer); // Size check only; mammoth reads the archive itself
+            const result = await mammoth.extractRawText({ buffer });
+            return { content: result.value.replace(/\n{3,}/g, '\n\n').trim() };
+        } catch (error) {
+            throw new Error(`Failed to parse DOCX: ${error.message}`);
+        }
+    }
+}
+
+// One line per row. When the first row looks like a header, every value is labelled
+// with its column name so rows stay meaningful on their own in snippets and chunks.
+class CsvExtractor {
+    constructor({ label = 'CSV', extensions = ['.csv'], delimiter = ',' } = {}) {
+        this.label = label;
+        this.extensions = extensions;
+        this.delimiter = delimiter;
+    }
+
+    async extract(buffer) {
+        let rows;
+        try {
+            rows = parseCsv(buffer, {
+                delimiter: this.delimiter,
+                bom: true,
+                relax_column_count: true,
+                relax_quotes: true,
+                skip_empty_lines: true
+            });
+        } catch (error) {
+            throw new Error(`Failed to parse ${this.label}: ${error.message}`);
+        }
+
+        if (rows.length === 0) {
+            return { content: '' };
+        }
+
+        const [header, ...body] = rows;
+        const hasHeader = body.length > 0 && header.every(cell => cell.trim() !== '' && isNaN(Number(cell)));
+        if (!hasHeader) {
+            return { content: rows.map(row => row.join(' | ')).join('\n') };
+        }
+
+        const lines = body.map(row => row
+            .map((cell, i) => (cell.trim() === '' ? null : `${header[i] || `column ${i + 1}`}: ${cell.trim()}`))
+            .filter(Boolean)
+            .join(' | '));
+        return { content: [header.join(' | '), ...lines].join('\n') };
+    }
+}
+
+// Flattened to "path: value" lines so keys are searchable next to their values
+class JsonExtractor {
+    constructor() {
+        this.label = 'JSON';
+        this.extensions = ['.json'];
+    }
+
+    async extract(buffer) {
+        let value;
+        try {
+            value = JSON.parse(stripBom(buffer.toString('utf8')));
+        } catch (error) {
+            throw new Error(`Failed to parse JSON: ${error.message}`);
+        }
+
+        const lines = [];
+        const walk = (node, prefix) => {
+            if (Array.isArray(node)) {
+                node.forEach((item, i) => walk(item, `${prefix}[${i}]`));
+            } else if (node !== null && typeof node === 'object') {
+                Object.entries(node).forEach(([key, item]) => walk(item, prefix ? `${prefix}.${key}` : key));
+            } else if (node !== null && node !== '') {
+                lines.push(prefix ? `${prefix}: ${node}` : String(node));
+            }
+        };
+        walk(value, '');
+        return { content: lines.join('\n') };
+    }
+}
+
+// Chapters are read in spine (reading) order as listed by the package document
+class EpubExtractor {
+    constructor() {
+        this.label = 'EPUB';
+        this.extensions = ['.epub'];
+    }
+
+    async extract(buffer) {
+        try {
+            const zip = openZip(buffer);
+            const readEntry = name => {
+                const entry = zip.getEntry(name);
+                if (!entry) {
+                    throw new Error(`Missing ${name}`);
+                }
+                return entry.getData().toString('utf8');
+            };
+
+            const container = readEntry('META-INF/container.xml');
+            const rootfile = findElements(container, 'rootfile')[0];
+            if (!rootfile || !rootfile['full-path']) {
+                throw new Error('No package document in META-INF/container.xml');
+            }
+
+            const packagePath = rootfile['full-path'];
+            const packageDocument = readEntry(packagePath);
+            const manifest = new Map(findElements(packageDocument, 'item').map(item => [item.id, item.href]));
+            const baseDir = path.posix.dirname(packagePath);
+
+            const chapters = findElements(packageDocument, 'itemref')
+                .map(itemref => manifest.get(itemref.idref))
+                .filter(Boolean)
+                .map(href => path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href.split('#')[0]))))
+                .map(name => htmlToText(readEntry(name)))
+                .filter(text => text.length > 0);
+
+            return { content: chapters.join('\n\n'), pageCount: Math.max(1, chapters.length) };
+        } catch (error) {
+            throw new Error(`Failed to parse EPUB: ${error.message}`);
+        }
+    }
+}
+
+// Attributes of every element with the given local name (namespace prefixes ignored)
+function findElements(xml, localName) {
+    const found = [];
+    const parser = new Parser({
+        onopentag(name, attributes) {
+            if (name.split(':').pop() === localName) {
+                found.push(attributes);
+            }
+        }
+    }, { xmlMode: true });
+
+    parser.write(xml);
+    parser.end();
+    return found;
+}
+
+const EXTRACTORS = [
+    new PdfExtractor(),
+    new TextExtractor(),
+    new MarkdownExtractor(),
+    new HtmlExtractor(),
+    new DocxExtractor(),
+    new CsvExtractor(),
+    new CsvExtractor({ label: 'TSV', extensions: ['.tsv'], delimiter: '\t' }),
+    new JsonExtractor(),
+    new EpubExtractor()
+];
+
+// The single list of supported file types, read by DocumentProcessor and the upload filter
+const registry = new Map(EXTRACTORS.flatMap(extractor => extractor.extensions.map(ext => [ext, extractor])));
+
+function getExtractor(extension) {
+    return registry.get(extension.toLowerCase()) || null;
+}
+
+function supportedExtensions() {
+    return Array.from(registry.keys());
+}
+
+// "PDF, TXT, MD, ..." for error messages
+function supportedTypesLabel() {
+    return EXTRACTORS.map(extractor => extractor.label).join(', ');
+}
+
+module.exports = {
+    getExtractor,
+    supportedExtensions,
+    supportedTypesLabel,
+    htmlToText,
+    openZip,
+    PdfExtractor,
+    TextExtractor,
+    MarkdownExtractor,
+    HtmlExtractor,
+    DocxExtractor,
+    CsvExtractor,
+    JsonExtractor,
+    EpubExtractor
+};
@@ -0,0 +1,214 @@
+const { ValidationError } = require('./errors');
+
+// Facets shared by /search and /documents: file type, upload date, size, tag and collection.
+// Buckets are exclusive so the counts of one facet add up to the number of documents.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const UPLOADED_BUCKETS = [
+    { value: 'week', label: 'Past 7 days', maxAge: 7 * DAY },
+    { value: 'month', label: '8-30 days ago', maxAge: 30 * DAY },
+    { value: 'year', label: '1-12 months ago', maxAge: 365 * DAY },
+    { value: 'older', label: 'Over a year ago', maxAge: Infinity }
+];
+
+const SIZE_BUCKETS = [
+    { value: 'small', label: 'Under 100 KB', max: 100 * 1024 },
+    { value: 'medium', label: '100 KB - 1 MB', max: 1024 * 1024 },
+    { value: 'large', label: '1 - 10 MB', max: 10 * 1024 * 1024 },
+    { value: 'huge', label: 'Over 10 MB', max: Infinity }
+];
+
+const FACETS = ['type', 'uploaded', 'size', 'tag', 'collection'];
+
+// Tag and collection names are unique regardless of case (COLLATE NOCASE), so they match that way
+const CASELESS_FACETS = ['tag', 'collection'];
+
+// Field compared by each sort and its natural direction
+const SORTS = {
+    relevance: { field: 'score', order: 'desc' },
+    date: { field: 'uploadedAt', order: 'desc' },
+    size: { field: 'fileSize', order: 'desc' },
+    words: { field: 'wordCount', order: 'desc' },
+    name: { field: 'filename', order: 'asc' }
+};
+
+// SQLite's CURRENT_TIMESTAMP is UTC without a zone marker; uploads store ISO strings
+function parseTimestamp(value) {
+    if (!value) {
+        return NaN;
+    }
+    const text = String(value);
+    return Date.parse(text.includes('T') ? text : text.replace(' ', 'T') + 'Z');
+}
+
+function fileType(filename) {
+    const match = /\.([^./\\]+)$/.exec(filename || '');
+    return match ? match[1].toLowerCase() : 'other';
+}
+
+function uploadedBucket(uploadedAt, now) {
+    const age = now - parseTimestamp(uploadedAt);
+    const bucket = UPLOADED_BUCKETS.find(candidate => age <= candidate.maxAge);
+    return bucket ? bucket.value : 'older';
+}
+
+function sizeBucket(fileSize) {
+    return SIZE_BUCKETS.find(bucket => (fileSize || 0) < bucket.max).value;
+}
+
+// The facet values a single document falls under
+function facetValues(doc, now) {
+    return {
+        type: [fileType(doc.filename)],
+        uploaded: [uploadedBucket(doc.uploadedAt, now)],
+        size: [sizeBucket(doc.fileSize)],
+        tag: doc.tags || [],
+        collection: doc.collections || []
+    };
+}
+
+// Read facet selections from query parameters. Each accepts repeated parameters or a
+// comma-separated list, e.g. ?type=pdf,md&size=small
+function parseFacetFilters(params) {
+    const selected = {};
+
+    for (const facet of FACETS) {
+        const raw = params[facet];
+        if (raw === undefined || raw === '') {
+            continue;
+        }
+
+        const values = (Array.isArray(raw) ? raw : [raw])
+            .flatMap(value => String(value).split(','))
+            .map(value => value.trim())
+            .filter(Boolean);
+
+        const known = facet === 'uploaded' ? UPLOADED_BUCKETS : facet === 'size' ? SIZE_BUCKETS : null;
+        for (const value of values) {
+            if (known && !known.some(bucket => bucket.value === value)) {
+                throw new ValidationError(`Unknown ${facet} filter "${value}". Use one of: ${known.map(bucket => bucket.value).join(', ')}`);
+            }
+        }
+
+        if (values.length > 0) {
+            selected[facet] = facet === 'type' ? values.map(value => value.replace(/^\./, '').toLowerCase())
+                : CASELESS_FACETS.includes(facet) ? values.map(value => value.toLowerCase()) : values;
+        }
+    }
+
+    return selected;
+}
+
+function parseSort(params, defaultSort) {
+    const sort = params.sort || defaultSort;
+    if (!SORTS[sort]) {
+        throw new ValidationError(`Unknown sort "${sort}". Use one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    const order = params.order || SORTS[sort].order;
+    if (order !== 'asc' && order !== 'desc') {
+        throw new ValidationError('order must be asc or desc');
+    }
+
+    return { sort, order };
+}
+
+// Whether value is among the wanted values of a facet
+function isSelected(facet, value, wanted = []) {
+    if (CASELESS_FACETS.includes(facet)) {
+        return wanted.some(other => other.toLowerCase() === value.toLowerCase());
+    }
+    return wanted.includes(value);
+}
+
+function matchesSelection(values, selected, skipFacet) {
+    return Object.entries(selected).every(([facet, wanted]) =>
+        facet === skipFacet || values[facet].some(value => isSelected(facet, value, wanted)));
+}
+
+// Filter documents by the selected facets and count every facet value. Counts for a facet
+// ignore that facet's own selection, so picking "pdf" still shows how many "md" there are.
+function applyFacets(documents, selected = {}, now = Date.now()) {
+    const valuesById = new Map(documents.map(doc => [doc.id, facetValues(doc, now)]));
+    const counts = Object.fromEntries(FACETS.map(facet => [facet, new Map()]));
+
+    for (const doc of documents) {
+        const values = valuesById.get(doc.id);
+        for (const facet of FACETS) {
+            if (matchesSelection(values, selected, facet)) {
+                for (const value of values[facet]) {
+                    counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+                }
+            }
+        }
+    }
+
+    const labelled = (buckets, facet) => buckets.map(bucket => ({
+        value: bucket.value,
+        label: bucket.label,
+        count: counts[facet].get(bucket.value) || 0,
+        selected: (selected[facet] || []).includes(bucket.value)
+    }));
+    const byCount = facet => Array.from(counts[facet], ([value, count]) => ({
+        value,
+        label: value,
+        count,
+        selected: isSelected(facet, value, selected[facet])
+    })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+    return {
+        documents: documents.filter(doc => matchesSelection(valuesById.get(doc.id), selected)),
+        facets: {
+            type: byCount('type'),
+            uploaded: labelled(UPLOADED_BUCKETS, 'uploaded'),
+            size: labelled(SIZE_BUCKETS, 'size'),
+            tag: byCount('tag'),
+            collection: byCount('collection')
+        }
+    };
+}
+
+// The value a document is ordered by for a given sort
+function sortKey(doc, sort) {
+    const { field } = SORTS[sort];
+    if (field === 'uploadedAt') {
+        return parseTimestamp(doc.uploadedAt) || 0;
+    }
+    if (field === 'filename') {
+        return (doc.filename || '').toLowerCase();
+    }
+    return doc[field] || 0;
+}
+
+// Compare [key, id] pairs. Ties are broken by id (newest first) so the order is total,
+// which keyset cursors rely on.
+function compareEntries([leftKey, leftId], [rightKey, rightId], order) {
+    const direction = order === 'asc' ? 1 : -1;
+    if (leftKey < rightKey) {
+        return -direction;
+    }
+    if (leftKey > rightKey) {
+        return direction;
+    }
+    return rightId - leftId;
+}
+
+function sortDocuments(documents, sort, order) {
+    return documents
+        .map(doc => ({ doc, entry: [sortKey(doc, sort), doc.id] }))
+        .sort((a, b) => compareEntries(a.entry, b.entry, order))
+        .map(item => item.doc);
+}
+
+module.exports = {
+    FACETS,
+    SORTS,
+    applyFacets,
+    parseFacetFilters,
+    parseSort,
+    sortDocuments,
+    sortKey,
+    compareEntries,
+    parseTimestamp
+};
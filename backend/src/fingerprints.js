@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { tokenize } = require('./tokenizer');
+const { fnv1a } = require('./hashing');
+
+// Document fingerprints for duplicate detection:
+//   contentHash - SHA-256 of the normalized text; equal hashes mean the same text
+//   minhash     - MinHash signature over word shingles; the share of equal slots between
+//                 two signatures estimates the Jaccard similarity of the documents
+// Signatures are split into LSH bands so likely near-duplicates can be found by lookup
+// instead of comparing every pair.
+
+const SHINGLE_SIZE = 5; // words per shingle
+const NUM_HASHES = 128;
+const LSH_BANDS = 32; // 4 rows per band: pairs above ~0.6 similarity almost always share a band
+const ROWS_PER_BAND = NUM_HASHES / LSH_BANDS;
+
+// One seed per hash function, fixed so stored signatures stay comparable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(0x9e3779b9 * (i + 1)));
+
+// murmur3 finalizer: spreads the bits of a 32-bit integer
+function mix32(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+function contentHash(tokens) {
+    return crypto.createHash('sha256').update(tokens.join(' ')).digest('hex');
+}
+
+// Hashes of every distinct run of SHINGLE_SIZE words (the whole text when shorter)
+function shingleHashes(tokens) {
+    const hashes = new Set();
+    const size = Math.min(SHINGLE_SIZE, tokens.length);
+    for (let i = 0; i + size <= tokens.length; i++) {
+        hashes.add(fnv1a(tokens.slice(i, i + size).join(' ')));
+    }
+    return hashes;
+}
+
+function minhashSignature(tokens) {
+    const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+    for (const shingle of shingleHashes(tokens)) {
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const value = mix32(shingle ^ SEEDS[i]);
+            if (value < signature[i]) {
+                signature[i] = value;
+            }
+        }
+    }
+    return signature;
+}
+
+// One bucket id per band; documents sharing any bucket are near-duplicate candidates
+function lshBuckets(signature) {
+    const buckets = [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const rows = signature.subarray(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+        buckets.push(fnv1a(Array.from(rows).join(',')) | 0); // Signed so it fits SQLite INTEGER as-is
+    }
+    return buckets;
+}
+
+function estimateSimilarity(signatureA, signatureB) {
+    let equal = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (signatureA[i] === signatureB[i]) {
+            equal++;
+        }
+    }
+    return equal / NUM_HASHES;
+}
+
+// Fingerprint extracted text; null when there is no text to compare
+function fingerprint(content) {
+    const tokens = tokenize(content);
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const minhash = minhashSignature(tokens);
+    return { contentHash: contentHash(tokens), minhash, buckets: lshBuckets(minhash) };
+}
+
+module.exports = { fingerprint, estimateSimilarity, lshBuckets, NUM_HASHES };
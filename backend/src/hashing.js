@@ -0,0 +1,15 @@
+// Non-cryptographic hashing shared by the local embedder (feature hashing) and duplicate
+// fingerprints (MinHash shingles and LSH bands). Changing it changes stored fingerprints and
+// local embeddings, so both would need recomputing.
+
+// 32-bit FNV-1a string hash
+function fnv1a(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+module.exports = { fnv1a };
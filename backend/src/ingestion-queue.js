@@ -0,0 +1,129 @@
+// Background ingestion backed by the ingestion_jobs table. Jobs survive restarts: anything
+// left processing when the server stopped is queued again on start. Failed jobs are retried
+// with exponential backoff until they run out of attempts, unless the error is marked
+// retryable = false.
+class IngestionQueue {
+    constructor(database, handler, options = {}) {
+        this.db = database;
+        this.handler = handler; // async (job, setStage) => documentId
+        this.onFailed = options.onFailed || (async () => {}); // (job, error), called once a job gives up
+        this.concurrency = options.concurrency || parseInt(process.env.INGEST_CONCURRENCY) || 2;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.INGEST_MAX_ATTEMPTS) || 3;
+        this.retryDelayMs = options.retryDelayMs || 2000; // Doubles after every failed attempt
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.active = 0;
+        this.running = false;
+        this.pumping = false;
+        this.pumpAgain = false;
+        this.timer = null;
+    }
+
+    async start() {
+        const requeued = await this.db.requeueInterruptedJobs();
+        if (requeued > 0) {
+            console.log(`Re-queued ${requeued} interrupted ingestion jobs`);
+        }
+        this.running = true;
+        this.pump();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+    }
+
+    // files: [{ filename, filePath }], uploaded by ownerId into workspaceId; resolves to the new job ids
+    async enqueue(batchId, files, ownerId = null, workspaceId = null) {
+        const ids = await this.db.createIngestionJobs(batchId, files, this.maxAttempts, ownerId, workspaceId);
+        this.pump();
+        return ids;
+    }
+
+    // Fill free worker slots with jobs that are due, then check again later for delayed retries
+    async pump() {
+        if (!this.running) {
+            return;
+        }
+        if (this.pumping) {
+            this.pumpAgain = true;
+            return;
+        }
+
+        this.pumping = true;
+        try {
+            do {
+                this.pumpAgain = false;
+                while (this.running && this.active < this.concurrency) {
+                    const job = await this.db.claimIngestionJob();
+                    if (!job) {
+                        break;
+                    }
+
+                    this.active++;
+                    this.process(job).catch(error => {
+                        console.error(`Ingestion job ${job.id} error:`, error.message);
+                    }).finally(() => {
+                        this.active--;
+                        this.pump();
+                    });
+                }
+            } while (this.pumpAgain && this.active < this.concurrency);
+        } catch (error) {
+            console.error('Ingestion queue error:', error.message);
+        } finally {
+            this.pumping = false;
+        }
+
+        clearTimeout(this.timer);
+        if (this.running) {
+            this.timer = setTimeout(() => this.pump(), this.pollIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    async process(job) {
+        try {
+            const documentId = await this.handler(job, stage => this.db.updateIngestionJob(job.id, { stage }));
+            await this.db.updateIngestionJob(job.id, {
+                status: 'done',
+                stage: 'done',
+                error: null,
+                documentId,
+                finishedAt: new Date().toISOString()
+            });
+            console.log(`✅ Ingested ${job.filename} (job ${job.id})`);
+        } catch (error) {
+            if (job.attempts < job.maxAttempts && error.retryable !== false) {
+                const delay = this.retryDelayMs * 2 ** (job.attempts - 1);
+                console.warn(`Ingestion of ${job.filename} failed (attempt ${job.attempts}), retrying in ${delay}ms:`, error.message);
+                await this.db.updateIngestionJob(job.id, {
+                    status: 'queued',
+                    stage: 'queued',
+                    error: error.message,
+                    runAfter: new Date(Date.now() + delay).toISOString()
+                });
+            } else {
+                console.error(`Ingestion of ${job.filename} failed after ${job.attempts} attempts:`, error.message);
+                await this.db.updateIngestionJob(job.id, {
+                    status: 'failed',
+                    stage: 'failed',
+                    error: error.message,
+                    finishedAt: new Date().toISOString()
+                });
+                await this.onFailed(job, error);
+            }
+        }
+    }
+}
+
+// Counts per status for a list of jobs, for progress reporting
+IngestionQueue.summarize = function(jobs) {
+    const summary = { total: jobs.length, queued: 0, processing: 0, done: 0, failed: 0 };
+    for (const job of jobs) {
+        summary[job.status]++;
+    }
+    summary.finished = summary.done + summary.failed === summary.total;
+    return summary;
+};
+
+module.exports = IngestionQueue;
@@ -0,0 +1,80 @@
+const { ValidationError } = require('./errors');
+
+// Editable document metadata (title, author, description) and tags, for PATCH /documents/:id
+// and for properties read from uploaded files (see extractors.js).
+
+// Longest value each field accepts
+const FIELD_LIMITS = { title: 200, author: 200, description: 2000 };
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 20;
+
+// Tag names from an array or a comma-separated string, trimmed and without repeats
+// (compared case-insensitively, like the tags table)
+function parseTags(value) {
+    const raw = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+    if (!raw || raw.some(tag => typeof tag !== 'string')) {
+        throw new ValidationError('tags must be a list of names');
+    }
+
+    const tags = new Map();
+    for (const tag of raw.map(name => name.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+        if (tag.length > MAX_TAG_LENGTH || tag.includes(',')) {
+            throw new ValidationError(`Tag "${tag}" must be at most ${MAX_TAG_LENGTH} characters without commas`);
+        }
+        if (!tags.has(tag.toLowerCase())) {
+            tags.set(tag.toLowerCase(), tag);
+        }
+    }
+    if (tags.size > MAX_TAGS) {
+        throw new ValidationError(`A document can have at most ${MAX_TAGS} tags`);
+    }
+    return [...tags.values()];
+}
+
+// The fields a PATCH body changes: strings are trimmed, empty strings and null clear a field.
+// Resolves to { fields, tags }, where tags is undefined when the body leaves them alone.
+function parseMetadataUpdate(body) {
+    const fields = {};
+    for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            throw new ValidationError(`${field} must be a string or null`);
+        }
+        const value = body[field] === null ? '' : body[field].trim();
+        if (value.length > limit) {
+            throw new ValidationError(`${field} must be at most ${limit} characters`);
+        }
+        fields[field] = value || null;
+    }
+
+    const tags = body.tags === undefined ? undefined : parseTags(body.tags);
+    if (Object.keys(fields).length === 0 && tags === undefined) {
+        throw new ValidationError(`Nothing to update. Send any of: ${[...Object.keys(FIELD_LIMITS), 'tags'].join(', ')}`);
+    }
+    return { fields, tags };
+}
+
+// Metadata for a new document from the properties its file declares; the subject becomes the
+// description and keywords (separated by commas or semicolons) become tags. Values that do not
+// fit are cut rather than failing the upload.
+function fromFileProperties(properties = {}) {
+    const fit = (value, limit) => (value ? value.slice(0, limit) : null);
+    const keywords = (properties.keywords || '').split(/[,;]/)
+        .map(keyword => keyword.trim().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+
+    return {
+        title: fit(properties.title, FIELD_LIMITS.title),
+        author: fit(properties.author, FIELD_LIMITS.author),
+        description: fit(properties.subject, FIELD_LIMITS.description),
+        tags: parseTags(keywords.slice(0, MAX_TAGS))
+    };
+}
+
+module.exports = {
+    parseTags,
+    parseMetadataUpdate,
+    fromFileProperties
+};
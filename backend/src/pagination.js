@@ -0,0 +1,62 @@
+const { ValidationError } = require('./errors');
+const { sortKey, compareEntries } = require('./facets');
+
+// Keyset pagination over lists ordered by facets.sortDocuments. A cursor is an opaque
+// token holding the sort, order, sort key and id of the last item already returned, so
+// pages stay consistent when documents are added or removed between requests.
+
+function encodeCursor(doc, sort, order) {
+    const payload = { s: sort, o: order, k: sortKey(doc, sort), id: doc.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new ValidationError('Invalid cursor');
+    }
+
+    if (!payload || typeof payload !== 'object' || payload.id === undefined || payload.k === undefined) {
+        throw new ValidationError('Invalid cursor');
+    }
+    if (payload.s !== sort || payload.o !== order) {
+        throw new ValidationError('Cursor was issued for a different sort order');
+    }
+    return payload;
+}
+
+function parseLimit(value, defaultLimit, maxLimit) {
+    if (value === undefined || value === '') {
+        return defaultLimit;
+    }
+
+    const limit = parseInt(value, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new ValidationError('limit must be a positive integer');
+    }
+    return Math.min(limit, maxLimit);
+}
+
+// Cut the page following the cursor out of an already sorted list
+function paginate(sorted, { limit, cursor, sort, order }) {
+    let start = 0;
+    if (cursor) {
+        const after = decodeCursor(cursor, sort, order);
+        start = sorted.findIndex(doc => compareEntries([sortKey(doc, sort), doc.id], [after.k, after.id], order) > 0);
+        if (start === -1) {
+            start = sorted.length;
+        }
+    }
+
+    const items = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+
+    return {
+        items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort, order) : null
+    };
+}
+
+module.exports = { paginate, parseLimit, encodeCursor, decodeCursor };
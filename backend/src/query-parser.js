@@ -0,0 +1,291 @@
+const { tokenize } = require('./tokenizer');
+const { ValidationError } = require('./errors');
+
+// Raised for queries that cannot be understood, e.g. an invalid date in uploaded:
+class QuerySyntaxError extends ValidationError {
+    constructor(message) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+    }
+}
+
+const FIELDS = ['filename', 'ext', 'uploaded', 'tag', 'collection'];
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// Split the raw query into words, quoted phrases, parentheses and operators
+function lex(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+            continue;
+        }
+
+        let negate = false;
+        if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+            negate = true;
+            i++;
+        }
+
+        if (input[i] === '"') {
+            const close = input.indexOf('"', i + 1);
+            const end = close === -1 ? input.length : close;
+            tokens.push({ type: 'phrase', value: input.slice(i + 1, end), negate });
+            i = end + 1;
+            continue;
+        }
+
+        let end = i;
+        while (end < input.length && !/[\s()"]/.test(input[end])) {
+            end++;
+        }
+
+        let word = input.slice(i, end);
+        i = end;
+
+        // A quoted field value, e.g. filename:"q3 report"
+        if (word.endsWith(':') && input[i] === '"') {
+            const close = input.indexOf('"', i + 1);
+            const valueEnd = close === -1 ? input.length : close;
+            word += input.slice(i + 1, valueEnd);
+            i = valueEnd + 1;
+        }
+
+        if (!negate && (word === 'AND' || word === 'OR' || word === 'NOT')) {
+            tokens.push({ type: word });
+        } else {
+            tokens.push({ type: 'word', value: word, negate });
+        }
+    }
+
+    return tokens;
+}
+
+// Parse a field filter such as ext:pdf or uploaded:>=2025-01-01
+function parseFilter(field, rawValue, negate) {
+    if (!rawValue) {
+        throw new QuerySyntaxError(`Missing value for ${field}:`);
+    }
+
+    if (field === 'uploaded') {
+        const range = rawValue.split('..');
+        if (range.length === 2) {
+            return [
+                parseDateFilter('>=', range[0], negate),
+                parseDateFilter('<=', range[1], negate)
+            ];
+        }
+
+        const [, op = '=', value] = rawValue.match(/^(>=|<=|>|<|=)?(.*)$/);
+        return [parseDateFilter(op, value, negate)];
+    }
+
+    if (field === 'ext') {
+        return [{ field, op: '=', value: rawValue.replace(/^\./, '').toLowerCase(), negate }];
+    }
+
+    return [{ field, op: '=', value: rawValue, negate }];
+}
+
+function parseDateFilter(op, value, negate) {
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new QuerySyntaxError(`Invalid date "${value}" in uploaded: filter. Use YYYY, YYYY-MM or YYYY-MM-DD.`);
+    }
+    return { field: 'uploaded', op, value, negate };
+}
+
+// Recursive-descent parser. Precedence, loosest first:
+//   juxtaposition (should-match, like OR) < OR < AND < NOT / -term
+// Negated clauses placed side by side are exclusions: "fox -lazy" keeps fox and drops lazy.
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.filters = [];
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    parseSequence() {
+        const should = [];
+        const mustNot = [];
+
+        while (this.peek() && this.peek().type !== ')') {
+            const node = this.parseOr();
+            if (!node) {
+                continue;
+            }
+            if (node.type === 'not') {
+                mustNot.push(node);
+            } else {
+                should.push(node);
+            }
+        }
+
+        if (mustNot.length === 0) {
+            return should.length <= 1 ? should[0] || null : { type: 'or', children: should };
+        }
+
+        const positive = should.length === 0 ? { type: 'all' }
+            : should.length === 1 ? should[0] : { type: 'or', children: should };
+        return { type: 'and', children: [positive, ...mustNot] };
+    }
+
+    parseOr() {
+        const children = [this.parseAnd()];
+        while (this.peek() && this.peek().type === 'OR') {
+            this.next();
+            children.push(this.parseAnd());
+        }
+        return combine('or', children);
+    }
+
+    parseAnd() {
+        const children = [this.parseUnary()];
+        while (this.peek() && this.peek().type === 'AND') {
+            this.next();
+            children.push(this.parseUnary());
+        }
+        return combine('and', children);
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (!token) {
+            return null;
+        }
+
+        if (token.type === 'NOT') {
+            this.next();
+            const child = this.parseUnary();
+            return child ? { type: 'not', child } : null;
+        }
+
+        if (token.type === '(') {
+            this.next();
+            const inner = this.parseSequence();
+            if (this.peek() && this.peek().type === ')') {
+                this.next();
+            }
+            return inner;
+        }
+
+        this.next();
+
+        // Stray operators and closing parentheses are ignored rather than rejected
+        if (token.type !== 'word' && token.type !== 'phrase') {
+            return null;
+        }
+
+        const node = token.type === 'phrase' ? this.phraseNode(token.value) : this.wordNode(token);
+        if (!node) {
+            return null;
+        }
+        return token.negate ? { type: 'not', child: node } : node;
+    }
+
+    wordNode(token) {
+        const separator = token.value.indexOf(':');
+        if (separator > 0) {
+            const field = token.value.slice(0, separator).toLowerCase();
+            if (FIELDS.includes(field)) {
+                this.filters.push(...parseFilter(field, token.value.slice(separator + 1), token.negate));
+                return null;
+            }
+        }
+
+        if (token.value.length > 1 && token.value.endsWith('*')) {
+            const terms = tokenize(token.value.slice(0, -1));
+            if (terms.length === 1) {
+                return { type: 'prefix', value: terms[0] };
+            }
+        }
+
+        return this.phraseNode(token.value);
+    }
+
+    // Words that tokenize into several terms (e.g. ERR_CONN_4471) behave like phrases
+    phraseNode(text) {
+        const terms = tokenize(text);
+        if (terms.length === 0) {
+            return null;
+        }
+        return terms.length === 1 ? { type: 'term', value: terms[0] } : { type: 'phrase', terms };
+    }
+}
+
+function combine(type, children) {
+    const present = children.filter(Boolean);
+    if (present.length <= 1) {
+        return present[0] || null;
+    }
+    return { type, children: present };
+}
+
+// Collect the terms a document should be ranked (and highlighted) on; negated branches are skipped
+function collectPositive(node, out) {
+    if (!node) {
+        return out;
+    }
+
+    switch (node.type) {
+        case 'term':
+            out.terms.add(node.value);
+            break;
+        case 'phrase':
+            node.terms.forEach(term => out.terms.add(term));
+            break;
+        case 'prefix':
+            out.prefixes.add(node.value);
+            break;
+        case 'and':
+        case 'or':
+            node.children.forEach(child => collectPositive(child, out));
+            break;
+        default:
+            break;
+    }
+    return out;
+}
+
+// Parse a /search query into a boolean tree plus field filters.
+// Returns { ast, filters, terms, prefixes, text } where text is the free text used for embeddings.
+function parseQuery(input) {
+    const parser = new Parser(lex(input || ''));
+    let ast = parser.parseSequence();
+
+    // Unbalanced closing parentheses: keep parsing what follows
+    while (parser.peek()) {
+        parser.next();
+        const rest = parser.parseSequence();
+        ast = combine('or', [ast, rest]);
+    }
+
+    const { terms, prefixes } = collectPositive(ast, { terms: new Set(), prefixes: new Set() });
+
+    return {
+        ast,
+        filters: parser.filters,
+        terms: Array.from(terms),
+        prefixes: Array.from(prefixes),
+        text: [...terms, ...prefixes].join(' ')
+    };
+}
+
+module.exports = { parseQuery, QuerySyntaxError };
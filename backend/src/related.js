@@ -0,0 +1,120 @@
+const { isStopWord } = require('./tokenizer');
+
+const MIN_EMBEDDING_SIMILARITY = 0.1; // As for semantic search
+const MAX_SHARED_TERMS = 8;
+
+// "More like this": the documents closest to a given one. With an embedding provider, each
+// document is represented by the mean of its chunk embeddings; otherwise, or when the document
+// has no embedded chunks, by its TF-IDF vector from the keyword index. Either way, the terms
+// contributing most to the TF-IDF overlap are reported to explain each match.
+class RelatedDocuments {
+    constructor(database, searchService) {
+        this.db = database;
+        this.searchService = searchService;
+    }
+
+    // Neighbours of a document among those workspaceId can see, best first, as { method, documents }.
+    // Linked duplicates are left out, and so is the original when the document is a duplicate.
+    async find(documentId, { workspaceId, limit = 5 } = {}) {
+        const [source] = await this.db.getDocumentSummaries([documentId]);
+        const candidates = (await this.db.getDocumentSummaries(await this.db.getVisibleDocumentIds(workspaceId)))
+            .filter(doc => doc.id !== documentId && doc.id !== source.duplicateOf && !doc.duplicateOf);
+        const candidateIds = candidates.map(doc => doc.id);
+
+        const vectors = await this.termVectors([documentId, ...candidateIds]);
+        const sourceVector = vectors.get(documentId) || new Map();
+
+        let method = 'embeddings';
+        let scores = await this.embeddingScores(documentId, candidateIds);
+        if (!scores) {
+            method = 'tfidf';
+            scores = new Map(candidateIds.map(id => [id, sparseCosine(sourceVector, vectors.get(id) || new Map())]));
+        }
+
+        const sourcePhrases = new Set(source.keyphrases.map(phrase => phrase.toLowerCase()));
+        const documents = candidates
+            .filter(doc => scores.get(doc.id) > (method === 'embeddings' ? MIN_EMBEDDING_SIMILARITY : 0))
+            .map(doc => ({
+                ...doc,
+                score: scores.get(doc.id),
+                sharedTerms: sharedTerms(sourceVector, vectors.get(doc.id) || new Map()),
+                sharedKeyphrases: doc.keyphrases.filter(phrase => sourcePhrases.has(phrase.toLowerCase()))
+            }))
+            .sort((a, b) => b.score - a.score || a.id - b.id)
+            .slice(0, limit);
+
+        return { method, documents };
+    }
+
+    // Cosine similarity of mean chunk embeddings, or null when semantic search is off or the
+    // document has nothing embedded
+    async embeddingScores(documentId, candidateIds) {
+        if (!this.searchService.embeddings) {
+            return null;
+        }
+
+        const chunks = await this.db.getChunkEmbeddings(this.searchService.embeddingModelId());
+        const sums = new Map();
+        for (const chunk of chunks) {
+            const sum = sums.get(chunk.documentId);
+            if (sum) {
+                chunk.embedding.forEach((value, i) => { sum[i] += value; });
+            } else {
+                sums.set(chunk.documentId, Array.from(chunk.embedding));
+            }
+        }
+
+        // Cosine similarity ignores length, so the sums stand in for the means
+        const sourceVector = sums.get(documentId);
+        if (!sourceVector) {
+            return null;
+        }
+        return new Map(candidateIds.map(id => [id, this.searchService.cosineSimilarity(sourceVector, sums.get(id))]));
+    }
+
+    // TF-IDF weight of every term in each document, leaving out stop words and bare numbers;
+    // idf is taken over the whole index like keyword search
+    async termVectors(documentIds) {
+        const rows = (await this.db.getTermFrequencies(documentIds))
+            .filter(row => !isStopWord(row.term) && !/^\p{N}+$/u.test(row.term));
+        const terms = [...new Set(rows.map(row => row.term))];
+        const [stats, frequencies] = await Promise.all([
+            this.db.getIndexStats(),
+            this.db.getDocumentFrequencies(terms)
+        ]);
+
+        const vectors = new Map();
+        for (const { documentId, term, termFreq } of rows) {
+            if (!vectors.has(documentId)) {
+                vectors.set(documentId, new Map());
+            }
+            const idf = this.searchService.index.idf(stats.documentCount, frequencies.get(term) || 0);
+            vectors.get(documentId).set(term, (1 + Math.log(termFreq)) * idf);
+        }
+        return vectors;
+    }
+}
+
+function sparseCosine(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let dotProduct = 0;
+    for (const [term, weight] of small) {
+        dotProduct += weight * (large.get(term) || 0);
+    }
+
+    const norm = vector => Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator === 0 ? 0 : dotProduct / denominator;
+}
+
+// Terms both documents contain, those adding most to their similarity first
+function sharedTerms(a, b) {
+    return Array.from(a)
+        .filter(([term]) => b.has(term))
+        .map(([term, weight]) => ({ term, weight: weight * b.get(term) }))
+        .sort((x, y) => y.weight - x.weight || x.term.localeCompare(y.term))
+        .slice(0, MAX_SHARED_TERMS)
+        .map(({ term }) => term);
+}
+
+module.exports = RelatedDocuments;
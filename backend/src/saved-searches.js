@@ -0,0 +1,149 @@
+const { ValidationError } = require('./errors');
+const { parseQuery } = require('./query-parser');
+const { FACETS, parseFacetFilters } = require('./facets');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 500;
+
+// Saved searches: a user's query and facet filters in one workspace. Each document is checked
+// against them once it has been ingested or replaced; new matches go to the owner's notification
+// feed and, when the saved search has a webhookId, to that webhook as a signed
+// saved_search.match delivery (see webhooks.js). Webhooks are registered by workspace admins,
+// so saved searches only choose among them. A document is notified about once per saved
+// search, however often it is replaced.
+class SavedSearchService {
+    constructor(database, searchService, webhookService) {
+        this.db = database;
+        this.searchService = searchService;
+        this.webhooks = webhookService;
+    }
+
+    async create(workspaceId, userId, body) {
+        const fields = parseFields(body, true);
+        await this.checkWebhook(workspaceId, fields.webhookId);
+        return this.db.createSavedSearch(workspaceId, userId, fields);
+    }
+
+    async update(savedSearch, body) {
+        const fields = parseFields(body, false);
+        if (Object.keys(fields).length === 0) {
+            throw new ValidationError('Nothing to update. Send name, query, filters or webhookId');
+        }
+        await this.checkWebhook(savedSearch.workspaceId, fields.webhookId);
+        return this.db.updateSavedSearch(savedSearch.id, fields);
+    }
+
+    async checkWebhook(workspaceId, webhookId) {
+        if (!webhookId) {
+            return;
+        }
+        const webhook = await this.db.getWebhook(webhookId);
+        if (!webhook || webhook.workspaceId !== workspaceId) {
+            throw new ValidationError(`webhookId ${webhookId} is not a webhook of this workspace`);
+        }
+    }
+
+    // Check a stored document against the saved searches of every workspace that can see it.
+    // Resolves to the number of notifications added. Webhook deliveries are queued here and sent
+    // in the background.
+    async checkDocument(documentId) {
+        const access = await this.db.getDocumentAccess(documentId);
+        if (!access) {
+            return 0;
+        }
+
+        let notified = 0;
+        for (const workspaceId of [access.workspaceId, ...access.sharedWith]) {
+            for (const savedSearch of await this.db.getSavedSearches(workspaceId)) {
+                const matches = await this.searchService.matchDocuments(savedSearch.query, [documentId], {
+                    workspaceId,
+                    facets: savedSearch.filters
+                });
+                const added = matches.length > 0 ? await this.db.addNotifications(savedSearch, matches) : [];
+                if (added.length > 0) {
+                    notified += added.length;
+                    await this.sendWebhook(savedSearch, added).catch(error => {
+                        console.warn(`Failed to queue the webhook for saved search ${savedSearch.id}:`, error.message);
+                    });
+                }
+            }
+        }
+        return notified;
+    }
+
+    // Queue the delivery; the webhook service sends, signs and retries it
+    async sendWebhook(savedSearch, documentIds) {
+        if (!savedSearch.webhookId) {
+            return;
+        }
+
+        const documents = await this.db.getDocumentSummaries(documentIds);
+        await this.webhooks.deliver(savedSearch.webhookId, {
+            type: 'saved_search.match',
+            workspaceId: savedSearch.workspaceId,
+            occurredAt: new Date().toISOString(),
+            data: {
+                savedSearch: {
+                    id: savedSearch.id,
+                    name: savedSearch.name,
+                    query: savedSearch.query,
+                    filters: savedSearch.filters
+                },
+                documents: documents.map(doc => ({
+                    id: doc.id,
+                    filename: doc.filename,
+                    title: doc.title,
+                    uploadedAt: doc.uploadedAt
+                }))
+            }
+        });
+    }
+}
+
+// name and query are required when creating; webhookId may be null to stop sending webhooks.
+// filters takes the same facets as /search, as arrays or comma-separated strings.
+function parseFields(body, requireAll) {
+    const fields = {};
+    if (body.name !== undefined || requireAll) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+            throw new ValidationError(`name is required (up to ${MAX_NAME_LENGTH} characters)`);
+        }
+        fields.name = body.name.trim();
+    }
+    if (body.query !== undefined || requireAll) {
+        if (typeof body.query !== 'string' || !body.query.trim() || body.query.trim().length > MAX_QUERY_LENGTH) {
+            throw new ValidationError(`query is required (up to ${MAX_QUERY_LENGTH} characters)`);
+        }
+        const parsedQuery = parseQuery(body.query); // Throws a QuerySyntaxError (a ValidationError) for malformed filters
+        if (!parsedQuery.ast && parsedQuery.filters.length === 0) {
+            throw new ValidationError('query needs at least one search term or filter');
+        }
+        fields.query = body.query.trim();
+    }
+    if (body.filters !== undefined) {
+        fields.filters = parseFilters(body.filters);
+    }
+    if (body.webhookId !== undefined) {
+        if (body.webhookId !== null && (!Number.isInteger(body.webhookId) || body.webhookId < 1)) {
+            throw new ValidationError('webhookId must be the id of one of the workspace\'s webhooks, or null');
+        }
+        fields.webhookId = body.webhookId;
+    }
+    return fields;
+}
+
+function parseFilters(filters) {
+    if (filters === null) {
+        return {};
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new ValidationError('filters must be an object, e.g. { "type": ["pdf"], "tag": ["finance"] }');
+    }
+    const unknown = Object.keys(filters).find(facet => !FACETS.includes(facet));
+    if (unknown) {
+        throw new ValidationError(`Unknown filter "${unknown}". Use any of: ${FACETS.join(', ')}`);
+    }
+    return parseFacetFilters(filters);
+}
+
+module.exports = SavedSearchService;
@@ -0,0 +1,244 @@
+const { tokenize, termFrequencies, TOKENIZER_VERSION } = require('./tokenizer');
+
+// Persistent inverted index stored in SQLite and scored with Okapi BM25
+class SearchIndex {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+    }
+
+    // Add or refresh the postings for a single document
+    async indexDocument(documentId, content) {
+        const tokens = tokenize(content);
+        await this.db.replaceDocumentPostings(documentId, tokens.length, termFrequencies(tokens));
+    }
+
+    async removeDocument(documentId) {
+        await this.db.deleteDocumentPostings(documentId);
+    }
+
+    // Index documents that were stored before the index existed, rebuilding
+    // everything when the tokenizer has changed since the index was written
+    async indexMissingDocuments() {
+        const version = await this.db.getSetting('tokenizer_version');
+        if (version !== String(TOKENIZER_VERSION)) {
+            await this.db.clearIndex();
+            await this.db.setSetting('tokenizer_version', TOKENIZER_VERSION);
+        }
+
+        const ids = await this.db.getUnindexedDocumentIds();
+        for (const id of ids) {
+            const doc = await this.db.getDocumentById(id);
+            if (doc) {
+                await this.indexDocument(doc.id, doc.content);
+            }
+        }
+        return ids.length;
+    }
+
+    // Inverse document frequency with the usual +1 so common terms never go negative
+    idf(documentCount, documentFrequency) {
+        return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    // Rank documents for a parsed query (see query-parser.js). The boolean tree decides which
+    // documents match; BM25 over the positive terms decides their order. allowedIds, when
+    // given, restricts results to documents that passed the field filters. A query of field
+    // filters alone matches whatever passed them; one with neither terms nor filters (e.g. "???"
+    // or a lone NOT) matches nothing.
+    async search(parsedQuery, limit = 10, allowedIds = null) {
+        if (!parsedQuery.ast && parsedQuery.filters.length === 0) {
+            return [];
+        }
+
+        const [stats, context] = await Promise.all([
+            this.db.getIndexStats(),
+            this.createContext(parsedQuery.ast)
+        ]);
+        const { postingsByTerm, prefixTerms } = context;
+
+        const rankingTerms = [...new Set([
+            ...parsedQuery.terms,
+            ...parsedQuery.prefixes.flatMap(prefix => prefixTerms.get(prefix))
+        ])];
+
+        let matching = parsedQuery.ast ? await this.evaluate(parsedQuery.ast, context) : await this.universe(context);
+        if (allowedIds) {
+            matching = new Set([...matching].filter(id => allowedIds.has(id)));
+        }
+
+        if (matching.size === 0) {
+            return [];
+        }
+
+        const averageLength = stats.averageLength || 1;
+        const scores = new Map();
+        for (const id of matching) {
+            scores.set(id, { documentId: id, score: 0, matchedTerms: [] });
+        }
+
+        for (const term of rankingTerms) {
+            const list = postingsByTerm.get(term) || [];
+            const idf = this.idf(stats.documentCount, list.length);
+
+            for (const posting of list) {
+                const entry = scores.get(posting.documentId);
+                if (!entry) {
+                    continue;
+                }
+
+                const norm = this.k1 * (1 - this.b + this.b * (posting.length / averageLength));
+                entry.score += idf * (posting.termFreq * (this.k1 + 1)) / (posting.termFreq + norm);
+                entry.matchedTerms.push(posting.term);
+            }
+        }
+
+        return Array.from(scores.values())
+            .sort((a, b) => b.score - a.score || b.documentId - a.documentId)
+            .slice(0, limit);
+    }
+
+    // Load postings for every term the tree refers to, expanding prefixes once
+    async createContext(ast) {
+        const referenced = collectTerms(ast);
+        const prefixTerms = new Map();
+        for (const prefix of new Set(referenced.prefixes)) {
+            prefixTerms.set(prefix, await this.db.expandPrefix(prefix));
+        }
+
+        const lookupTerms = [...new Set([
+            ...referenced.terms,
+            ...[...prefixTerms.values()].flat()
+        ])];
+
+        const postingsByTerm = new Map();
+        for (const posting of await this.db.getPostings(lookupTerms)) {
+            const list = postingsByTerm.get(posting.term) || [];
+            list.push(posting);
+            postingsByTerm.set(posting.term, list);
+        }
+
+        return { postingsByTerm, prefixTerms, universe: null };
+    }
+
+    // Documents removed by top-level exclusions (-term, NOT term). Semantic search has no
+    // boolean matching of its own, so it drops these from its hits.
+    async excludedDocuments(parsedQuery) {
+        const ast = parsedQuery.ast;
+        const negations = !ast ? []
+            : ast.type === 'not' ? [ast]
+            : ast.type === 'and' ? ast.children.filter(child => child.type === 'not') : [];
+
+        const excluded = new Set();
+        for (const negation of negations) {
+            const context = await this.createContext(negation.child);
+            (await this.evaluate(negation.child, context)).forEach(id => excluded.add(id));
+        }
+        return excluded;
+    }
+
+    async universe(context) {
+        if (!context.universe) {
+            context.universe = new Set(await this.db.getIndexedDocumentIds());
+        }
+        return context.universe;
+    }
+
+    documentsWithTerm(term, context) {
+        return new Set((context.postingsByTerm.get(term) || []).map(posting => posting.documentId));
+    }
+
+    // Resolve a query node to the set of document ids it matches
+    async evaluate(node, context) {
+        switch (node.type) {
+            case 'term':
+                return this.documentsWithTerm(node.value, context);
+            case 'prefix': {
+                const ids = new Set();
+                for (const term of context.prefixTerms.get(node.value) || []) {
+                    this.documentsWithTerm(term, context).forEach(id => ids.add(id));
+                }
+                return ids;
+            }
+            case 'phrase':
+                return this.matchPhrase(node.terms, context);
+            case 'all':
+                return this.universe(context);
+            case 'not': {
+                const excluded = await this.evaluate(node.child, context);
+                const all = await this.universe(context);
+                return new Set([...all].filter(id => !excluded.has(id)));
+            }
+            case 'and': {
+                let result = null;
+                for (const child of node.children) {
+                    const ids = await this.evaluate(child, context);
+                    result = result === null ? ids : new Set([...result].filter(id => ids.has(id)));
+                }
+                return result || new Set();
+            }
+            case 'or': {
+                const result = new Set();
+                for (const child of node.children) {
+                    (await this.evaluate(child, context)).forEach(id => result.add(id));
+                }
+                return result;
+            }
+            default:
+                return new Set();
+        }
+    }
+
+    // Documents containing every term, then checked for the terms appearing consecutively
+    async matchPhrase(terms, context) {
+        let candidates = null;
+        for (const term of terms) {
+            const ids = this.documentsWithTerm(term, context);
+            candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+        }
+
+        if (!candidates || candidates.size === 0) {
+            return new Set();
+        }
+
+        const documents = await this.db.getDocumentsByIds([...candidates]);
+        return new Set(documents
+            .filter(doc => containsSequence(tokenize(doc.content), terms))
+            .map(doc => doc.id));
+    }
+}
+
+// Every term and prefix referenced anywhere in the tree, including negated branches
+function collectTerms(node, out = { terms: [], prefixes: [] }) {
+    if (!node) {
+        return out;
+    }
+    if (node.type === 'term') {
+        out.terms.push(node.value);
+    } else if (node.type === 'phrase') {
+        out.terms.push(...node.terms);
+    } else if (node.type === 'prefix') {
+        out.prefixes.push(node.value);
+    } else if (node.type === 'not') {
+        collectTerms(node.child, out);
+    } else if (node.children) {
+        node.children.forEach(child => collectTerms(child, out));
+    }
+    return out;
+}
+
+function containsSequence(tokens, sequence) {
+    outer:
+    for (let i = 0; i + sequence.length <= tokens.length; i++) {
+        for (let j = 0; j < sequence.length; j++) {
+            if (tokens[i + j] !== sequence[j]) {
+                continue outer;
+            }
+        }
+        return true;
+    }
+    return false;
+}
+
+module.exports = SearchIndex;
@@ -1,196 +1,222 @@
-const fs = require('fs').promises;
-const path = require('path');
+const SearchIndex = require('./search-index');
+const { createEmbeddingProvider } = require('./embedding-providers');
+const SnippetBuilder = require('./snippets');
+const { parseQuery } = require('./query-parser');
+const { applyFacets, sortDocuments, SORTS } = require('./facets');
+const { paginate } = require('./pagination');
+const { tokenize } = require('./tokenizer');
 
 class SearchService {
     constructor(database) {
         this.db = database;
-        this.openai = null; // Will be set to OpenAI client if API key is available
-        
-        // Only initialize OpenAI if API key is available
-        if (process.env.OPENAI_API_KEY && 
-            process.env.OPENAI_API_KEY !== 'your_openai_api_key_here' &&
-            process.env.OPENAI_API_KEY.trim() !== '') {
-            try {
-                const { OpenAI } = require('openai');
-                this.openai = new OpenAI({ 
-                    apiKey: process.env.OPENAI_API_KEY 
-                });
-                this.embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
-                console.log('✅ OpenAI initialized for semantic search');
-            } catch (error) {
-                console.warn('OpenAI not available:', error.message);
-                this.openai = null;
-            }
+        this.index = new SearchIndex(database);
+        this.snippets = new SnippetBuilder();
+        this.chunkSize = parseInt(process.env.CHUNK_SIZE) || 200; // words per chunk
+        this.chunkOverlap = parseInt(process.env.CHUNK_OVERLAP) || 40;
+        this.embeddingBatchSize = 64;
+        this.rrfK = 60; // Standard reciprocal rank fusion constant
+        this.defaultAlpha = process.env.HYBRID_ALPHA !== undefined ? parseFloat(process.env.HYBRID_ALPHA) : 0.5;
+        this.embeddings = null; // Embedding provider, null when semantic search is off
+        // Score multiplier per query term found in a document's tags, collections or title
+        this.metadataBoosts = { tag: 0.3, collection: 0.2, title: 0.2 };
+
+        try {
+            this.embeddings = createEmbeddingProvider();
+        } catch (error) {
+            console.warn('Embedding provider not available:', error.message);
+        }
+
+        if (this.embeddings) {
+            console.log(`✅ Semantic search enabled with ${this.embeddings.id} embeddings`);
         } else {
-            console.log('⚠️ OpenAI API key not configured. Using fallback text search method.');
+            console.log('⚠️ No embedding provider configured (set EMBEDDING_PROVIDER=local for offline use). Using keyword search only.');
         }
     }
 
     // Generate embedding for text content
     async generateEmbedding(text) {
-        if (!this.openai) {
-            return null; // No OpenAI, return null
+        const [embedding] = await this.generateEmbeddings([text]);
+        return embedding;
+    }
+
+    // Embed several texts per request; returns null entries when embeddings are unavailable
+    async generateEmbeddings(texts) {
+        if (!this.embeddings) {
+            return texts.map(() => null); // No provider, return nulls
         }
 
+        const embeddings = [];
         try {
-            const response = await this.openai.embeddings.create({
-                model: this.embeddingModel,
-                input: text
-            });
-
-            return JSON.stringify(response.data[0].embedding);
+            for (let i = 0; i < texts.length; i += this.embeddingBatchSize) {
+                embeddings.push(...await this.embeddings.embed(texts.slice(i, i + this.embeddingBatchSize)));
+            }
+            return embeddings;
         } catch (error) {
             console.warn('Failed to generate embedding:', error.message);
-            return null;
+            return texts.map(() => null);
         }
     }
 
-    // Split text into chunks for processing
-    splitTextIntoChunks(text, chunkSize = 1000, overlap = 100) {
-        const words = text.split(/\s+/);
+    // Split text into overlapping word windows, keeping character offsets into the original text
+    createChunks(text, chunkSize = this.chunkSize, overlap = this.chunkOverlap) {
+        const words = Array.from(text.matchAll(/\S+/g));
         const chunks = [];
-        
+
         for (let i = 0; i < words.length; i += chunkSize - overlap) {
-            const chunk = words.slice(i, i + chunkSize).join(' ');
-            if (chunk.trim()) {
-                chunks.push(chunk);
+            const window = words.slice(i, i + chunkSize);
+            const first = window[0];
+            const last = window[window.length - 1];
+            const start = first.index;
+            const end = last.index + last[0].length;
+
+            chunks.push({ text: text.slice(start, end), start, end });
+
+            if (i + chunkSize >= words.length) {
+                break;
             }
         }
-        
+
         return chunks;
     }
 
     // Calculate cosine similarity between two vectors
-    cosineSimilarity(vecA, vecB) {
-        if (!vecA || !vecB) {
+    cosineSimilarity(vectorA, vectorB) {
+        if (!vectorA || !vectorB || vectorA.length !== vectorB.length) {
             return 0;
         }
 
-        try {
-            const vectorA = JSON.parse(vecA);
-            const vectorB = JSON.parse(vecB);
-            
-            if (!Array.isArray(vectorA) || !Array.isArray(vectorB) || vectorA.length !== vectorB.length) {
-                return 0;
-            }
+        let dotProduct = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (let i = 0; i < vectorA.length; i++) {
+            dotProduct += vectorA[i] * vectorB[i];
+            normA += vectorA[i] * vectorA[i];
+            normB += vectorB[i] * vectorB[i];
+        }
+
+        const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+        return denominator === 0 ? 0 : dotProduct / denominator;
+    }
 
-            let dotProduct = 0;
-            let normA = 0;
-            let normB = 0;
+    // Keep the keyword index and the chunk table in step with the documents table
+    async indexDocument(documentId, content) {
+        await this.index.indexDocument(documentId, content);
+        await this.chunkDocument(documentId, content);
+    }
+
+    // Store one row per chunk, embedded when a provider is configured
+    async chunkDocument(documentId, content) {
+        const chunks = this.createChunks(content || '');
+        const embeddings = await this.generateEmbeddings(chunks.map(chunk => chunk.text));
+        chunks.forEach((chunk, i) => { chunk.embedding = embeddings[i]; });
+        await this.db.replaceDocumentChunks(documentId, chunks, this.embeddingModelId());
+    }
+
+    async removeDocument(documentId) {
+        await this.index.removeDocument(documentId);
+        await this.db.deleteDocumentChunks(documentId);
+    }
+
+    async indexMissingDocuments() {
+        const count = await this.index.indexMissingDocuments();
+        if (count > 0) {
+            console.log(`Indexed ${count} existing documents for keyword search`);
+        }
 
-            for (let i = 0; i < vectorA.length; i++) {
-                dotProduct += vectorA[i] * vectorB[i];
-                normA += vectorA[i] * vectorA[i];
-                normB += vectorB[i] * vectorB[i];
+        const unchunked = await this.db.getUnchunkedDocumentIds();
+        for (const id of unchunked) {
+            const doc = await this.db.getDocumentById(id);
+            if (doc) {
+                await this.chunkDocument(doc.id, doc.content);
             }
+        }
 
-            const denominator = Math.sqrt(normA) * Math.sqrt(normB);
-            return denominator === 0 ? 0 : dotProduct / denominator;
-        } catch (error) {
-            return 0;
+        const embedded = await this.embedMissingChunks();
+        if (embedded > 0) {
+            console.log(`Embedded ${embedded} chunks for semantic search`);
         }
+        return count;
     }
 
-    // Fallback text-based search when OpenAI is not available
-    async textSearch(query, limit = 10) {
-        console.log(`Performing text search for: "${query}"`);
-        
-        const documents = await this.db.getAllDocuments();
-        const results = [];
-        const queryWords = query.toLowerCase().split(/\s+/).filter(word => word.length > 2);
-
-        for (const doc of documents) {
-            if (doc.content) {
-                const content = doc.content.toLowerCase();
-                let score = 0;
-                let matchedChunks = [];
-
-                // Find matching chunks and calculate relevance score
-                const textChunks = this.splitTextIntoChunks(content, 500, 50);
-                
-                for (const chunk of textChunks) {
-                    let chunkScore = 0;
-                    let matchedWords = [];
-
-                    for (const queryWord of queryWords) {
-                        const regex = new RegExp(`\\b${queryWord}\\b`, 'gi');
-                        const matches = chunk.match(regex);
-                        if (matches) {
-                            chunkScore += matches.length;
-                            matchedWords.push(queryWord);
-                        }
-                    }
-
-                    if (chunkScore > 0) {
-                        matchedChunks.push({
-                            text: chunk,
-                            score: chunkScore,
-                            matchedWords: matchedWords
-                        });
-                    }
-                }
+    // Vectors from different providers are not comparable, so each one is tagged with its source
+    embeddingModelId() {
+        return this.embeddings ? this.embeddings.id : null;
+    }
 
-                if (matchedChunks.length > 0) {
-                    // Sort chunks by score and take the best ones
-                    matchedChunks.sort((a, b) => b.score - a.score);
-                    
-                    // Calculate overall document score
-                    const overallScore = matchedChunks.reduce((sum, chunk) => sum + chunk.score, 0);
-                    
-                    results.push({
-                        id: doc.id,
-                        filename: doc.filename,
-                        content: doc.content,
-                        wordCount: doc.wordCount,
-                        pageCount: doc.pageCount,
-                        uploadedAt: doc.uploadedAt,
-                        score: overallScore,
-                        chunks: matchedChunks.slice(0, 3) // Top 3 chunks
-                    });
-                }
+    // Fill in embeddings for chunks stored while no provider (or a different one) was configured
+    async embedMissingChunks() {
+        if (!this.embeddings) {
+            return 0;
+        }
+
+        let total = 0;
+        for (;;) {
+            const pending = await this.db.getChunksWithoutEmbeddings(this.embeddingModelId(), this.embeddingBatchSize);
+            if (pending.length === 0) {
+                return total;
+            }
+
+            const embeddings = await this.generateEmbeddings(pending.map(chunk => chunk.text));
+            if (embeddings.some(embedding => !embedding)) {
+                return total; // Provider failing, try again on next start
             }
+
+            for (let i = 0; i < pending.length; i++) {
+                await this.db.setChunkEmbedding(pending[i].id, embeddings[i], this.embeddingModelId());
+            }
+            total += pending.length;
         }
+    }
 
-        // Sort by score and return top results
-        results.sort((a, b) => b.score - a.score);
-        return results.slice(0, limit);
+    // Keyword search backed by the BM25 inverted index. Hits carry ids and scores only;
+    // document bodies are loaded later for the page being returned.
+    async textSearch(parsedQuery, limit = Infinity, allowedIds = null) {
+        const ranked = await this.index.search(parsedQuery, limit, allowedIds);
+        return ranked.map(hit => ({ id: hit.documentId, score: hit.score, matchedTerms: hit.matchedTerms }));
     }
 
-    // Semantic search using OpenAI embeddings
-    async semanticSearch(query, limit = 10) {
-        if (!this.openai) {
-            throw new Error('OpenAI not configured for semantic search');
+    // Semantic search: rank chunks by similarity, then keep the best passages per document.
+    // Field filters (allowedIds) and top-level exclusions from the parsed query still apply.
+    async semanticSearch(parsedQuery, limit = Infinity, allowedIds = null) {
+        if (!this.embeddings) {
+            throw new Error('No embedding provider configured for semantic search');
+        }
+
+        if (!parsedQuery.text) {
+            return []; // Nothing to embed, e.g. a query made only of filters
         }
 
         try {
-            const queryEmbedding = await this.generateEmbedding(query);
+            const [queryEmbedding, excludedIds] = await Promise.all([
+                this.generateEmbedding(parsedQuery.text),
+                this.index.excludedDocuments(parsedQuery)
+            ]);
             if (!queryEmbedding) {
                 throw new Error('Failed to generate query embedding');
             }
-            
-            const documents = await this.db.getAllDocuments();
-            const results = [];
-
-            for (const doc of documents) {
-                if (doc.embedding) {
-                    const similarity = this.cosineSimilarity(queryEmbedding, doc.embedding);
-                    if (similarity > 0.1) { // Minimum similarity threshold
-                        results.push({
-                            id: doc.id,
-                            filename: doc.filename,
-                            content: doc.content,
-                            wordCount: doc.wordCount,
-                            pageCount: doc.pageCount,
-                            uploadedAt: doc.uploadedAt,
-                            score: similarity
-                        });
-                    }
+
+            const chunkEmbeddings = await this.db.getChunkEmbeddings(this.embeddingModelId());
+            const byDocument = new Map();
+
+            for (const chunk of chunkEmbeddings) {
+                if ((allowedIds && !allowedIds.has(chunk.documentId)) || excludedIds.has(chunk.documentId)) {
+                    continue;
+                }
+
+                const similarity = this.cosineSimilarity(queryEmbedding, chunk.embedding);
+                if (similarity > 0.1) { // Minimum similarity threshold
+                    const matches = byDocument.get(chunk.documentId) || [];
+                    matches.push({ id: chunk.id, score: similarity });
+                    byDocument.set(chunk.documentId, matches);
                 }
             }
 
-            // Sort by similarity and return top results
-            results.sort((a, b) => b.score - a.score);
-            return results.slice(0, limit);
+            // A document scores as well as its best passage
+            return Array.from(byDocument, ([documentId, matches]) => {
+                matches.sort((a, b) => b.score - a.score);
+                return { id: documentId, score: matches[0].score, chunkIds: matches.slice(0, 3).map(match => match.id) };
+            }).sort((a, b) => b.score - a.score).slice(0, limit);
 
         } catch (error) {
             console.error('Semantic search error:', error);
@@ -198,32 +224,70 @@ class SearchService {
         }
     }
 
-    // Main search function that handles both semantic and text search
-    async search(query, limit = 10) {
+    // Merge keyword and semantic rankings with weighted reciprocal rank fusion.
+    // alpha weights the semantic ranking (0 = keyword only, 1 = semantic only).
+    fuseResults(keywordResults, semanticResults, alpha) {
+        const fused = new Map();
+        const rankings = [
+            ['keyword', keywordResults, 1 - alpha],
+            ['semantic', semanticResults, alpha]
+        ];
+
+        for (const [retriever, results, weight] of rankings) {
+            results.forEach((result, index) => {
+                const rank = index + 1;
+                const entry = fused.get(result.id) || { id: result.id, score: 0, chunkIds: [], matchedTerms: [], retrievers: {} };
+                entry.score += weight / (this.rrfK + rank);
+                entry.retrievers[retriever] = { rank, score: result.score };
+                entry.chunkIds.push(...(result.chunkIds || []));
+                entry.matchedTerms.push(...(result.matchedTerms || []));
+                fused.set(result.id, entry);
+            });
+        }
+
+        return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+    }
+
+    // Label single-retriever results the same way fused ones are
+    withRetriever(results, retriever) {
+        return results.map((result, index) => ({
+            ...result,
+            retrievers: { [retriever]: { rank: index + 1, score: result.score } }
+        }));
+    }
+
+    // Rank every matching document with the requested retrievers. Semantic modes fall back
+    // to keyword search when no embedding provider is available or it fails, and for queries
+    // made only of filters, which have nothing to embed but still select documents.
+    async rank(parsedQuery, mode, alpha, allowedIds) {
+        if ((!this.embeddings || !parsedQuery.text) && mode !== 'keyword') {
+            mode = 'keyword';
+        }
+
         try {
-            let searchResults = [];
-            
-            if (this.openai) {
-                try {
-                    searchResults = await this.semanticSearch(query, limit);
-                    console.log(`Semantic search completed: ${searchResults.length} results`);
-                } catch (error) {
-                    console.warn('Semantic search failed, falling back to text search:', error.message);
-                    searchResults = await this.textSearch(query, limit);
-                }
-            } else {
-                searchResults = await this.textSearch(query, limit);
+            if (mode === 'keyword') {
+                return { mode, ranked: this.withRetriever(await this.textSearch(parsedQuery, Infinity, allowedIds), 'keyword') };
+            }
+
+            const [keywordResults, semanticResults] = await Promise.all([
+                mode === 'hybrid' ? this.textSearch(parsedQuery, Infinity, allowedIds) : [],
+                this.semanticSearch(parsedQuery, Infinity, allowedIds)
+            ]);
+            console.log(`Semantic search completed: ${semanticResults.length} results`);
+
+            if (mode === 'semantic') {
+                return { mode, ranked: this.withRetriever(semanticResults, 'semantic') };
             }
 
-            return searchResults;
+            return { mode, ranked: this.fuseResults(keywordResults, semanticResults, alpha) };
 
         } catch (error) {
-            console.error('Search error:', error);
-            
+            console.warn('Search failed, falling back to keyword search:', error.message);
+
             // Always try text search as fallback
             try {
-                const fallbackResults = await this.textSearch(query, limit);
-                return fallbackResults;
+                const fallbackResults = await this.textSearch(parsedQuery, Infinity, allowedIds);
+                return { mode: 'keyword', ranked: this.withRetriever(fallbackResults, 'keyword') };
             } catch (fallbackError) {
                 console.error('Fallback search also failed:', fallbackError);
                 throw fallbackError;
@@ -231,10 +295,265 @@ class SearchService {
         }
     }
 
-    // Get recent searches from search history
-    async getRecentSearches(limit = 10) {
+    // Documents a query may match: those passing its field filters, narrowed to what one
+    // workspace can see (its own and shared documents) when workspaceId is given.
+    // Null when nothing restricts the query.
+    async allowedDocumentIds(parsedQuery, workspaceId) {
+        let allowedIds = parsedQuery.filters.length > 0
+            ? new Set(await this.db.getDocumentIdsByFilters(parsedQuery.filters, workspaceId ?? null))
+            : null;
+
+        if (workspaceId !== undefined) {
+            const visible = await this.db.getVisibleDocumentIds(workspaceId);
+            allowedIds = new Set(allowedIds ? visible.filter(id => allowedIds.has(id)) : visible);
+        }
+        return allowedIds;
+    }
+
+    // Main search function. The query is parsed once (see query-parser.js), every match is
+    // ranked, then facet filters, sorting and cursor pagination are applied before snippets
+    // are built for the returned page. Linked duplicates are left out unless includeDuplicates,
+    // and workspaceId limits results to the documents that workspace can see. Query terms found
+    // in a document's tags, collections or title raise its score (see applyMetadataBoosts).
+    // Throws a ValidationError for malformed filters or cursors.
+    async search(query, options = {}) {
+        const limit = options.limit || 10;
+        const alpha = options.alpha ?? this.defaultAlpha;
+        const mode = options.mode || (this.embeddings ? 'hybrid' : 'keyword');
+        const sort = options.sort || 'relevance';
+
+        const parsedQuery = parseQuery(query);
+        const allowedIds = await this.allowedDocumentIds(parsedQuery, options.workspaceId);
+
+        const { mode: usedMode, ranked } = await this.rank(parsedQuery, mode, alpha, allowedIds);
+
+        const summaries = await this.withCollections(
+            await this.db.getDocumentSummaries(ranked.map(hit => hit.id)),
+            options.workspaceId
+        );
+        const summaryById = new Map(summaries.map(summary => [summary.id, summary]));
+        const candidates = this.applyMetadataBoosts(ranked
+            .filter(hit => summaryById.has(hit.id))
+            .filter(hit => options.includeDuplicates || !summaryById.get(hit.id).duplicateOf)
+            .map(hit => ({ ...summaryById.get(hit.id), ...hit })), parsedQuery);
+
+        const order = options.order || SORTS[sort].order;
+        const { documents, facets } = applyFacets(candidates, options.facets);
+        const sorted = sortDocuments(documents, sort, order);
+        const page = paginate(sorted, { limit, cursor: options.cursor, sort, order });
+
+        return {
+            mode: usedMode,
+            total: sorted.length,
+            facets,
+            nextCursor: page.nextCursor,
+            results: await this.toHits(page.items, parsedQuery)
+        };
+    }
+
+    // Which of documentIds a keyword search for query, with facet filters, would return in a
+    // workspace. Used to check new documents against saved searches: semantic similarity has no
+    // cut-off that means "matches", so only keyword matching counts here.
+    async matchDocuments(query, documentIds, { workspaceId, facets = {} } = {}) {
+        const parsedQuery = parseQuery(query);
+        const visible = await this.allowedDocumentIds(parsedQuery, workspaceId);
+        const allowedIds = new Set(documentIds.filter(id => !visible || visible.has(id)));
+        if (allowedIds.size === 0) {
+            return [];
+        }
+
+        const { ranked } = await this.rank(parsedQuery, 'keyword', 0, allowedIds);
+        const summaries = (await this.withCollections(await this.db.getDocumentSummaries(ranked.map(hit => hit.id)), workspaceId))
+            .filter(summary => !summary.duplicateOf);
+        return applyFacets(summaries, facets).documents.map(doc => doc.id);
+    }
+
+    // Attach the names of the workspace's collections each document is in (for the collection facet)
+    async withCollections(summaries, workspaceId) {
+        const collections = workspaceId === undefined ? new Map() : await this.db.getDocumentCollections(workspaceId);
+        return summaries.map(summary => ({ ...summary, collections: collections.get(summary.id) || [] }));
+    }
+
+    // Raise the score of documents whose tags, collections or title contain query terms, so
+    // curated metadata counts for more than a passing mention in the text. Each boosted hit
+    // lists what matched in boosts, e.g. ["tag:finance", "title"].
+    applyMetadataBoosts(hits, parsedQuery) {
+        const terms = new Set(parsedQuery.terms);
+        if (terms.size === 0) {
+            return hits;
+        }
+
+        const matches = text => tokenize(text || '').some(term => terms.has(term));
+        return hits.map(hit => {
+            const boosts = [
+                ...hit.tags.filter(matches).map(tag => `tag:${tag}`),
+                ...hit.collections.filter(matches).map(name => `collection:${name}`),
+                ...(matches(hit.title) ? ['title'] : [])
+            ];
+            if (boosts.length === 0) {
+                return hit;
+            }
+            const factor = 1 + boosts.reduce((sum, boost) => sum + this.metadataBoosts[boost.split(':')[0]], 0);
+            return { ...hit, score: hit.score * factor, boosts };
+        }).sort((a, b) => b.score - a.score);
+    }
+
+    // Shape results for the API: snippets around the matches instead of the full document body
+    async toHits(hits, parsedQuery) {
+        const [documents, chunks, pagesById] = await Promise.all([
+            this.db.getDocumentsByIds(hits.map(hit => hit.id)),
+            this.db.getChunksByIds(hits.flatMap(hit => hit.chunkIds || [])),
+            this.db.getDocumentPages(hits.map(hit => hit.id))
+        ]);
+        const contentById = new Map(documents.map(doc => [doc.id, doc.content]));
+        const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+
+        return hits.map(hit => {
+            const terms = [...parsedQuery.terms, ...(hit.matchedTerms || [])]; // matchedTerms adds prefix expansions
+            const anchors = (hit.chunkIds || []).map(id => chunksById.get(id)).filter(Boolean).map(chunk => chunk.start);
+            return {
+                id: hit.id,
+                filename: hit.filename,
+                fileSize: hit.fileSize,
+                wordCount: hit.wordCount,
+                pageCount: hit.pageCount,
+                uploadedAt: hit.uploadedAt,
+                title: hit.title,
+                author: hit.author,
+                description: hit.description,
+                tags: hit.tags,
+                keyphrases: hit.keyphrases,
+                collections: hit.collections,
+                workspaceId: hit.workspaceId,
+                hasFile: hit.hasFile,
+                score: hit.score,
+                retrievers: hit.retrievers,
+                boosts: hit.boosts || [],
+                snippets: this.withPages(this.snippets.build(contentById.get(hit.id), terms, anchors), pagesById.get(hit.id))
+            };
+        });
+    }
+
+    // Pick the passages that best answer a question, for retrieval-augmented answers.
+    // Documents are ranked as in search(); within each one, chunks the semantic retriever
+    // matched come first, then chunks sharing the most query terms. Passages are taken
+    // round-robin across documents so one long file cannot crowd out the others.
+    async retrievePassages(question, options = {}) {
+        const limit = options.limit || 5;
+        const perDocument = options.perDocument || 2;
+        const mode = options.mode || (this.embeddings ? 'hybrid' : 'keyword');
+
+        const parsedQuery = parseQuery(question);
+        const allowedIds = await this.allowedDocumentIds(parsedQuery, options.workspaceId);
+
+        const { mode: usedMode, ranked } = await this.rank(parsedQuery, mode, options.alpha ?? this.defaultAlpha, allowedIds);
+
+        // Linked duplicates would only repeat their original's passages
+        const summaries = (await this.withCollections(
+            await this.db.getDocumentSummaries(ranked.map(hit => hit.id)),
+            options.workspaceId
+        )).filter(summary => !summary.duplicateOf);
+        const summaryById = new Map(summaries.map(summary => [summary.id, summary]));
+        const filenameById = new Map(summaries.map(summary => [summary.id, summary.filename]));
+        const top = this.applyMetadataBoosts(ranked
+            .filter(hit => summaryById.has(hit.id))
+            .map(hit => ({ ...summaryById.get(hit.id), ...hit })), parsedQuery).slice(0, limit);
+
+        const [chunks, pagesById] = await Promise.all([
+            this.db.getChunksByDocumentIds(top.map(hit => hit.id)),
+            this.db.getDocumentPages(top.map(hit => hit.id))
+        ]);
+
+        const perHit = top.map(hit => {
+            const terms = new Set([...parsedQuery.terms, ...(hit.matchedTerms || [])]);
+            const semanticRank = new Map((hit.chunkIds || []).map((id, index) => [id, index]));
+
+            return chunks
+                .filter(chunk => chunk.documentId === hit.id)
+                .map(chunk => ({
+                    chunk,
+                    semanticRank: semanticRank.has(chunk.id) ? semanticRank.get(chunk.id) : Infinity,
+                    overlap: new Set(tokenize(chunk.text).filter(term => terms.has(term))).size
+                }))
+                .filter(candidate => candidate.semanticRank !== Infinity || candidate.overlap > 0)
+                .sort((a, b) => (a.semanticRank - b.semanticRank) || (b.overlap - a.overlap) || (a.chunk.position - b.chunk.position))
+                .slice(0, perDocument)
+                .map(({ chunk }) => ({
+                    documentId: chunk.documentId,
+                    filename: filenameById.get(chunk.documentId),
+                    chunkId: chunk.id,
+                    position: chunk.position,
+                    start: chunk.start,
+                    end: chunk.end,
+                    page: pagesById.has(chunk.documentId) ? this.pageAt(pagesById.get(chunk.documentId), chunk.start) : null,
+                    text: chunk.text
+                }));
+        });
+
+        const passages = [];
+        for (let round = 0; round < perDocument && passages.length < limit; round++) {
+            for (const candidates of perHit) {
+                if (candidates[round] && passages.length < limit) {
+                    passages.push(candidates[round]);
+                }
+            }
+        }
+
+        return { mode: usedMode, passages };
+    }
+
+    // Label snippets with the page of their first highlight; null for documents without pages
+    withPages(snippets, pages) {
+        return snippets.map(snippet => {
+            const offset = snippet.start + (snippet.highlights.length > 0 ? snippet.highlights[0][0] : 0);
+            return { ...snippet, page: pages ? this.pageAt(pages, offset) : null };
+        });
+    }
+
+    // Number of the page containing a character offset; pages are sorted by start
+    pageAt(pages, offset) {
+        let low = 0;
+        let high = pages.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (pages[mid].start <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return pages[low].number;
+    }
+
+    // List documents without a query, with the same facets, sorting and pagination as search.
+    // Rows are a light projection: a short preview instead of the full content. includeDuplicates
+    // and workspaceId work as in search().
+    async browseDocuments(options = {}) {
+        const sort = options.sort || 'date';
+        const order = options.order || SORTS[sort].order;
+        const visible = options.workspaceId === undefined
+            ? null
+            : new Set(await this.db.getVisibleDocumentIds(options.workspaceId));
+        const summaries = (await this.withCollections(await this.db.getDocumentSummaries(), options.workspaceId))
+            .filter(doc => !visible || visible.has(doc.id))
+            .filter(doc => options.includeDuplicates || !doc.duplicateOf);
+        const { documents, facets } = applyFacets(summaries, options.facets);
+        const sorted = sortDocuments(documents, sort, order);
+        const page = paginate(sorted, { limit: options.limit || 20, cursor: options.cursor, sort, order });
+
+        const previews = await this.db.getDocumentPreviews(page.items.map(doc => doc.id));
+        return {
+            total: sorted.length,
+            facets,
+            nextCursor: page.nextCursor,
+            documents: page.items.map(doc => ({ ...doc, preview: previews.get(doc.id) || '' }))
+        };
+    }
+
+    // Get recent searches from one workspace's search history
+    async getRecentSearches(workspaceId, limit = 10) {
         try {
-            return await this.db.getSearchHistory();
+            return await this.db.getSearchHistory(workspaceId, limit);
         } catch (error) {
             console.warn('Failed to get search history:', error.message);
             return [];
@@ -242,4 +561,6 @@ class SearchService {
     }
 }
 
+SearchService.MODES = ['hybrid', 'semantic', 'keyword'];
+
 module.exports = SearchService;
\ No newline at end of file
@@ -6,6 +6,28 @@ const fs = require('fs');
 const Database = require('./database');
 const DocumentProcessor = require('./document-processor');
 const SearchService = require('./search-service');
+const AnswerService = require('./answer-service');
+const IngestionQueue = require('./ingestion-queue');
+const DuplicateDetector = require('./duplicates');
+const BlobStore = require('./blob-store');
+const AuthService = require('./auth');
+const WorkspaceService = require('./workspaces');
+const CollectionService = require('./collections');
+const SummaryService = require('./summaries');
+const RelatedDocuments = require('./related');
+const SuggestionService = require('./suggestions');
+const SavedSearchService = require('./saved-searches');
+const DocumentEvents = require('./events');
+const WebhookService = require('./webhooks');
+const DirectoryWatcher = require('./directory-watcher');
+const { parseFacetFilters, parseSort } = require('./facets');
+const { parseLimit } = require('./pagination');
+const { ValidationError, DuplicateDocumentError, UnprocessableFileError, DiffTooLargeError } = require('./errors');
+const { supportedTypesLabel } = require('./extractors');
+const { parseVersion, parseVersionRange, diffVersions, unifiedPatch } = require('./versions');
+const { parseTags, parseMetadataUpdate, fromFileProperties } = require('./metadata');
+const { parseWindow, parseInterval, fillVolume, withRates } = require('./analytics');
+const { v4: uuidv4 } = require('uuid');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -14,6 +36,20 @@ const PORT = process.env.PORT || 4000;
 const db = new Database();
 const docProcessor = new DocumentProcessor();
 const searchService = new SearchService(db);
+const answerService = new AnswerService(searchService);
+const duplicateDetector = new DuplicateDetector(db);
+const blobStore = new BlobStore();
+const authService = new AuthService(db);
+const workspaceService = new WorkspaceService(db);
+const collectionService = new CollectionService(db);
+const summaryService = new SummaryService(db, searchService.index);
+const relatedDocuments = new RelatedDocuments(db, searchService);
+const suggestionService = new SuggestionService(db);
+const documentEvents = new DocumentEvents();
+const webhookService = new WebhookService(db);
+const savedSearchService = new SavedSearchService(db, searchService, webhookService);
+
+webhookService.listen(documentEvents);
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '..', 'data');
@@ -30,10 +66,190 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+const SESSION_COOKIE = 'session';
+const PUBLIC_PATHS = new Set(['/health', '/auth/login', '/auth/register']);
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+// The session token from "Authorization: Bearer" or, for the browser app, the session cookie
+function sessionToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : readCookie(req, SESSION_COOKIE);
+}
+
+// Every route except PUBLIC_PATHS needs a signed-in user (req.user), from an API key or a session.
+// Runs before multer so anonymous uploads are never written to disk.
+app.use(async (req, res, next) => {
+    if (PUBLIC_PATHS.has(req.path)) {
+        return next();
+    }
+
+    try {
+        const apiKey = req.get('X-API-Key');
+        const token = sessionToken(req);
+        req.user = apiKey
+            ? await authService.userForApiKey(apiKey)
+            : token ? await authService.userForSession(token) : null;
+
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Requests act in one workspace (req.workspace = { id, name, role }), named by the
+// X-Workspace-Id header or ?workspace= and otherwise the caller's first one. Everything a
+// request can see is limited to that workspace's documents and those shared into it.
+// Account and workspace management routes name workspaces in their paths instead.
+app.use(async (req, res, next) => {
+    if (!req.user || req.path.startsWith('/auth/') || req.path.startsWith('/workspaces')) {
+        return next();
+    }
+
+    try {
+        const requested = req.get('X-Workspace-Id') || req.query.workspace;
+        if (requested === undefined) {
+            const workspace = await workspaceService.defaultWorkspace(req.user);
+            req.workspace = { id: workspace.id, name: workspace.name, role: req.user.role === 'admin' ? 'admin' : workspace.role };
+            return next();
+        }
+
+        const workspaceId = parseId(requested);
+        const role = workspaceId && await workspaceService.roleFor(req.user, workspaceId);
+        if (!role) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        const workspace = await db.getWorkspace(workspaceId);
+        req.workspace = { id: workspace.id, name: workspace.name, role };
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+function forbidden(res, minRole) {
+    return res.status(403).json({ error: `This requires the ${minRole} role in the workspace` });
+}
+
+// Routes that change the current workspace's documents need at least minRole there
+function requireRole(minRole) {
+    return (req, res, next) => {
+        if (!WorkspaceService.hasRole(req.workspace.role, minRole)) {
+            return forbidden(res, minRole);
+        }
+        next();
+    };
+}
+
+// For /documents/:id routes: 404 unless the document is visible in the current workspace, so
+// documents of other workspaces are indistinguishable from missing ones; 403 when it is but
+// the caller's role for it is below minRole (shared documents are read-only).
+// Sets req.documentId and req.documentAccess ({ ownerId, workspaceId, sharedWith }).
+function requireDocumentAccess(minRole) {
+    return async (req, res, next) => {
+        try {
+            const docId = parseId(req.params.id);
+            const access = docId && await db.getDocumentAccess(docId);
+            const role = access && workspaceService.documentRole(access, req.workspace);
+            if (!role) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            if (!WorkspaceService.hasRole(role, minRole)) {
+                return forbidden(res, minRole);
+            }
+            req.documentId = docId;
+            req.documentAccess = access;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// For /workspaces/:id routes: 404 unless the caller is a member, 403 below minRole.
+// Sets req.workspace.
+function requireWorkspaceRole(minRole) {
+    return async (req, res, next) => {
+        try {
+            const workspaceId = parseId(req.params.id);
+            const role = workspaceId && await workspaceService.roleFor(req.user, workspaceId);
+            if (!role) {
+                return res.status(404).json({ error: 'Workspace not found' });
+            }
+            if (!WorkspaceService.hasRole(role, minRole)) {
+                return forbidden(res, minRole);
+            }
+            req.workspace = { ...await db.getWorkspace(workspaceId), role };
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// For /collections/:id routes: 404 unless the collection belongs to the current workspace.
+// Sets req.collection.
+async function requireCollection(req, res, next) {
+    try {
+        const collectionId = parseId(req.params.id);
+        const collection = collectionId && await db.getCollection(collectionId);
+        if (!collection || collection.workspaceId !== req.workspace.id) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+        req.collection = collection;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// For /saved-searches/:id routes: 404 unless the saved search is the caller's own in the
+// current workspace. Sets req.savedSearch.
+async function requireSavedSearch(req, res, next) {
+    try {
+        const savedSearchId = parseId(req.params.id);
+        const savedSearch = savedSearchId && await db.getSavedSearch(savedSearchId);
+        if (!savedSearch || savedSearch.workspaceId !== req.workspace.id || savedSearch.userId !== req.user.id) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        req.savedSearch = savedSearch;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// For /webhooks/:id routes: 404 unless the webhook belongs to the current workspace.
+// Sets req.webhook.
+async function requireWebhook(req, res, next) {
+    try {
+        const webhookId = parseId(req.params.id);
+        const webhook = webhookId && await db.getWebhook(webhookId);
+        if (!webhook || webhook.workspaceId !== req.workspace.id) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        req.webhook = webhook;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '..', 'uploads');
+        const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
         if (!fs.existsSync(uploadDir)) {
             fs.mkdirSync(uploadDir, { recursive: true });
         }
@@ -51,47 +267,63 @@ const upload = multer({
         fileSize: 10 * 1024 * 1024 // 10MB
     },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['application/pdf', 'text/plain', 'text/markdown'];
-        const allowedExtensions = ['.pdf', '.txt', '.md'];
         const ext = path.extname(file.originalname).toLowerCase();
         
-        if (allowedExtensions.includes(ext)) {
+        if (docProcessor.allowedExtensions.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error('Only PDF, TXT, and MD files are allowed!'), false);
+            cb(new ValidationError(`Only ${supportedTypesLabel()} files are allowed!`), false);
         }
     }
 });
 
-// Initialize database
-db.initialize().then(() => {
-    console.log('Database initialized successfully');
-}).catch(error => {
-    console.error('Failed to initialize database:', error);
-    process.exit(1);
-});
+// upload.single, answering files the upload rejects (unsupported type, over the size limit)
+// with 400 like /upload/batch does
+function uploadSingle(field) {
+    return (req, res, next) => {
+        upload.single(field)(req, res, error => {
+            if (error instanceof ValidationError || error instanceof multer.MulterError) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        });
+    };
+}
 
-// Routes
+// Batch uploads also accept .zip archives, which are unpacked into one job per file
+const MAX_BATCH_FILES = 100;
+const batchUpload = multer({
+    storage,
+    limits: {
+        fileSize: 100 * 1024 * 1024, // 100MB, archives included; each document is still capped by the processor
+        files: MAX_BATCH_FILES
+    },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
 
-// Upload and process document
-app.post('/upload', upload.single('document'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        if (ext === '.zip' || docProcessor.allowedExtensions.includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`${file.originalname}: only ${supportedTypesLabel()} files or ZIP archives are allowed`), false);
         }
+    }
+});
 
-        const filePath = req.file.path;
-        const originalName = req.file.originalname;
-
-        console.log(`Processing file: ${originalName}`);
-
-        // Process the document
-        const processedDoc = await docProcessor.processFile(filePath, originalName);
+// Parse, store and index one uploaded file, keeping the original in the blob store. Nothing
+// is left behind if indexing fails, so a retried ingestion job cannot create the document
+// twice. Duplicates of existing documents are linked or rejected (DuplicateDocumentError)
+// according to DUPLICATE_POLICY. The document belongs to ownerId and workspaceId.
+async function ingestFile(filePath, originalName, { ownerId, workspaceId }, setStage = async () => {}) {
+    const processedDoc = await docProcessor.processFile(filePath, originalName);
+    const blob = await blobStore.put(filePath);
 
-        // Generate embedding
-        const embedding = await searchService.generateEmbedding(processedDoc.content);
+    await setStage('indexing');
+    const { docId, duplicate } = await duplicateDetector.exclusive(async () => {
+        const duplicate = await duplicateDetector.findDuplicate(processedDoc.fingerprint, { workspaceId });
+        if (duplicate && duplicateDetector.policy === 'reject') {
+            throw new DuplicateDocumentError(duplicate);
+        }
 
-        // Store in database
         const docId = await db.addDocument({
             filename: originalName,
             content: processedDoc.content,
@@ -99,104 +331,1737 @@ app.post('/upload', upload.single('document'), async (req, res) => {
             wordCount: processedDoc.metadata.wordCount,
             pageCount: processedDoc.metadata.pageCount,
             uploadedAt: processedDoc.metadata.processedAt,
-            embedding
+            pages: processedDoc.pages,
+            fingerprint: processedDoc.fingerprint,
+            duplicate,
+            blobHash: blob.hash,
+            ownerId,
+            workspaceId,
+            ...fromFileProperties(processedDoc.properties)
         });
+        return { docId, duplicate };
+    }).catch(async error => {
+        await releaseBlobs([blob.hash]);
+        throw error;
+    });
 
-        // Cleanup uploaded file
-        await docProcessor.cleanup(filePath);
+    if (duplicate) {
+        console.log(`${originalName} is a ${duplicate.kind} duplicate of document ${duplicate.documentId}`);
+    }
 
-        res.json({
-            success: true,
-            message: 'Document processed successfully',
-            documentId: docId,
+    // Index keywords and store embedded chunks for the new document
+    try {
+        await searchService.indexDocument(docId, processedDoc.content);
+    } catch (error) {
+        await db.deleteDocument(docId);
+        await searchService.removeDocument(docId);
+        await releaseBlobs([blob.hash]);
+        throw error;
+    }
+
+    await summarize(docId, processedDoc.content);
+    await checkSavedSearches(docId);
+    await publishDocumentEvent('document.added', docId, { duplicateOf: duplicate || null });
+    return { docId, processedDoc, duplicate };
+}
+
+// Store a file as the new version of an existing document in workspaceId, keeping its id and
+// owner. The previous version is archived; if indexing the new one fails it is restored.
+// Resolves to null when the document does not exist.
+async function replaceFile(docId, workspaceId, filePath, originalName) {
+    const processedDoc = await docProcessor.processFile(filePath, originalName);
+    const blob = await blobStore.put(filePath);
+
+    const result = await duplicateDetector.exclusive(async () => {
+        const print = processedDoc.fingerprint;
+        const duplicate = await duplicateDetector.findDuplicate(print, { excludeId: docId, workspaceId });
+        if (duplicate && duplicateDetector.policy === 'reject') {
+            throw new DuplicateDocumentError(duplicate);
+        }
+
+        const { title, author, description } = fromFileProperties(processedDoc.properties);
+        const version = await db.replaceDocument(docId, {
             filename: originalName,
+            content: processedDoc.content,
+            fileSize: processedDoc.metadata.size,
             wordCount: processedDoc.metadata.wordCount,
-            pageCount: processedDoc.metadata.pageCount
+            pageCount: processedDoc.metadata.pageCount,
+            uploadedAt: processedDoc.metadata.processedAt,
+            pages: processedDoc.pages,
+            fingerprint: print,
+            duplicate,
+            releaseDuplicates: await duplicateDetector.staleDuplicatesOf(docId, print),
+            blobHash: blob.hash,
+            title,
+            author,
+            description
         });
+        return version === null ? null : { version, duplicate };
+    }).catch(async error => {
+        await releaseBlobs([blob.hash]);
+        throw error;
+    });
+
+    if (!result) {
+        await releaseBlobs([blob.hash]);
+        return null;
+    }
 
+    try {
+        await searchService.indexDocument(docId, processedDoc.content);
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ 
-            error: 'Failed to process document',
-            details: error.message 
+        const restored = await db.restorePreviousVersion(docId);
+        await releaseBlobs([blob.hash]);
+        await duplicateDetector.fingerprintMissingDocuments();
+        await searchService.indexDocument(docId, restored.content);
+        await summarize(docId, restored.content);
+        throw error;
+    }
+
+    await summarize(docId, processedDoc.content);
+    await checkSavedSearches(docId);
+    await publishDocumentEvent('document.updated', docId, { change: 'version' });
+    return { ...result, processedDoc };
+}
+
+// Delete a document with its versions, index entries and unreferenced blobs. Resolves to
+// false when it does not exist.
+async function removeDocument(docId) {
+    const blobHashes = await db.getDocumentBlobHashes(docId);
+    const [document] = await db.getDocumentSummaries([docId]);
+    if (!await db.deleteDocument(docId)) {
+        return false;
+    }
+    await searchService.removeDocument(docId);
+    await releaseBlobs(blobHashes);
+    await publishDocumentEvent('document.deleted', docId, {}, document);
+    return true;
+}
+
+// Keyphrases and summaries are not worth failing an upload over; any left missing are
+// computed on the next start
+async function summarize(docId, content) {
+    try {
+        await summaryService.summarizeDocument(docId, content);
+    } catch (error) {
+        console.warn(`Failed to summarize document ${docId}:`, error.message);
+    }
+}
+
+// Like summaries, saved search notifications should not fail an upload
+async function checkSavedSearches(docId) {
+    try {
+        const notified = await savedSearchService.checkDocument(docId);
+        if (notified > 0) {
+            console.log(`Document ${docId} matched ${notified} saved searches`);
+        }
+    } catch (error) {
+        console.warn(`Failed to check saved searches for document ${docId}:`, error.message);
+    }
+}
+
+// Tell event listeners (webhooks) about a document, described by its listing row. Call after
+// the change for added and updated, and with the row read beforehand for deleted.
+async function publishDocumentEvent(type, docId, data = {}, document = null) {
+    try {
+        const described = document || (await db.getDocumentSummaries([docId]))[0];
+        documentEvents.publish(type, described.workspaceId, { document: described, ...data });
+    } catch (error) {
+        console.warn(`Failed to publish ${type} for document ${docId}:`, error.message);
+    }
+}
+
+// Remove blobs no document or version refers to any more
+async function releaseBlobs(hashes) {
+    for (const hash of hashes) {
+        if (!await db.isBlobReferenced(hash)) {
+            await blobStore.remove(hash);
+        }
+    }
+}
+
+// Content-Disposition with an ASCII fallback name and the UTF-8 original (RFC 6266)
+function contentDisposition(type, filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Route ids are numbers in the database; a malformed id matches nothing
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+const ingestionQueue = new IngestionQueue(db, async (job, setStage) => {
+    const { docId } = await ingestFile(job.filePath, job.filename, job, setStage);
+    await docProcessor.cleanup(job.filePath);
+    return docId;
+}, {
+    onFailed: async (job, error) => {
+        documentEvents.publish('document.failed', job.workspaceId, {
+            filename: job.filename,
+            error: error.message,
+            documentId: null,
+            jobId: job.id
         });
-        
-        // Cleanup file on error
-        if (req.file && req.file.path) {
-            await docProcessor.cleanup(req.file.path);
+        await docProcessor.cleanup(job.filePath);
+    }
+});
+
+// Watched directories are ingested in place; their files are never cleaned up
+const directoryWatcher = new DirectoryWatcher(db, {
+    ingest: async (filePath, filename, owner) => (await ingestFile(filePath, filename, owner)).docId,
+    replace: replaceFile,
+    remove: removeDocument
+});
+
+// Initialize database
+db.initialize().then(() => {
+    console.log('Database initialized successfully');
+    // Summaries weigh terms against the index, so they wait for it
+    searchService.indexMissingDocuments().catch(error => {
+        console.warn('Failed to index existing documents:', error.message);
+    }).then(() => summaryService.summarizeMissingDocuments()).then(count => {
+        if (count > 0) {
+            console.log(`Summarized ${count} existing documents`);
+        }
+    }).catch(error => {
+        console.warn('Failed to summarize existing documents:', error.message);
+    });
+    duplicateDetector.fingerprintMissingDocuments().catch(error => {
+        console.warn('Failed to fingerprint existing documents:', error.message);
+    });
+    ingestionQueue.start().catch(error => {
+        console.error('Failed to start ingestion queue:', error.message);
+    });
+    webhookService.start().catch(error => {
+        console.error('Failed to start webhook deliveries:', error.message);
+    });
+    directoryWatcher.start().catch(error => {
+        console.error('Failed to start the directory watcher:', error.message);
+    });
+}).catch(error => {
+    console.error('Failed to initialize database:', error);
+    process.exit(1);
+});
+
+// Routes
+
+// Create an account; the first one becomes the admin
+app.post('/auth/register', async (req, res) => {
+    try {
+        const user = await authService.register(req.body.username, req.body.password);
+        res.status(201).json({ user });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('Register error:', error);
+        res.status(500).json({
+            error: 'Failed to register',
+            details: error.message
+        });
     }
 });
 
-// Search documents
-app.get('/search', async (req, res) => {
+// Start a session: the token is returned for scripts and set as an HttpOnly cookie for the app
+app.post('/auth/login', async (req, res) => {
     try {
-        const query = req.query.q;
-        const limit = parseInt(req.query.limit) || 10;
+        const session = await authService.login(req.body.username, req.body.password);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
 
-        if (!query || query.trim().length === 0) {
-            return res.status(400).json({ error: 'Search query is required' });
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: process.env.NODE_ENV === 'production',
+            expires: new Date(session.expiresAt)
+        });
+        res.json(session);
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            error: 'Failed to log in',
+            details: error.message
+        });
+    }
+});
+
+app.post('/auth/logout', async (req, res) => {
+    try {
+        const token = sessionToken(req);
+        if (token) {
+            await authService.logout(token);
         }
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            error: 'Failed to log out',
+            details: error.message
+        });
+    }
+});
 
-        console.log(`Searching for: "${query}"`);
+app.get('/auth/me', (req, res) => {
+    res.json({ user: req.user });
+});
 
-        // Perform search
-        const results = await searchService.search(query, limit);
+// API keys of the signed-in user, for scripts ("X-API-Key" header)
+app.get('/auth/api-keys', async (req, res) => {
+    try {
+        res.json({ apiKeys: await db.getApiKeys(req.user.id) });
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch API keys',
+            details: error.message
+        });
+    }
+});
 
-        // Log search history
-        await db.logSearch(query, results.length);
+// The key itself is only in this response; store it, it cannot be shown again
+app.post('/auth/api-keys', async (req, res) => {
+    try {
+        const { key, apiKey } = await authService.createApiKey(req.user.id, req.body.name);
+        res.status(201).json({ key, apiKey });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            error: 'Failed to create API key',
+            details: error.message
+        });
+    }
+});
 
-        res.json({
-            query,
-            results,
-            totalResults: results.length,
-            searchTime: Date.now()
+app.delete('/auth/api-keys/:id', async (req, res) => {
+    try {
+        const deleted = await db.deleteApiKey(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete API key error:', error);
+        res.status(500).json({
+            error: 'Failed to delete API key',
+            details: error.message
         });
+    }
+});
 
+// Workspaces the caller belongs to, with their role in each
+app.get('/workspaces', async (req, res) => {
+    try {
+        const workspaces = await db.getWorkspacesForUser(req.user.id);
+        res.json({ workspaces });
     } catch (error) {
-        console.error('Search error:', error);
-        res.status(500).json({ 
-            error: 'Search failed',
-            details: error.message 
+        console.error('Get workspaces error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch workspaces',
+            details: error.message
         });
     }
 });
 
-// Get all documents
-app.get('/documents', async (req, res) => {
+// Create a workspace; the caller becomes its admin
+app.post('/workspaces', async (req, res) => {
     try {
-        const documents = await db.getAllDocuments();
-        res.json({ documents });
+        const workspace = await workspaceService.create(req.body.name, req.user.id);
+        res.status(201).json({ workspace: { ...workspace, role: 'admin' } });
     } catch (error) {
-        console.error('Get documents error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch documents',
-            details: error.message 
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create workspace error:', error);
+        res.status(500).json({
+            error: 'Failed to create workspace',
+            details: error.message
         });
     }
 });
 
-// Get document by ID
-app.get('/documents/:id', async (req, res) => {
+// A workspace with its members
+app.get('/workspaces/:id', requireWorkspaceRole('viewer'), async (req, res) => {
     try {
-        const document = await db.getDocumentById(req.params.id);
-        if (!document) {
-            return res.status(404).json({ error: 'Document not found' });
+        const members = await db.getWorkspaceMembers(req.workspace.id);
+        res.json({ workspace: req.workspace, members });
+    } catch (error) {
+        console.error('Get workspace error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch workspace',
+            details: error.message
+        });
+    }
+});
+
+app.patch('/workspaces/:id', requireWorkspaceRole('admin'), async (req, res) => {
+    try {
+        const workspace = await workspaceService.rename(req.workspace.id, req.body.name);
+        res.json({ workspace: { ...workspace, role: req.workspace.role } });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
         }
-        res.json({ document });
+        console.error('Update workspace error:', error);
+        res.status(500).json({
+            error: 'Failed to update workspace',
+            details: error.message
+        });
+    }
+});
+
+// Delete an empty workspace
+app.delete('/workspaces/:id', requireWorkspaceRole('admin'), async (req, res) => {
+    try {
+        await workspaceService.remove(req.workspace.id);
+        res.json({ success: true });
     } catch (error) {
-        console.error('Get document error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch document',
-            details: error.message 
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Delete workspace error:', error);
+        res.status(500).json({
+            error: 'Failed to delete workspace',
+            details: error.message
+        });
+    }
+});
+
+// Add a member by username or change their role: { username, role }
+app.post('/workspaces/:id/members', requireWorkspaceRole('admin'), async (req, res) => {
+    try {
+        const member = await workspaceService.setMember(req.workspace.id, req.body.username, req.body.role);
+        res.json({ member });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Add member error:', error);
+        res.status(500).json({
+            error: 'Failed to add member',
+            details: error.message
+        });
+    }
+});
+
+// Remove a member; admins can remove anyone, other members only themselves
+app.delete('/workspaces/:id/members/:userId', requireWorkspaceRole('viewer'), async (req, res) => {
+    try {
+        const userId = parseId(req.params.userId);
+        if (userId !== req.user.id && req.workspace.role !== 'admin') {
+            return forbidden(res, 'admin');
+        }
+        const removed = userId && await workspaceService.removeMember(req.workspace.id, userId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Remove member error:', error);
+        res.status(500).json({
+            error: 'Failed to remove member',
+            details: error.message
+        });
+    }
+});
+
+// Upload and process document
+app.post('/upload', requireRole('editor'), uploadSingle('document'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const filePath = req.file.path;
+        const originalName = req.file.originalname;
+
+        console.log(`Processing file: ${originalName}`);
+
+        // Process, store and index the document
+        const { docId, processedDoc, duplicate } = await ingestFile(filePath, originalName, {
+            ownerId: req.user.id,
+            workspaceId: req.workspace.id
+        });
+
+        // Cleanup uploaded file
+        await docProcessor.cleanup(filePath);
+
+        res.json({
+            success: true,
+            message: 'Document processed successfully',
+            documentId: docId,
+            filename: originalName,
+            wordCount: processedDoc.metadata.wordCount,
+            pageCount: processedDoc.metadata.pageCount,
+            duplicateOf: duplicate || null
+        });
+
+    } catch (error) {
+        if (req.file) {
+            documentEvents.publish('document.failed', req.workspace.id, {
+                filename: req.file.originalname,
+                error: error.message,
+                documentId: null,
+                jobId: null
+            });
+        }
+        if (error instanceof DuplicateDocumentError) {
+            await docProcessor.cleanup(req.file.path);
+            return res.status(409).json({
+                error: 'Duplicate document',
+                details: error.message,
+                duplicateOf: error.duplicate
+            });
+        }
+        // Cleanup file on error
+        if (req.file && req.file.path) {
+            await docProcessor.cleanup(req.file.path);
+        }
+
+        // Files the extractor cannot read fail the same way however often they are sent
+        if (error.retryable === false) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error('Upload error:', error);
+        res.status(500).json({ 
+            error: 'Failed to process document',
+            details: error.message 
+        });
+    }
+});
+
+// Upload several files (or zip archives) at once. Files are queued for background
+// ingestion; poll /jobs?batch=<batchId> or /jobs/:id for progress.
+app.post('/upload/batch', requireRole('editor'), (req, res, next) => {
+    batchUpload.array('documents', MAX_BATCH_FILES)(req, res, error => {
+        if (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const uploaded = req.files || [];
+    const isArchive = file => path.extname(file.originalname).toLowerCase() === '.zip';
+    const files = [];
+    // Archive entries count against the same limit as uploaded files
+    let room = MAX_BATCH_FILES - uploaded.filter(file => !isArchive(file)).length;
+
+    try {
+        if (uploaded.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const skipped = [];
+        for (const file of uploaded) {
+            if (!isArchive(file)) {
+                files.push({ filename: file.originalname, filePath: file.path });
+                continue;
+            }
+
+            try {
+                const archive = await docProcessor.expandArchive(file.path, room);
+                room -= archive.files.length;
+                files.push(...archive.files);
+                skipped.push(...archive.skipped.map(name => `${file.originalname}/${name}`));
+            } finally {
+                await docProcessor.cleanup(file.path);
+            }
+        }
+
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No supported files found in the upload', skipped });
+        }
+
+        const batchId = uuidv4();
+        await ingestionQueue.enqueue(batchId, files, req.user.id, req.workspace.id);
+        const jobs = await db.getIngestionJobsByBatch(batchId);
+
+        console.log(`Queued ${jobs.length} files for ingestion (batch ${batchId})`);
+
+        res.status(202).json({
+            batchId,
+            jobs,
+            skipped,
+            summary: IngestionQueue.summarize(jobs)
+        });
+
+    } catch (error) {
+        // Archives are already removed; what they expanded to is in files
+        const leftovers = new Set([
+            ...uploaded.filter(file => !isArchive(file)).map(file => file.path),
+            ...files.map(file => file.filePath)
+        ]);
+        for (const filePath of leftovers) {
+            await docProcessor.cleanup(filePath);
+        }
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof UnprocessableFileError) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error('Batch upload error:', error);
+        res.status(500).json({
+            error: 'Failed to queue documents',
+            details: error.message
+        });
+    }
+});
+
+// Jobs are visible in the workspace they upload into
+function canSeeJob(req, job) {
+    return job.workspaceId === req.workspace.id;
+}
+
+// Progress of every job in an upload batch
+app.get('/jobs', async (req, res) => {
+    try {
+        if (!req.query.batch) {
+            return res.status(400).json({ error: 'batch parameter is required' });
+        }
+
+        const jobs = (await db.getIngestionJobsByBatch(req.query.batch)).filter(job => canSeeJob(req, job));
+        if (jobs.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        res.json({ batchId: req.query.batch, jobs, summary: IngestionQueue.summarize(jobs) });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch jobs',
+            details: error.message
+        });
+    }
+});
+
+// Status of a single ingestion job
+app.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await db.getIngestionJob(req.params.id);
+        if (!job || !canSeeJob(req, job)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ job });
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch job',
+            details: error.message
+        });
+    }
+});
+
+// Search documents
+app.get('/search', async (req, res) => {
+    try {
+        const query = req.query.q;
+        const limit = parseLimit(req.query.limit, 10, 100);
+        const cursor = req.query.cursor;
+        const mode = req.query.mode;
+        const alpha = req.query.alpha !== undefined ? parseFloat(req.query.alpha) : undefined;
+
+        if (!query || query.trim().length === 0) {
+            return res.status(400).json({ error: 'Search query is required' });
+        }
+
+        if (mode !== undefined && !SearchService.MODES.includes(mode)) {
+            return res.status(400).json({ error: `Invalid mode. Use one of: ${SearchService.MODES.join(', ')}` });
+        }
+
+        if (alpha !== undefined && !(alpha >= 0 && alpha <= 1)) {
+            return res.status(400).json({ error: 'alpha must be a number between 0 and 1' });
+        }
+
+        const facets = parseFacetFilters(req.query);
+        const { sort, order } = parseSort(req.query, 'relevance');
+
+        console.log(`Searching for: "${query}"`);
+
+        const includeDuplicates = req.query.include_duplicates === 'true';
+
+        // Perform search
+        const { mode: searchMode, results, total, facets: facetCounts, nextCursor } = await searchService.search(query, {
+            limit, cursor, mode, alpha, facets, sort, order, includeDuplicates, workspaceId: req.workspace.id
+        });
+
+        // Log the search once, not again for each further page; clicks refer to its id
+        const searchId = cursor ? null : await db.logSearch(query, total, req.workspace.id);
+
+        res.json({
+            query,
+            searchId,
+            mode: searchMode,
+            sort,
+            order,
+            results,
+            facets: facetCounts,
+            totalResults: total,
+            nextCursor,
+            searchTime: Date.now()
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Search error:', error);
+        res.status(500).json({ 
+            error: 'Search failed',
+            details: error.message 
+        });
+    }
+});
+
+// Recent searches in the current workspace
+app.get('/search/history', async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit, 50, 200);
+        const searches = await searchService.getRecentSearches(req.workspace.id, limit);
+        res.json({ searches });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Get search history error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch search history',
+            details: error.message
+        });
+    }
+});
+
+// Typeahead for the search box: completions of a partly typed query and "did you mean"
+// corrections for words the workspace's documents do not contain
+app.get('/suggest', async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        if (!query.trim()) {
+            return res.status(400).json({ error: 'q is required' });
+        }
+        const limit = parseLimit(req.query.limit, 8, 20);
+        res.json(await suggestionService.suggest(query, { workspaceId: req.workspace.id, limit }));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Suggest error:', error);
+        res.status(500).json({
+            error: 'Failed to get suggestions',
+            details: error.message
+        });
+    }
+});
+
+// Record that a search result was opened, for click-through analytics. position is the
+// result's 1-based rank in the search. Repeat clicks on the same result count once.
+app.post('/search/clicks', async (req, res) => {
+    try {
+        const { searchId, documentId, position } = req.body;
+        const search = Number.isInteger(searchId) ? await db.getSearch(searchId) : null;
+        if (!search || search.workspaceId !== req.workspace.id) {
+            return res.status(404).json({ error: 'Search not found' });
+        }
+        if (!Number.isInteger(position) || position < 1) {
+            return res.status(400).json({ error: 'position must be a positive integer' });
+        }
+
+        const access = Number.isInteger(documentId) ? await db.getDocumentAccess(documentId) : null;
+        if (!access || !workspaceService.documentRole(access, req.workspace)) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const recorded = await db.logSearchClick(search.id, documentId, position);
+        res.status(recorded ? 201 : 200).json({ success: true, recorded });
+    } catch (error) {
+        console.error('Log click error:', error);
+        res.status(500).json({
+            error: 'Failed to record click',
+            details: error.message
+        });
+    }
+});
+
+// Answer a question from the uploaded documents, citing the passages used.
+// Streams server-sent events (sources, delta..., done) when the client asks for
+// text/event-stream or sends stream: true; otherwise replies with one JSON object.
+app.post('/ask', async (req, res) => {
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+    const wantsStream = req.body.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+
+    try {
+        const limit = parseLimit(req.body.limit, answerService.maxPassages, 20);
+        const mode = req.body.mode;
+
+        if (question.length === 0) {
+            return res.status(400).json({ error: 'Question is required' });
+        }
+
+        if (mode !== undefined && !SearchService.MODES.includes(mode)) {
+            return res.status(400).json({ error: `Invalid mode. Use one of: ${SearchService.MODES.join(', ')}` });
+        }
+
+        if (!answerService.chat) {
+            return res.status(503).json({ error: 'Question answering is not configured. Set CHAT_PROVIDER.' });
+        }
+
+        console.log(`Answering: "${question}"`);
+
+        if (!wantsStream) {
+            return res.json(await answerService.answer(question, { limit, mode, workspaceId: req.workspace.id }));
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        let closed = false;
+        res.on('close', () => { closed = true; });
+
+        try {
+            for await (const event of answerService.stream(question, { limit, mode, workspaceId: req.workspace.id })) {
+                if (closed) {
+                    break; // Client went away, stop pulling tokens from the model
+                }
+                const { type, ...data } = event;
+                res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        } catch (error) {
+            console.error('Ask stream error:', error);
+            res.write(`event: error\ndata: ${JSON.stringify({ error: 'Answer failed', details: error.message })}\n\n`);
+        }
+        res.end();
+
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Ask error:', error);
+        res.status(500).json({
+            error: 'Answer failed',
+            details: error.message
+        });
+    }
+});
+
+// List documents one page at a time, optionally filtered by facets and sorted.
+// Rows omit the content; fetch /documents/:id for the full text.
+app.get('/documents', async (req, res) => {
+    try {
+        const facets = parseFacetFilters(req.query);
+        const { sort, order } = parseSort(req.query, 'date');
+        const limit = parseLimit(req.query.limit, 20, 100);
+
+        const listing = await searchService.browseDocuments({
+            facets, sort, order, limit, cursor: req.query.cursor,
+            includeDuplicates: req.query.include_duplicates === 'true',
+            workspaceId: req.workspace.id
+        });
+
+        res.json({
+            documents: listing.documents,
+            facets: listing.facets,
+            total: listing.total,
+            nextCursor: listing.nextCursor,
+            sort,
+            order
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Get documents error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch documents',
+            details: error.message 
+        });
+    }
+});
+
+// Clusters of exact and near-duplicate documents already stored, largest first
+app.get('/documents/duplicates', async (req, res) => {
+    try {
+        const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : duplicateDetector.threshold;
+        if (!(threshold > 0 && threshold <= 1)) {
+            return res.status(400).json({ error: 'threshold must be a number above 0 and at most 1' });
+        }
+
+        const clusters = await duplicateDetector.findClusters(threshold, req.workspace.id);
+        res.json({
+            threshold,
+            policy: duplicateDetector.policy,
+            clusters,
+            total: clusters.length
+        });
+    } catch (error) {
+        console.error('Get duplicates error:', error);
+        res.status(500).json({
+            error: 'Failed to find duplicates',
+            details: error.message
+        });
+    }
+});
+
+// Get document by ID
+app.get('/documents/:id', requireDocumentAccess('viewer'), async (req, res) => {
+    try {
+        const document = await db.getDocumentById(req.documentId);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json({ document });
+    } catch (error) {
+        console.error('Get document error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch document',
+            details: error.message 
+        });
+    }
+});
+
+// Documents most like this one among those the workspace can see, each with the terms they share
+app.get('/documents/:id/similar', requireDocumentAccess('viewer'), async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit, 5, 20);
+        const { method, documents } = await relatedDocuments.find(req.documentId, { workspaceId: req.workspace.id, limit });
+        res.json({ documentId: req.documentId, method, similar: documents });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Similar documents error:', error);
+        res.status(500).json({
+            error: 'Failed to find similar documents',
+            details: error.message
+        });
+    }
+});
+
+// Upload a new version of a document. Its id stays the same and earlier versions are kept.
+app.put('/documents/:id', requireDocumentAccess('editor'), uploadSingle('document'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const docId = req.documentId;
+        const result = await replaceFile(docId, req.workspace.id, req.file.path, req.file.originalname);
+        await docProcessor.cleanup(req.file.path);
+        if (!result) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Document updated successfully',
+            documentId: docId,
+            version: result.version,
+            filename: req.file.originalname,
+            wordCount: result.processedDoc.metadata.wordCount,
+            pageCount: result.processedDoc.metadata.pageCount,
+            duplicateOf: result.duplicate || null
+        });
+
+    } catch (error) {
+        if (req.file && req.file.path) {
+            await docProcessor.cleanup(req.file.path);
+            documentEvents.publish('document.failed', req.documentAccess.workspaceId, {
+                filename: req.file.originalname,
+                error: error.message,
+                documentId: req.documentId,
+                jobId: null
+            });
+        }
+        if (error instanceof DuplicateDocumentError) {
+            return res.status(409).json({
+                error: 'Duplicate document',
+                details: error.message,
+                duplicateOf: error.duplicate
+            });
+        }
+        if (error.retryable === false) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error('Update document error:', error);
+        res.status(500).json({
+            error: 'Failed to update document',
+            details: error.message
+        });
+    }
+});
+
+// Edit a document's title, author, description or tags; null or "" clears a field
+app.patch('/documents/:id', requireDocumentAccess('editor'), async (req, res) => {
+    try {
+        const { fields, tags } = parseMetadataUpdate(req.body);
+        await db.updateDocumentMetadata(req.documentId, fields, tags);
+        const document = await db.getDocumentById(req.documentId);
+        await publishDocumentEvent('document.updated', req.documentId, { change: 'metadata' });
+        res.json({ document });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update metadata error:', error);
+        res.status(500).json({
+            error: 'Failed to update document',
+            details: error.message
+        });
+    }
+});
+
+// The original uploaded file, or that of an earlier ?version=N. Served inline (add
+// ?download=1 for an attachment) with its content type; Range and conditional requests
+// are handled by sendFile, so PDF viewers can fetch pages on demand.
+app.get('/documents/:id/file', requireDocumentAccess('viewer'), async (req, res) => {
+    try {
+        const docId = req.documentId;
+        const version = req.query.version !== undefined ? parseVersion(req.query.version, 'version', Infinity) : null;
+        const file = await db.getDocumentFile(docId, version);
+        if (!file) {
+            return res.status(404).json({ error: version === null ? 'Document not found' : 'Version not found' });
+        }
+        if (!file.blobHash || !await blobStore.exists(file.blobHash)) {
+            return res.status(404).json({
+                error: 'Original file not available',
+                details: 'Only the extracted text was kept for this document; upload it again to store the original'
+            });
+        }
+
+        res.type(path.extname(file.filename) || 'application/octet-stream');
+        res.set({
+            'Content-Disposition': contentDisposition(req.query.download ? 'attachment' : 'inline', file.filename),
+            'X-Content-Type-Options': 'nosniff'
+        });
+        if (res.get('Content-Type').startsWith('text/html')) {
+            res.set('Content-Security-Policy', 'sandbox'); // Uploaded HTML must not run scripts on our origin
+        }
+
+        res.sendFile(blobStore.pathFor(file.blobHash), error => {
+            if (error && !res.headersSent) {
+                console.error('Send file error:', error);
+                res.status(error.status || 500).json({ error: 'Failed to send file', details: error.message });
+            }
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Get file error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch file',
+            details: error.message
+        });
+    }
+});
+
+// Every version of a document, newest (current) first
+app.get('/documents/:id/versions', requireDocumentAccess('viewer'), async (req, res) => {
+    try {
+        const docId = req.documentId;
+        const versions = await db.getDocumentVersions(docId);
+        if (!versions) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json({ documentId: docId, currentVersion: versions[0].version, versions });
+    } catch (error) {
+        console.error('Get versions error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch versions',
+            details: error.message
+        });
+    }
+});
+
+// One version of a document with its full text
+app.get('/documents/:id/versions/:version', requireDocumentAccess('viewer'), async (req, res) => {
+    try {
+        const docId = req.documentId;
+        const version = parseVersion(req.params.version, 'version', Infinity);
+        const document = await db.getDocumentVersion(docId, version);
+        if (!document) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        res.json({ documentId: docId, version: document });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Get version error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch version',
+            details: error.message
+        });
+    }
+});
+
+// Line diff between two versions (default: the previous and the current one)
+app.get('/documents/:id/diff', requireDocumentAccess('viewer'), async (req, res) => {
+    try {
+        const docId = req.documentId;
+        const document = await db.getDocumentById(docId);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const { from, to } = parseVersionRange(req.query, document.version);
+        const [fromVersion, toVersion] = await Promise.all([
+            db.getDocumentVersion(docId, from),
+            db.getDocumentVersion(docId, to)
+        ]);
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        if (req.query.format === 'patch') {
+            return res.type('text/x-diff').send(unifiedPatch(fromVersion, toVersion));
+        }
+        res.json({ documentId: docId, from, to, ...diffVersions(fromVersion, toVersion) });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof DiffTooLargeError) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error('Diff versions error:', error);
+        res.status(500).json({
+            error: 'Failed to diff versions',
+            details: error.message
+        });
+    }
+});
+
+// Workspaces a document is shared into, besides the one it belongs to
+app.get('/documents/:id/shares', requireDocumentAccess('viewer'), async (req, res) => {
+    try {
+        const shares = await db.getDocumentShares(req.documentId);
+        res.json({ documentId: req.documentId, workspaceId: req.documentAccess.workspaceId, shares });
+    } catch (error) {
+        console.error('Get shares error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch shares',
+            details: error.message
+        });
+    }
+});
+
+// Share a document into another workspace, where its members can read and search it.
+// The caller needs to be an editor in that workspace too.
+app.post('/documents/:id/shares', requireDocumentAccess('editor'), async (req, res) => {
+    try {
+        const workspaceId = parseId(req.body.workspaceId);
+        const role = workspaceId && await workspaceService.roleFor(req.user, workspaceId);
+        if (!role) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!WorkspaceService.hasRole(role, 'editor')) {
+            return forbidden(res, 'editor');
+        }
+        if (workspaceId === req.documentAccess.workspaceId) {
+            return res.status(400).json({ error: 'The document already belongs to this workspace' });
+        }
+
+        await db.shareDocument(req.documentId, workspaceId, req.user.id);
+        const shares = await db.getDocumentShares(req.documentId);
+        res.json({ documentId: req.documentId, workspaceId: req.documentAccess.workspaceId, shares });
+    } catch (error) {
+        console.error('Share document error:', error);
+        res.status(500).json({
+            error: 'Failed to share document',
+            details: error.message
+        });
+    }
+});
+
+app.delete('/documents/:id/shares/:workspaceId', requireDocumentAccess('editor'), async (req, res) => {
+    try {
+        const workspaceId = parseId(req.params.workspaceId);
+        const removed = workspaceId && await db.unshareDocument(req.documentId, workspaceId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Share not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Unshare document error:', error);
+        res.status(500).json({
+            error: 'Failed to unshare document',
+            details: error.message
+        });
+    }
+});
+
+// Tags on the documents the current workspace can see, most used first
+app.get('/tags', async (req, res) => {
+    try {
+        const tags = await db.getTagCounts(await db.getVisibleDocumentIds(req.workspace.id));
+        res.json({ tags });
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch tags',
+            details: error.message
+        });
+    }
+});
+
+// Rename a tag on the workspace's own documents: { name }. Documents shared in keep their tags.
+app.patch('/tags/:name', requireRole('editor'), async (req, res) => {
+    try {
+        const [name] = parseTags([req.body.name === undefined ? '' : req.body.name]);
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        const documents = await db.renameWorkspaceTag(req.workspace.id, req.params.name, name);
+        if (documents === 0) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        res.json({ name, documents });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Rename tag error:', error);
+        res.status(500).json({
+            error: 'Failed to rename tag',
+            details: error.message
+        });
+    }
+});
+
+// Remove a tag from the workspace's own documents
+app.delete('/tags/:name', requireRole('editor'), async (req, res) => {
+    try {
+        const documents = await db.removeWorkspaceTag(req.workspace.id, req.params.name);
+        if (documents === 0) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        res.json({ success: true, documents });
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        res.status(500).json({
+            error: 'Failed to delete tag',
+            details: error.message
+        });
+    }
+});
+
+// Collections of the current workspace
+app.get('/collections', async (req, res) => {
+    try {
+        const collections = await db.getCollections(req.workspace.id);
+        res.json({ collections });
+    } catch (error) {
+        console.error('Get collections error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch collections',
+            details: error.message
+        });
+    }
+});
+
+// Create a collection: { name, description }
+app.post('/collections', requireRole('editor'), async (req, res) => {
+    try {
+        const collection = await collectionService.create(req.workspace.id, req.body, req.user.id);
+        res.status(201).json({ collection });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create collection error:', error);
+        res.status(500).json({
+            error: 'Failed to create collection',
+            details: error.message
+        });
+    }
+});
+
+// A collection with its documents (listing rows, without content)
+app.get('/collections/:id', requireCollection, async (req, res) => {
+    try {
+        const ids = await db.getCollectionDocumentIds(req.collection.id);
+        const summaries = await db.getDocumentSummaries(ids);
+        const byId = new Map(summaries.map(summary => [summary.id, summary]));
+        res.json({ collection: req.collection, documents: ids.filter(id => byId.has(id)).map(id => byId.get(id)) });
+    } catch (error) {
+        console.error('Get collection error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch collection',
+            details: error.message
+        });
+    }
+});
+
+app.patch('/collections/:id', requireRole('editor'), requireCollection, async (req, res) => {
+    try {
+        const collection = await collectionService.update(req.collection, req.body);
+        res.json({ collection });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update collection error:', error);
+        res.status(500).json({
+            error: 'Failed to update collection',
+            details: error.message
+        });
+    }
+});
+
+// Delete a collection; its documents are kept
+app.delete('/collections/:id', requireRole('editor'), requireCollection, async (req, res) => {
+    try {
+        await db.deleteCollection(req.collection.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete collection error:', error);
+        res.status(500).json({
+            error: 'Failed to delete collection',
+            details: error.message
+        });
+    }
+});
+
+// Add a document the workspace can see to a collection: { documentId }
+app.post('/collections/:id/documents', requireRole('editor'), requireCollection, async (req, res) => {
+    try {
+        const documentId = parseId(req.body.documentId);
+        const access = documentId && await db.getDocumentAccess(documentId);
+        if (!access || !workspaceService.documentRole(access, req.workspace)) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        await db.addToCollection(req.collection.id, documentId);
+        res.json({ collection: await db.getCollection(req.collection.id) });
+    } catch (error) {
+        console.error('Add to collection error:', error);
+        res.status(500).json({
+            error: 'Failed to add document to collection',
+            details: error.message
+        });
+    }
+});
+
+app.delete('/collections/:id/documents/:documentId', requireRole('editor'), requireCollection, async (req, res) => {
+    try {
+        const documentId = parseId(req.params.documentId);
+        const removed = documentId && await db.removeFromCollection(req.collection.id, documentId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Document is not in this collection' });
+        }
+        res.json({ collection: await db.getCollection(req.collection.id) });
+    } catch (error) {
+        console.error('Remove from collection error:', error);
+        res.status(500).json({
+            error: 'Failed to remove document from collection',
+            details: error.message
+        });
+    }
+});
+
+// The caller's saved searches in the current workspace
+app.get('/saved-searches', async (req, res) => {
+    try {
+        const [savedSearches, webhooks] = await Promise.all([
+            db.getSavedSearches(req.workspace.id, req.user.id),
+            db.getWebhooks(req.workspace.id)
+        ]);
+        // The webhooks a saved search can send to, without their URLs
+        res.json({
+            savedSearches,
+            webhooks: webhooks.map(webhook => ({ id: webhook.id, description: webhook.description, active: webhook.active }))
+        });
+    } catch (error) {
+        console.error('Get saved searches error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch saved searches',
+            details: error.message
+        });
+    }
+});
+
+// Save a search: { name, query, filters, webhookId }. filters takes the facets /search does,
+// e.g. { "type": ["pdf"], "tag": ["finance"] }; new documents matching it are notified about,
+// and sent to the workspace webhook webhookId when it is set.
+app.post('/saved-searches', requireRole('editor'), async (req, res) => {
+    try {
+        const savedSearch = await savedSearchService.create(req.workspace.id, req.user.id, req.body);
+        res.status(201).json({ savedSearch });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create saved search error:', error);
+        res.status(500).json({
+            error: 'Failed to save search',
+            details: error.message
+        });
+    }
+});
+
+app.get('/saved-searches/:id', requireSavedSearch, (req, res) => {
+    res.json({ savedSearch: req.savedSearch });
+});
+
+// Change any of name, query, filters and webhookId
+app.patch('/saved-searches/:id', requireRole('editor'), requireSavedSearch, async (req, res) => {
+    try {
+        const savedSearch = await savedSearchService.update(req.savedSearch, req.body);
+        res.json({ savedSearch });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update saved search error:', error);
+        res.status(500).json({
+            error: 'Failed to update saved search',
+            details: error.message
+        });
+    }
+});
+
+// Delete a saved search and its notifications
+app.delete('/saved-searches/:id', requireSavedSearch, async (req, res) => {
+    try {
+        await db.deleteSavedSearch(req.savedSearch.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete saved search error:', error);
+        res.status(500).json({
+            error: 'Failed to delete saved search',
+            details: error.message
+        });
+    }
+});
+
+// The caller's notifications in the current workspace, newest first; ?unread=true for unread only
+app.get('/notifications', async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit, 50, 200);
+        const [notifications, unreadCount] = await Promise.all([
+            db.getNotifications(req.user.id, req.workspace.id, { unreadOnly: req.query.unread === 'true', limit }),
+            db.countUnreadNotifications(req.user.id, req.workspace.id)
+        ]);
+        res.json({ notifications, unreadCount });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch notifications',
+            details: error.message
+        });
+    }
+});
+
+// Mark all of the caller's notifications in the current workspace as read
+app.post('/notifications/read', async (req, res) => {
+    try {
+        const marked = await db.markAllNotificationsRead(req.user.id, req.workspace.id);
+        res.json({ success: true, marked });
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+        res.status(500).json({
+            error: 'Failed to mark notifications as read',
+            details: error.message
+        });
+    }
+});
+
+app.post('/notifications/:id/read', async (req, res) => {
+    try {
+        const notificationId = parseId(req.params.id);
+        const marked = notificationId && await db.markNotificationRead(notificationId, req.user.id, req.workspace.id);
+        if (!marked) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            error: 'Failed to mark notification as read',
+            details: error.message
+        });
+    }
+});
+
+// Webhooks of the current workspace, for its admins. Secrets are only shown when created.
+app.get('/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const webhooks = await db.getWebhooks(req.workspace.id);
+        res.json({ webhooks, events: DocumentEvents.TYPES });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhooks',
+            details: error.message
+        });
+    }
+});
+
+// Subscribe a URL to document events: { url, events, description, active, secret }. events
+// defaults to all of them; a signing secret is generated unless one is given.
+app.post('/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const webhook = await webhookService.create(req.workspace.id, req.body, req.user.id);
+        res.status(201).json({ webhook });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to create webhook',
+            details: error.message
+        });
+    }
+});
+
+app.get('/webhooks/:id', requireRole('admin'), requireWebhook, (req, res) => {
+    res.json({ webhook: req.webhook });
+});
+
+// Change any of url, events, description, active (false pauses new deliveries) and secret
+app.patch('/webhooks/:id', requireRole('admin'), requireWebhook, async (req, res) => {
+    try {
+        const webhook = await webhookService.update(req.webhook, req.body);
+        res.json({ webhook });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to update webhook',
+            details: error.message
+        });
+    }
+});
+
+// Delete a webhook and its delivery log
+app.delete('/webhooks/:id', requireRole('admin'), requireWebhook, async (req, res) => {
+    try {
+        await db.deleteWebhook(req.webhook.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to delete webhook',
+            details: error.message
+        });
+    }
+});
+
+// Queue a ping event, to check that the receiver is reachable and verifies signatures
+app.post('/webhooks/:id/ping', requireRole('admin'), requireWebhook, async (req, res) => {
+    try {
+        const delivery = await webhookService.ping(req.webhook);
+        res.status(202).json({ delivery });
+    } catch (error) {
+        console.error('Ping webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to ping webhook',
+            details: error.message
+        });
+    }
+});
+
+// The webhook's delivery log, newest first
+app.get('/webhooks/:id/deliveries', requireRole('admin'), requireWebhook, async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit, 50, 200);
+        const deliveries = await db.getWebhookDeliveries(req.webhook.id, limit);
+        res.json({ deliveries });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhook deliveries',
+            details: error.message
+        });
+    }
+});
+
+// One delivery with the payload that was sent and each attempt at sending it
+app.get('/webhooks/:id/deliveries/:deliveryId', requireRole('admin'), requireWebhook, async (req, res) => {
+    try {
+        const deliveryId = parseId(req.params.deliveryId);
+        const delivery = deliveryId && await db.getWebhookDelivery(deliveryId);
+        if (!delivery || delivery.webhookId !== req.webhook.id) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        res.json({ delivery });
+    } catch (error) {
+        console.error('Get webhook delivery error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhook delivery',
+            details: error.message
+        });
+    }
+});
+
+// Send a logged delivery's payload again, as a new delivery
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireRole('admin'), requireWebhook, async (req, res) => {
+    try {
+        const deliveryId = parseId(req.params.deliveryId);
+        const original = deliveryId && await db.getWebhookDelivery(deliveryId);
+        if (!original || original.webhookId !== req.webhook.id) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        const delivery = await webhookService.redeliver(original);
+        res.status(202).json({ delivery });
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to redeliver webhook',
+            details: error.message
+        });
+    }
+});
+
+// Directories configured in WATCH_DIRS with the time of their last complete sync. Site admins
+// see every directory, workspace admins those ingesting into their workspace.
+app.get('/connectors/directories', requireRole('admin'), async (req, res) => {
+    try {
+        const roots = await directoryWatcher.status();
+        res.json({
+            enabled: directoryWatcher.roots.length > 0,
+            intervalSeconds: directoryWatcher.intervalMs / 1000,
+            roots: req.user.role === 'admin' ? roots : roots.filter(root => root.workspaceId === req.workspace.id)
+        });
+    } catch (error) {
+        console.error('Get watched directories error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch watched directories',
+            details: error.message
+        });
+    }
+});
+
+// Search analytics for the current workspace over the last ?days= (default 30)
+app.get('/analytics/summary', async (req, res) => {
+    try {
+        const { days, since } = parseWindow(req.query.days);
+        const totals = await db.getSearchTotals(req.workspace.id, since);
+        res.json({ days, since, ...withRates(totals) });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Analytics summary error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analytics',
+            details: error.message
+        });
+    }
+});
+
+// Most frequent queries with their average result count and click-through rate
+app.get('/analytics/queries', async (req, res) => {
+    try {
+        const { days, since } = parseWindow(req.query.days);
+        const limit = parseLimit(req.query.limit, 20, 100);
+        const rows = await db.getTopQueries(req.workspace.id, since, limit);
+        res.json({
+            days,
+            since,
+            queries: rows.map(row => withRates({ ...row, averageResults: Math.round(row.averageResults * 10) / 10 }))
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Analytics queries error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analytics',
+            details: error.message
+        });
+    }
+});
+
+// Queries that found nothing: the gaps in the corpus
+app.get('/analytics/zero-results', async (req, res) => {
+    try {
+        const { days, since } = parseWindow(req.query.days);
+        const limit = parseLimit(req.query.limit, 20, 100);
+        const queries = await db.getZeroResultQueries(req.workspace.id, since, limit);
+        res.json({ days, since, queries });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Analytics zero results error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analytics',
+            details: error.message
+        });
+    }
+});
+
+// Searches per ?interval= (day or week), including periods without any
+app.get('/analytics/volume', async (req, res) => {
+    try {
+        const { days, since } = parseWindow(req.query.days);
+        const interval = parseInterval(req.query.interval);
+        const rows = await db.getSearchVolume(req.workspace.id, since, interval);
+        res.json({ days, since, interval, volume: fillVolume(rows, since, interval) });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Analytics volume error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analytics',
+            details: error.message
+        });
+    }
+});
+
+// Clicks per result position and the most clicked documents
+app.get('/analytics/clicks', async (req, res) => {
+    try {
+        const { days, since } = parseWindow(req.query.days);
+        const limit = parseLimit(req.query.limit, 20, 100);
+        const [positions, documents] = await Promise.all([
+            db.getClicksByPosition(req.workspace.id, since),
+            db.getClickedDocuments(req.workspace.id, since, limit)
+        ]);
+        res.json({
+            days,
+            since,
+            positions,
+            documents: documents.map(row => ({ ...row, averagePosition: Math.round(row.averagePosition * 10) / 10 }))
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Analytics clicks error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analytics',
+            details: error.message
         });
     }
 });
 
-// Get statistics
+// Get statistics for the documents the current workspace can see
 app.get('/stats', async (req, res) => {
     try {
-        const stats = await db.getStats();
+        const stats = await db.getStats(req.workspace.id);
         res.json(stats);
     } catch (error) {
         console.error('Get stats error:', error);
@@ -208,9 +2073,9 @@ app.get('/stats', async (req, res) => {
 });
 
 // Delete document
-app.delete('/documents/:id', async (req, res) => {
+app.delete('/documents/:id', requireDocumentAccess('editor'), async (req, res) => {
     try {
-        const success = await db.deleteDocument(req.params.id);
+        const success = await removeDocument(req.documentId);
         if (!success) {
             return res.status(404).json({ error: 'Document not found' });
         }
@@ -256,17 +2121,24 @@ app.listen(PORT, () => {
     console.log(`📝 Health check: http://localhost:${PORT}/health`);
     console.log(`🔍 Search endpoint: http://localhost:${PORT}/search`);
     console.log(`📄 Documents endpoint: http://localhost:${PORT}/documents`);
+    console.log(`💬 Ask endpoint: http://localhost:${PORT}/ask`);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    ingestionQueue.stop();
+    webhookService.stop();
+    directoryWatcher.stop();
     await db.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    ingestionQueue.stop();
+    webhookService.stop();
+    directoryWatcher.stop();
     await db.close();
     process.exit(0);
 });
@@ -0,0 +1,108 @@
+const { tokenSpans } = require('./tokenizer');
+
+// Short excerpts of a document centred on query matches.
+// Each snippet carries its absolute character range in the document (start/end)
+// and highlight ranges relative to the snippet text.
+class SnippetBuilder {
+    constructor(options = {}) {
+        this.radius = options.radius || 120; // Characters of context either side of a match
+        this.maxSnippets = options.maxSnippets || 3;
+    }
+
+    // anchors are offsets of passages found without term matches (e.g. semantic chunks)
+    build(content, terms, anchors = []) {
+        if (!content) {
+            return [];
+        }
+
+        const wanted = new Set(terms);
+        const matches = wanted.size > 0 ? tokenSpans(content).filter(span => wanted.has(span.term)) : [];
+        const snippets = [];
+        let remaining = matches;
+
+        while (snippets.length < this.maxSnippets && remaining.length > 0) {
+            const best = this.densestWindow(remaining);
+            const snippet = this.excerpt(content, best.start, best.end, matches);
+            snippets.push(snippet);
+            remaining = remaining.filter(match => match.end <= snippet.start || match.start >= snippet.end);
+        }
+
+        for (const anchor of anchors) {
+            if (snippets.length >= this.maxSnippets) {
+                break;
+            }
+            if (!snippets.some(snippet => anchor < snippet.end && anchor >= snippet.start)) {
+                snippets.push(this.excerpt(content, anchor + this.radius, anchor + this.radius, matches));
+            }
+        }
+
+        if (snippets.length === 0) {
+            snippets.push(this.excerpt(content, this.radius, this.radius, matches));
+        }
+
+        return snippets;
+    }
+
+    // Find the match whose surrounding window covers the most distinct terms, then the most matches.
+    // Matches arrive in document order, so both window edges only move forward.
+    densestWindow(matches) {
+        const counts = new Map();
+        let left = 0;
+        let right = 0;
+        let best = null;
+
+        for (const anchor of matches) {
+            while (right < matches.length && matches[right].end <= anchor.end + this.radius) {
+                counts.set(matches[right].term, (counts.get(matches[right].term) || 0) + 1);
+                right++;
+            }
+            while (matches[left].start < anchor.start - this.radius) {
+                const term = matches[left].term;
+                counts.set(term, counts.get(term) - 1);
+                if (counts.get(term) === 0) {
+                    counts.delete(term);
+                }
+                left++;
+            }
+
+            const distinct = counts.size;
+            const total = right - left;
+            if (!best || distinct > best.distinct || (distinct === best.distinct && total > best.total)) {
+                best = { start: anchor.start, end: anchor.end, distinct, total };
+            }
+        }
+
+        return best;
+    }
+
+    // Cut the text around [from, to), snapping both edges to whitespace
+    excerpt(content, from, to, matches) {
+        let start = Math.max(0, from - this.radius);
+        let end = Math.min(content.length, to + this.radius);
+
+        if (start > 0) {
+            const space = content.slice(start, from).search(/\s/);
+            if (space !== -1) {
+                start += space + 1;
+            }
+        }
+        if (end < content.length) {
+            const tail = content.slice(to, end);
+            const space = Math.max(tail.lastIndexOf(' '), tail.lastIndexOf('\n'));
+            if (space !== -1) {
+                end = to + space;
+            }
+        }
+
+        return {
+            text: content.slice(start, end),
+            start,
+            end,
+            highlights: matches
+                .filter(match => match.start >= start && match.end <= end)
+                .map(match => [match.start - start, match.end - start])
+        };
+    }
+}
+
+module.exports = SnippetBuilder;
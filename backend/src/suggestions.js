@@ -0,0 +1,176 @@
+const { parseQuery } = require('./query-parser');
+const { tokenSpans, isStopWord } = require('./tokenizer');
+
+const MIN_CORRECTED_LENGTH = 3; // Shorter words are too ambiguous to correct
+const MAX_CACHED_VOCABULARIES = 20; // Workspaces whose vocabulary is kept for corrections
+
+// Search box suggestions for a partly typed query, from what one workspace can see:
+//   completions - earlier queries that found something, document titles with a word starting
+//                 with the query, and indexed terms completing its last word
+//   didYouMean  - the query with words missing from the vocabulary replaced by the closest
+//                 known words (by edit distance, ties going to the more common word)
+// Corrections compare against a workspace's whole vocabulary, which is read once and kept
+// until the index or the workspace's documents change (see Database.vocabularyVersion).
+class SuggestionService {
+    constructor(database) {
+        this.db = database;
+        this.vocabularies = new Map(); // workspaceId -> { version, terms: Map of term -> documentFrequency }
+    }
+
+    async suggest(query, { workspaceId, limit = 8 } = {}) {
+        const text = query.replace(/\s+/g, ' ').trimStart();
+        const lastWord = this.lastWord(text);
+
+        const [queries, titles, terms] = await Promise.all([
+            this.db.getPopularQueries(workspaceId, text.trim().toLowerCase(), limit),
+            this.db.getTitlesByPrefix(workspaceId, text.trim().toLowerCase(), limit),
+            lastWord ? this.db.getWorkspaceVocabulary(workspaceId, { prefix: lastWord.term, limit: limit + 1 }) : []
+        ]);
+
+        const completions = interleave([
+            queries.map(row => ({ text: row.query, type: 'query', count: row.searches })),
+            titles.map(title => ({ text: title, type: 'title' })),
+            terms.filter(row => row.term !== lastWord.term)
+                .map(row => ({ text: text.slice(0, lastWord.start) + row.term, type: 'term', count: row.documentFrequency }))
+        ]);
+
+        const seen = new Set([text.trim().toLowerCase()]);
+        const unique = completions.filter(completion => {
+            const key = completion.text.toLowerCase();
+            return !seen.has(key) && seen.add(key);
+        });
+
+        return {
+            query,
+            completions: unique.slice(0, limit),
+            didYouMean: await this.correct(text, workspaceId, lastWord && terms.length > 0 ? lastWord.term : null)
+        };
+    }
+
+    // The word being typed, when the query does not end in a space or closing quote
+    lastWord(text) {
+        const spans = tokenSpans(text);
+        const last = spans[spans.length - 1];
+        return last && last.end === text.length ? last : null;
+    }
+
+    // skipTerm is the word still being typed when it already completes to known words
+    async correct(text, workspaceId, skipTerm) {
+        let terms;
+        try {
+            terms = parseQuery(text).terms;
+        } catch (error) {
+            return null; // Half-typed field filters are not worth correcting
+        }
+
+        const candidates = terms.filter(term => term !== skipTerm && term.length >= MIN_CORRECTED_LENGTH &&
+            !isStopWord(term) && !/^\p{N}+$/u.test(term));
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const vocabulary = await this.vocabulary(workspaceId);
+        const unknown = candidates.filter(term => !vocabulary.has(term));
+
+        const corrections = [];
+        for (const term of unknown) {
+            const maxDistance = term.length <= 4 ? 1 : 2;
+
+            let best = null;
+            for (const [word, documentFrequency] of vocabulary) {
+                const distance = editDistance(term, word, maxDistance);
+                if (distance <= maxDistance && (!best || distance < best.distance ||
+                    (distance === best.distance && documentFrequency > best.documentFrequency))) {
+                    best = { word, distance, documentFrequency };
+                }
+            }
+            if (best) {
+                corrections.push({ term, suggestion: best.word, distance: best.distance });
+            }
+        }
+
+        if (corrections.length === 0) {
+            return null;
+        }
+
+        // Replace whole words only, keeping operators, filters and quotes as typed
+        let corrected = text.trim();
+        for (const { term, suggestion } of corrections) {
+            corrected = corrected.replace(wordPattern(term), suggestion);
+        }
+        return { text: corrected, corrections };
+    }
+
+    // Every indexed term the workspace can see with its document frequency, from the cache
+    // unless the index changed since it was read
+    async vocabulary(workspaceId) {
+        const version = this.db.vocabularyVersion;
+        const cached = this.vocabularies.get(workspaceId);
+        if (cached && cached.version === version) {
+            return cached.terms;
+        }
+
+        const rows = await this.db.getWorkspaceVocabulary(workspaceId);
+        const terms = new Map(rows.map(row => [row.term, row.documentFrequency]));
+
+        // Most recently read last, so the oldest is dropped first
+        this.vocabularies.delete(workspaceId);
+        this.vocabularies.set(workspaceId, { version, terms });
+        if (this.vocabularies.size > MAX_CACHED_VOCABULARIES) {
+            this.vocabularies.delete(this.vocabularies.keys().next().value);
+        }
+        return terms;
+    }
+}
+
+// Take one item from each list in turn, so no source crowds out the others
+function interleave(lists) {
+    const merged = [];
+    const longest = Math.max(0, ...lists.map(list => list.length));
+    for (let i = 0; i < longest; i++) {
+        for (const list of lists) {
+            if (i < list.length) {
+                merged.push(list[i]);
+            }
+        }
+    }
+    return merged;
+}
+
+function wordPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and swaps of
+// neighbouring letters each cost 1. Gives up early, returning maxDistance + 1, once the
+// words cannot be within maxDistance of each other.
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMinimum = Math.min(rowMinimum, value);
+        }
+        if (rowMinimum > maxDistance) {
+            return maxDistance + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+module.exports = SuggestionService;
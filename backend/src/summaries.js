@@ -0,0 +1,285 @@
+const { createChatProvider } = require('./chat-providers');
+const { tokenSpans, termFrequencies, isStopWord } = require('./tokenizer');
+
+const MAX_PHRASE_WORDS = 3;
+const SUMMARY_SENTENCES = 3;
+const MAX_SUMMARY_LENGTH = 600; // characters
+const MIN_SENTENCE_WORDS = 6;
+const MAX_SENTENCE_WORDS = 60;
+
+// RAKE needs a longer stop list than search does: besides the tokenizer's stop words, these
+// common verbs, adverbs and number words also end a candidate phrase
+const PHRASE_BREAKS = new Set([
+    'again', 'against', 'already', 'always', 'am', 'among', 'another', 'because', 'being', 'below',
+    'between', 'both', 'came', 'come', 'comes', 'did', 'done', 'down', 'each', 'eight', 'either', 'else',
+    'even', 'ever', 'every', 'few', 'first', 'five', 'four', 'get', 'gets', 'given', 'gives', 'go', 'goes',
+    'got', 'here', 'him', 'however', 'instead', 'just', 'last', 'less', 'like', 'made', 'make', 'makes',
+    'many', 'me', 'might', 'much', 'must', 'my', 'never', 'new', 'next', 'nine', 'nor', 'now', 'off',
+    'often', 'once', 'one', 'only', 'own', 'per', 'put', 'rather', 'remains', 'said', 'same', 'says',
+    'second', 'see', 'seven', 'several', 'since', 'six', 'still', 'take', 'takes', 'ten', 'three',
+    'through', 'thus', 'too', 'two', 'under', 'unless', 'until', 'us', 'use', 'used', 'uses', 'using',
+    'very', 'via', 'well', 'whether', 'why', 'within', 'without', 'yet'
+]);
+
+const SUMMARY_PROMPT = [
+    'You summarize documents for a search engine\'s result list.',
+    'Write two or three plain sentences saying what the document is about, using only what the document says.',
+    'Do not start with "This document" and do not use lists or headings.'
+].join(' ');
+
+// Keyphrases and summaries for each document, computed when it is stored:
+//   keyphrases      - RAKE candidates (runs of words between stop words and punctuation),
+//                     weighted by how rare their words are across the indexed corpus
+//   summary         - extractive: the sentences carrying the most distinctive terms, in document order
+//   abstractSummary - optional, written by a chat model when SUMMARY_PROVIDER is set. Models are
+//                     slow, so these are generated one at a time in the background.
+class SummaryService {
+    constructor(database, index) {
+        this.db = database;
+        this.index = index; // SearchIndex, whose idf weighs terms against the corpus
+        this.maxKeyphrases = parseInt(process.env.MAX_KEYPHRASES) || 10;
+        this.maxPromptLength = parseInt(process.env.SUMMARY_MAX_CHARS) || 12000; // characters of content sent to the model
+        this.queue = Promise.resolve();
+        this.chat = null; // Chat provider, null when abstractive summaries are off
+
+        try {
+            this.chat = createSummaryProvider();
+        } catch (error) {
+            console.warn('Summary provider not available:', error.message);
+        }
+
+        if (this.chat) {
+            console.log(`✅ Abstractive summaries enabled with ${this.chat.id}`);
+        }
+    }
+
+    // Store keyphrases and the extractive summary of a document, then queue its abstractive
+    // summary. Call once the document is indexed, so its own terms count in the corpus.
+    async summarizeDocument(documentId, content) {
+        const summary = await this.storeSummary(documentId, content);
+        if (summary) {
+            this.queueAbstract(documentId);
+        }
+    }
+
+    async storeSummary(documentId, content) {
+        const { keyphrases, summary } = await this.analyze(content || '');
+        await this.db.setDocumentSummary(documentId, keyphrases, summary);
+        return summary;
+    }
+
+    async analyze(content) {
+        const spans = tokenSpans(content);
+        const counts = termFrequencies(spans.map(span => span.term).filter(isContentWord));
+        const idf = await this.corpusIdf([...counts.keys()]);
+
+        const weights = new Map();
+        for (const [term, count] of counts) {
+            weights.set(term, (1 + Math.log(count)) * idf.get(term));
+        }
+
+        return {
+            keyphrases: extractKeyphrases(content, spans, idf, this.maxKeyphrases),
+            summary: extractSummary(content, weights)
+        };
+    }
+
+    async corpusIdf(terms) {
+        const [stats, frequencies] = await Promise.all([
+            this.db.getIndexStats(),
+            this.db.getDocumentFrequencies(terms)
+        ]);
+        return new Map(terms.map(term => [term, this.index.idf(stats.documentCount, frequencies.get(term) || 0)]));
+    }
+
+    queueAbstract(documentId) {
+        if (!this.chat) {
+            return;
+        }
+        this.queue = this.queue
+            .then(() => this.writeAbstract(documentId))
+            .catch(error => console.warn(`Failed to write a summary of document ${documentId}:`, error.message));
+    }
+
+    // The document may have been replaced or deleted while waiting; a summary of content that
+    // is no longer current is not stored
+    async writeAbstract(documentId) {
+        const doc = await this.db.getDocumentById(documentId);
+        if (!doc || doc.abstractSummary || !doc.content.trim()) {
+            return;
+        }
+
+        let text = '';
+        for await (const delta of this.chat.stream(this.buildMessages(doc))) {
+            text += delta;
+        }
+        await this.db.setAbstractSummary(documentId, doc.version, text.replace(/\s+/g, ' ').trim() || null);
+    }
+
+    buildMessages(doc) {
+        const content = doc.content.length > this.maxPromptLength
+            ? `${doc.content.slice(0, this.maxPromptLength)}\n[...]`
+            : doc.content;
+
+        return [
+            { role: 'system', content: SUMMARY_PROMPT },
+            { role: 'user', content: `Document: ${doc.title || doc.filename}\n\n${content}` }
+        ];
+    }
+
+    // Summarize documents stored before summaries existed, and queue the abstractive
+    // summaries still missing (e.g. because the model was unreachable)
+    async summarizeMissingDocuments() {
+        const ids = await this.db.getUnsummarizedDocumentIds();
+        for (const id of ids) {
+            const doc = await this.db.getDocumentById(id);
+            if (doc) {
+                await this.storeSummary(doc.id, doc.content);
+            }
+        }
+
+        if (this.chat) {
+            for (const id of await this.db.getDocumentIdsWithoutAbstract()) {
+                this.queueAbstract(id);
+            }
+        }
+        return ids.length;
+    }
+}
+
+function isContentWord(term) {
+    return term.length > 1 && !isStopWord(term) && !/^\p{N}+$/u.test(term);
+}
+
+function isPhraseWord(term) {
+    return isContentWord(term) && !PHRASE_BREAKS.has(term);
+}
+
+// RAKE: a word scores its degree (the total length of the candidates it occurs in) over its
+// frequency, so words that keep company in phrases beat words that stand alone, and a phrase
+// scores the sum of its words. To favour what the document keeps coming back to, each word is
+// also weighted by tf-idf and repeated phrases get a logarithmic bonus. Phrases are shown in
+// their most common spelling.
+function extractKeyphrases(content, spans, idf, limit) {
+    const candidates = new Map(); // lowercase phrase -> { words, count, spellings }
+    let run = [];
+
+    const flush = () => {
+        if (run.length > 0 && run.length <= MAX_PHRASE_WORDS) {
+            const words = run.map(span => span.term);
+            const phrase = words.join(' ');
+            const spelling = content.slice(run[0].start, run[run.length - 1].end).replace(/\s+/g, ' ');
+            const candidate = candidates.get(phrase) || { words, count: 0, spellings: new Map() };
+            candidate.count++;
+            candidate.spellings.set(spelling, (candidate.spellings.get(spelling) || 0) + 1);
+            candidates.set(phrase, candidate);
+        }
+        run = [];
+    };
+
+    for (const span of spans) {
+        // Punctuation or a blank line between two words ends a phrase; hyphens and apostrophes do not
+        if (run.length > 0 && /[^\s\-'’]|\n\s*\n/.test(content.slice(run[run.length - 1].end, span.start))) {
+            flush();
+        }
+        if (isPhraseWord(span.term)) {
+            run.push(span);
+        } else {
+            flush();
+        }
+    }
+    flush();
+
+    const frequency = new Map();
+    const degree = new Map();
+    for (const { words, count } of candidates.values()) {
+        for (const word of words) {
+            frequency.set(word, (frequency.get(word) || 0) + count);
+            degree.set(word, (degree.get(word) || 0) + count * words.length);
+        }
+    }
+
+    const wordScore = word => degree.get(word) / frequency.get(word) * (1 + Math.log(frequency.get(word))) * idf.get(word);
+    const ranked = Array.from(candidates, ([phrase, candidate]) => ({
+        phrase,
+        candidate,
+        score: candidate.words.reduce((sum, word) => sum + wordScore(word), 0) * (1 + Math.log(candidate.count))
+    })).sort((a, b) => b.score - a.score || a.phrase.localeCompare(b.phrase));
+
+    // Skip phrases that only repeat part of one already chosen
+    const chosen = [];
+    for (const { phrase, candidate } of ranked) {
+        if (chosen.length >= limit) {
+            break;
+        }
+        if (!chosen.some(other => ` ${other.phrase} `.includes(` ${phrase} `))) {
+            chosen.push({ phrase, candidate });
+        }
+    }
+    return chosen.map(({ candidate }) => mostCommon(candidate.spellings));
+}
+
+function mostCommon(counts) {
+    let best = null;
+    for (const [value, count] of counts) {
+        if (!best || count > best.count) {
+            best = { value, count };
+        }
+    }
+    return best.value;
+}
+
+// Score each sentence by the tf-idf weight of the distinct terms it contains, divided by the
+// square root of its length so long sentences do not win on size alone. Very short and very
+// long sentences (headings, run-on table rows) are passed over unless nothing else is left.
+function extractSummary(content, weights) {
+    const sentences = [];
+    const seen = new Set();
+    for (const [index, raw] of content.split(/(?<=[.!?])\s+|\n\s*\n/).entries()) {
+        const text = raw.replace(/\s+/g, ' ').trim();
+        const terms = tokenSpans(text).map(span => span.term);
+        if (terms.length === 0 || seen.has(text.toLowerCase())) {
+            continue;
+        }
+        seen.add(text.toLowerCase());
+
+        const score = [...new Set(terms)].reduce((sum, term) => sum + (weights.get(term) || 0), 0) / Math.sqrt(terms.length);
+        sentences.push({ index, text, score, words: terms.length });
+    }
+
+    const fitting = sentences.filter(sentence => sentence.words >= MIN_SENTENCE_WORDS && sentence.words <= MAX_SENTENCE_WORDS);
+    const ranked = (fitting.length > 0 ? fitting : sentences).sort((a, b) => b.score - a.score || a.index - b.index);
+    if (ranked.length === 0) {
+        return '';
+    }
+
+    const picked = [];
+    let length = 0;
+    for (const sentence of ranked) {
+        if (picked.length >= SUMMARY_SENTENCES) {
+            break;
+        }
+        if (picked.length === 0 || length + sentence.text.length + 1 <= MAX_SUMMARY_LENGTH) {
+            picked.push(sentence);
+            length += sentence.text.length + 1;
+        }
+    }
+
+    const summary = picked.sort((a, b) => a.index - b.index).map(sentence => sentence.text).join(' ');
+    return summary.length <= MAX_SUMMARY_LENGTH
+        ? summary
+        : `${summary.slice(0, MAX_SUMMARY_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+// SUMMARY_PROVIDER picks the chat backend (openai | http | none, default none), configured
+// with the same CHAT_* settings as question answering; SUMMARY_MODEL overrides CHAT_MODEL.
+// The local provider only quotes sources for /ask, so it cannot summarize.
+function createSummaryProvider(env = process.env) {
+    const name = (env.SUMMARY_PROVIDER || 'none').toLowerCase();
+    if (name === 'local') {
+        throw new Error('The local chat provider cannot write summaries. Use openai, http or none.');
+    }
+    return createChatProvider({ ...env, CHAT_PROVIDER: name, CHAT_MODEL: env.SUMMARY_MODEL || env.CHAT_MODEL });
+}
+
+module.exports = SummaryService;
@@ -0,0 +1,57 @@
+// Shared tokenizer so the index and incoming queries agree on what a term is.
+// Trailing # and + are kept so names like C#, F# and C++ stay searchable.
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[#+]+(?![\p{L}\p{N}]))?/gu;
+const MAX_TERM_LENGTH = 64;
+
+// Bump whenever tokenization changes so stored indexes get rebuilt
+const TOKENIZER_VERSION = 2;
+
+// Common English function words that carry little meaning on their own
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+    'before', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has',
+    'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'more',
+    'most', 'no', 'not', 'of', 'on', 'or', 'other', 'our', 'out', 'over', 'she', 'should', 'so',
+    'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'those', 'to', 'up', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while',
+    'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Lowercase the text and split it into index terms
+function tokenize(text) {
+    return tokenSpans(text).map(span => span.term);
+}
+
+// Like tokenize, but keeps where each term sits in the original text
+function tokenSpans(text) {
+    if (!text) {
+        return [];
+    }
+
+    const spans = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        if (match[0].length <= MAX_TERM_LENGTH) {
+            spans.push({
+                term: match[0].toLowerCase(),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    }
+    return spans;
+}
+
+// Count how often each term occurs
+function termFrequencies(tokens) {
+    const frequencies = new Map();
+    for (const token of tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    return frequencies;
+}
+
+function isStopWord(term) {
+    return STOP_WORDS.has(term);
+}
+
+module.exports = { tokenize, tokenSpans, termFrequencies, isStopWord, TOKENIZER_VERSION };
@@ -0,0 +1,85 @@
+const { structuredPatch, createTwoFilesPatch } = require('diff');
+const { ValidationError, DiffTooLargeError } = require('./errors');
+
+// Line diffs between stored versions of a document, for /documents/:id/diff.
+// Versions are numbered from 1; the documents row always holds the highest number.
+
+const DIFF_CONTEXT = 3; // Unchanged lines shown around each change
+// Diffing runs on the request thread and its cost grows with the number of edits, so very
+// different versions are given up on rather than blocking the server
+const DIFF_MAX_EDIT_LENGTH = 5000; // Changed lines
+const DIFF_TIMEOUT_MS = 500;
+
+function parseVersion(value, name, currentVersion) {
+    const version = parseInt(value, 10);
+    if (!Number.isInteger(version) || String(version) !== String(value).trim() || version < 1) {
+        throw new ValidationError(`${name} must be a positive version number`);
+    }
+    if (version > currentVersion) {
+        throw new ValidationError(`${name} is after the current version (${currentVersion})`);
+    }
+    return version;
+}
+
+// Resolve ?from=&to= against the current version: to defaults to the current version and
+// from to the one before it, so a bare request shows the latest change
+function parseVersionRange(query, currentVersion) {
+    const to = query.to !== undefined ? parseVersion(query.to, 'to', currentVersion) : currentVersion;
+    const from = query.from !== undefined ? parseVersion(query.from, 'from', currentVersion) : Math.max(1, to - 1);
+    return { from, to };
+}
+
+// Hunks of changed lines plus added/removed line counts. Throws a DiffTooLargeError when the
+// versions are too different to diff within the limits above.
+function diffVersions(fromVersion, toVersion) {
+    const patch = createDiff(structuredPatch, fromVersion, toVersion);
+
+    let additions = 0;
+    let deletions = 0;
+    for (const hunk of patch.hunks) {
+        for (const line of hunk.lines) {
+            if (line.startsWith('+')) {
+                additions++;
+            } else if (line.startsWith('-')) {
+                deletions++;
+            }
+        }
+    }
+
+    return { additions, deletions, hunks: patch.hunks };
+}
+
+// The same diff as a unified patch, for ?format=patch
+function unifiedPatch(fromVersion, toVersion) {
+    return createDiff(createTwoFilesPatch, fromVersion, toVersion);
+}
+
+// Both patch functions give up and return undefined once a limit is reached
+function createDiff(patchFunction, fromVersion, toVersion) {
+    const patch = patchFunction(
+        `v${fromVersion.version}/${fromVersion.filename}`,
+        `v${toVersion.version}/${toVersion.filename}`,
+        withTrailingNewline(fromVersion.content),
+        withTrailingNewline(toVersion.content),
+        '', '', { context: DIFF_CONTEXT, maxEditLength: DIFF_MAX_EDIT_LENGTH, timeout: DIFF_TIMEOUT_MS }
+    );
+    if (patch === undefined) {
+        throw new DiffTooLargeError(
+            `Versions ${fromVersion.version} and ${toVersion.version} differ too much to diff ` +
+            `(more than ${DIFF_MAX_EDIT_LENGTH} changed lines or ${DIFF_TIMEOUT_MS}ms)`
+        );
+    }
+    return patch;
+}
+
+// Extracted text rarely ends with a newline; adding one keeps "\ No newline" markers out of the hunks
+function withTrailingNewline(text) {
+    return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+module.exports = {
+    parseVersion,
+    parseVersionRange,
+    diffVersions,
+    unifiedPatch
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const DocumentEvents = require('./events');
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const MIN_SECRET_LENGTH = 16;
+const MAX_ERROR_LENGTH = 500;
+
+// Outbound webhooks for document events. Workspace admins subscribe URLs to event types, and
+// each event published on the DocumentEvents bus is queued as one delivery per subscribed webhook
+// in webhook_deliveries, which doubles as the delivery log along with one row per attempt in
+// webhook_delivery_attempts. Deliveries are POSTed as the JSON event
+// ({ type, workspaceId, occurredAt, data }) and signed with the webhook's secret:
+//   X-Webhook-Event, X-Webhook-Delivery - event type and delivery id
+//   X-Webhook-Timestamp                 - Unix time in seconds of this attempt
+//   X-Webhook-Signature                 - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// Network errors, timeouts, 408, 429 and 5xx answers are retried with exponential backoff until
+// the delivery runs out of attempts; other answers are final. Like ingestion jobs, deliveries
+// survive restarts.
+class WebhookService {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+        this.retryDelayMs = options.retryDelayMs || parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 5000; // Doubles after every failed attempt
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+        this.concurrency = options.concurrency || 2;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.active = 0;
+        this.running = false;
+        this.pumping = false;
+        this.pumpAgain = false;
+        this.timer = null;
+    }
+
+    // Queue deliveries for every document event published on events
+    listen(events) {
+        for (const type of DocumentEvents.TYPES) {
+            events.on(type, event => {
+                this.dispatch(event).catch(error => {
+                    console.warn(`Failed to queue webhooks for ${type}:`, error.message);
+                });
+            });
+        }
+    }
+
+    async dispatch(event) {
+        const webhookIds = await this.db.getSubscribedWebhookIds(event.workspaceId, event.type);
+        if (webhookIds.length > 0) {
+            await this.db.createWebhookDeliveries(webhookIds, event.type, JSON.stringify(event), this.maxAttempts);
+            this.pump();
+        }
+    }
+
+    // Queue an event for one webhook whatever it subscribes to, e.g. the matches of a saved
+    // search that sends to it. Nothing is queued while the webhook is paused.
+    async deliver(webhookId, event) {
+        const webhook = await this.db.getWebhook(webhookId);
+        if (!webhook || !webhook.active) {
+            return null;
+        }
+        const [id] = await this.db.createWebhookDeliveries([webhookId], event.type, JSON.stringify(event), this.maxAttempts);
+        this.pump();
+        return id;
+    }
+
+    // Resolves to the new webhook with its secret, which is not shown again
+    async create(workspaceId, body, userId) {
+        const fields = parseFields(body, true);
+        const secret = fields.secret || crypto.randomBytes(32).toString('hex');
+        const webhook = await this.db.createWebhook(workspaceId, { ...fields, secret }, userId);
+        return { ...webhook, secret };
+    }
+
+    async update(webhook, body) {
+        const fields = parseFields(body, false);
+        if (Object.keys(fields).length === 0) {
+            throw new ValidationError('Nothing to update. Send url, events, description, active or secret');
+        }
+        return this.db.updateWebhook(webhook.id, fields);
+    }
+
+    // Send a ping event to check a receiver, even when the webhook is paused
+    async ping(webhook) {
+        const event = {
+            type: 'ping',
+            workspaceId: webhook.workspaceId,
+            occurredAt: new Date().toISOString(),
+            data: { webhookId: webhook.id }
+        };
+        const [id] = await this.db.createWebhookDeliveries([webhook.id], event.type, JSON.stringify(event), this.maxAttempts);
+        this.pump();
+        return this.db.getWebhookDelivery(id);
+    }
+
+    // Queue a new delivery with the payload of a logged one, e.g. after fixing a receiver
+    async redeliver(delivery) {
+        const [id] = await this.db.createWebhookDeliveries(
+            [delivery.webhookId], delivery.event, JSON.stringify(delivery.payload), this.maxAttempts
+        );
+        this.pump();
+        return this.db.getWebhookDelivery(id);
+    }
+
+    async start() {
+        const requeued = await this.db.requeueInterruptedDeliveries();
+        if (requeued > 0) {
+            console.log(`Re-queued ${requeued} interrupted webhook deliveries`);
+        }
+        this.running = true;
+        this.pump();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+    }
+
+    // Fill free slots with deliveries that are due, then check again later for delayed retries
+    async pump() {
+        if (!this.running) {
+            return;
+        }
+        if (this.pumping) {
+            this.pumpAgain = true;
+            return;
+        }
+
+        this.pumping = true;
+        try {
+            do {
+                this.pumpAgain = false;
+                while (this.running && this.active < this.concurrency) {
+                    const delivery = await this.db.claimWebhookDelivery();
+                    if (!delivery) {
+                        break;
+                    }
+
+                    this.active++;
+                    this.process(delivery).catch(error => {
+                        console.error(`Webhook delivery ${delivery.id} error:`, error.message);
+                    }).finally(() => {
+                        this.active--;
+                        this.pump();
+                    });
+                }
+            } while (this.pumpAgain && this.active < this.concurrency);
+        } catch (error) {
+            console.error('Webhook queue error:', error.message);
+        } finally {
+            this.pumping = false;
+        }
+
+        clearTimeout(this.timer);
+        if (this.running) {
+            this.timer = setTimeout(() => this.pump(), this.pollIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    async process(delivery) {
+        const started = Date.now();
+        const { responseStatus, error } = await this.send(delivery);
+        const result = { responseStatus, durationMs: Date.now() - started, error };
+        await this.db.addWebhookDeliveryAttempt(delivery.id, delivery.attempts, result);
+
+        if (!error) {
+            await this.db.updateWebhookDelivery(delivery.id, {
+                ...result,
+                status: 'delivered',
+                deliveredAt: new Date().toISOString()
+            });
+        } else if (delivery.attempts < delivery.maxAttempts && isRetryable(responseStatus)) {
+            const delay = this.retryDelayMs * 2 ** (delivery.attempts - 1);
+            console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${delivery.attempts}), retrying in ${delay}ms:`, error);
+            await this.db.updateWebhookDelivery(delivery.id, {
+                ...result,
+                status: 'queued',
+                runAfter: new Date(Date.now() + delay).toISOString()
+            });
+        } else {
+            console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempts:`, error);
+            await this.db.updateWebhookDelivery(delivery.id, { ...result, status: 'failed' });
+        }
+    }
+
+    // One attempt; resolves to { responseStatus, error }, error being null on a 2xx answer.
+    // Redirects are not followed, so a signed payload only goes where it was addressed.
+    async send(delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'RapidQuest-Webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': WebhookService.sign(delivery.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            const text = await response.text().catch(() => '');
+            if (response.status >= 200 && response.status < 300) {
+                return { responseStatus: response.status, error: null };
+            }
+            const details = text.trim() ? `: ${text.trim()}` : '';
+            return { responseStatus: response.status, error: `HTTP ${response.status}${details}`.slice(0, MAX_ERROR_LENGTH) };
+        } catch (error) {
+            const message = error.name === 'TimeoutError'
+                ? `No answer within ${this.timeoutMs}ms`
+                : (error.cause && error.cause.message) || error.message;
+            return { responseStatus: null, error: message.slice(0, MAX_ERROR_LENGTH) };
+        }
+    }
+}
+
+// Signature of a delivery body sent at timestamp (Unix seconds). Receivers compute the same over
+// the raw body and compare it to X-Webhook-Signature in constant time.
+WebhookService.sign = function(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+// No answer, a timeout, rate limiting or a server error may pass; anything else will not
+function isRetryable(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+// url is required when creating; events defaults to every document event
+function parseFields(body, creating) {
+    const fields = {};
+    if (body.url !== undefined || creating) {
+        fields.url = parseUrl(body.url);
+    }
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0) {
+            throw new ValidationError(`events must be a non-empty list of: ${DocumentEvents.TYPES.join(', ')}`);
+        }
+        const unknown = body.events.find(type => !DocumentEvents.TYPES.includes(type));
+        if (unknown !== undefined) {
+            throw new ValidationError(`Unknown event "${unknown}". Use any of: ${DocumentEvents.TYPES.join(', ')}`);
+        }
+        fields.events = [...new Set(body.events)];
+    } else if (creating) {
+        fields.events = DocumentEvents.TYPES;
+    }
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== 'string') {
+            throw new ValidationError('description must be a string or null');
+        }
+        const description = (body.description || '').trim();
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new ValidationError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        fields.description = description || null;
+    }
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+            throw new ValidationError('active must be true or false');
+        }
+        fields.active = body.active;
+    }
+    if (body.secret !== undefined) {
+        if (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH) {
+            throw new ValidationError(`secret must be at least ${MIN_SECRET_LENGTH} characters`);
+        }
+        fields.secret = body.secret;
+    }
+    return fields;
+}
+
+function parseUrl(value) {
+    let url = null;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        // Reported below
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new ValidationError('url must be an http or https URL');
+    }
+    return url.toString();
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,100 @@
+const { ValidationError } = require('./errors');
+
+// Roles from least to most privileged; each includes what the ones before it may do
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Workspaces group documents and search history. Members are viewers (read and search),
+// editors (also upload, update, delete and share documents) or admins (also manage the
+// workspace and its members). A document lives in one workspace and can be shared
+// read-only into others. Site admins hold the admin role in every workspace.
+class WorkspaceService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    // The user's role in a workspace, or null when they are not a member or it does not exist
+    async roleFor(user, workspaceId) {
+        if (user.role === 'admin') {
+            return await this.db.getWorkspace(workspaceId) ? 'admin' : null;
+        }
+        return this.db.getWorkspaceRole(workspaceId, user.id);
+    }
+
+    // The workspace requests use when none is named: the user's oldest, created if they have none
+    async defaultWorkspace(user) {
+        const [first] = await this.db.getWorkspacesForUser(user.id);
+        return first || { ...await this.db.createWorkspace(user.username, user.id), role: 'admin' };
+    }
+
+    async create(name, userId) {
+        return this.db.createWorkspace(parseName(name), userId);
+    }
+
+    async rename(id, name) {
+        await this.db.renameWorkspace(id, parseName(name));
+        return this.db.getWorkspace(id);
+    }
+
+    // Documents are never deleted along with a workspace; they have to be removed first
+    async remove(id) {
+        const workspace = await this.db.getWorkspace(id);
+        if (workspace.documentCount > 0) {
+            throw new ValidationError(`Workspace still has ${workspace.documentCount} documents; delete them first`);
+        }
+        await this.db.deleteWorkspace(id);
+    }
+
+    // Add a member by username, or change an existing member's role
+    async setMember(workspaceId, username, role) {
+        if (!ROLES.includes(role)) {
+            throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+        }
+        const user = typeof username === 'string' ? await this.db.getUserByUsername(username) : null;
+        if (!user) {
+            throw new ValidationError(`No user named "${username}"`);
+        }
+        if (role !== 'admin') {
+            await this.ensureOtherAdmin(workspaceId, user.id);
+        }
+
+        await this.db.setWorkspaceMember(workspaceId, user.id, role);
+        return { id: user.id, username: user.username, role };
+    }
+
+    async removeMember(workspaceId, userId) {
+        await this.ensureOtherAdmin(workspaceId, userId);
+        return this.db.removeWorkspaceMember(workspaceId, userId);
+    }
+
+    // A workspace must keep at least one admin, so the last one cannot leave or be demoted
+    async ensureOtherAdmin(workspaceId, userId) {
+        const role = await this.db.getWorkspaceRole(workspaceId, userId);
+        if (role === 'admin' && await this.db.countWorkspaceAdmins(workspaceId) === 1) {
+            throw new ValidationError('A workspace needs at least one admin');
+        }
+    }
+
+    // The caller's role for a document as seen from a workspace: their member role when the
+    // document belongs to it, viewer when it is shared into it, null when it is not visible there
+    documentRole(access, workspace) {
+        if (access.workspaceId === workspace.id) {
+            return workspace.role;
+        }
+        return access.sharedWith.includes(workspace.id) ? 'viewer' : null;
+    }
+}
+
+function parseName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        throw new ValidationError('name is required (up to 100 characters)');
+    }
+    return name.trim();
+}
+
+WorkspaceService.ROLES = ROLES;
+
+WorkspaceService.hasRole = function(role, minRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+};
+
+module.exports = WorkspaceService;
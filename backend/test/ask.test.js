@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// CHAT_PROVIDER=local answers by quoting the best matching sentence of each source with its
+// [n] marker, so citations can be checked without a model
+const QUESTION = 'How many vacation days do employees get?';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.upload('handbook.txt', 'Employees get twenty five vacation days per year. ' +
+        'Unused vacation days carry over until the end of March.');
+    await server.upload('security.txt', 'Laptops must use full disk encryption. ' +
+        'Report a lost badge to the security desk the same day.');
+    await server.upload('travel.txt', 'Book flights through the travel portal. ' +
+        'Economy class is required for trips under six hours.');
+});
+
+after(async () => {
+    await server.stop();
+});
+
+// Parse a text/event-stream body into [{ event, data }]
+function parseEvents(body) {
+    return body.split('\n\n').filter(Boolean).map(block => {
+        const event = /^event: (.*)$/m.exec(block)[1];
+        const data = JSON.parse(/^data: (.*)$/m.exec(block)[1]);
+        return { event, data };
+    });
+}
+
+function assertCitesHandbook(answer, citations) {
+    assert.ok(citations.length > 0, 'the answer cites at least one source');
+    assert.ok(citations.every(citation => citation.filename === 'handbook.txt'));
+    assert.match(answer, /twenty five vacation days/);
+    for (const citation of citations) {
+        assert.ok(answer.includes(`[${citation.number}]`));
+    }
+}
+
+test('answers as JSON, citing passages from the relevant document', async () => {
+    const result = await server.json('/ask', { json: { question: QUESTION } });
+    assert.equal(result.question, QUESTION);
+    assert.equal(result.model, 'local:extractive');
+    assert.ok(result.sources.some(source => source.filename === 'handbook.txt'));
+    assertCitesHandbook(result.answer, result.citations);
+});
+
+test('streams sources, answer text and citations as server-sent events', async () => {
+    const response = await server.request('/ask', {
+        json: { question: QUESTION },
+        headers: { Accept: 'text/event-stream' }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    assert.equal(events[0].event, 'sources');
+    assert.equal(events[events.length - 1].event, 'done');
+
+    const deltas = events.filter(event => event.event === 'delta');
+    assert.ok(deltas.length > 1, 'the answer arrives in pieces');
+
+    const done = events[events.length - 1].data;
+    assert.equal(deltas.map(event => event.data.text).join(''), done.answer);
+    assertCitesHandbook(done.answer, done.citations);
+});
+
+test('rejects an empty question', async () => {
+    const response = await server.request('/ask', { json: { question: '  ' } });
+    assert.equal(response.status, 400);
+});
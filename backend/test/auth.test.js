@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Register several accounts at once; resolves to each response's status and body
+async function registerAll(server, usernames) {
+    return Promise.all(usernames.map(async username => {
+        const response = await server.request('/auth/register', { json: { username, password: 'password123' } });
+        return { status: response.status, body: await response.json() };
+    }));
+}
+
+test('only the first account can sign up unless registration is allowed', async () => {
+    const server = await startServer({}, { admin: false });
+    try {
+        const results = await registerAll(server, ['alice', 'bob', 'carol', 'dave']);
+        const created = results.filter(result => result.status === 201);
+        assert.equal(created.length, 1);
+        assert.equal(created[0].body.user.role, 'admin');
+        for (const result of results.filter(result => result.status !== 201)) {
+            assert.equal(result.status, 400);
+            assert.equal(result.body.error, 'Registration is disabled');
+        }
+    } finally {
+        await server.stop();
+    }
+});
+
+test('of concurrent first sign-ups only one becomes the admin', async () => {
+    const server = await startServer({ ALLOW_REGISTRATION: 'true' }, { admin: false });
+    try {
+        const results = await registerAll(server, ['alice', 'bob', 'carol', 'dave']);
+        assert.ok(results.every(result => result.status === 201));
+        assert.deepEqual(results.map(result => result.body.user.role).sort(), ['admin', 'user', 'user', 'user']);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers');
+
+let server;
+let watchDir;
+let documentId;
+
+before(async () => {
+    watchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidquest-watch-'));
+    server = await startServer({ WATCH_DIRS: watchDir, WATCH_INTERVAL_SECONDS: '1' });
+});
+
+after(async () => {
+    await server.stop();
+    fs.rmSync(watchDir, { recursive: true, force: true });
+});
+
+// Write a file dated secondsAgo in the past, so the watcher does not wait for it to settle
+function writeFile(filename, content, secondsAgo) {
+    const filePath = path.join(watchDir, filename);
+    fs.writeFileSync(filePath, content);
+    const time = new Date(Date.now() - secondsAgo * 1000);
+    fs.utimesSync(filePath, time, time);
+}
+
+async function documents() {
+    return (await server.json('/documents')).documents;
+}
+
+async function getDocument(id) {
+    return (await server.json(`/documents/${id}`)).document;
+}
+
+// Resolves once a scan has completed after since
+async function syncedSince(since) {
+    await waitFor(async () => {
+        const { roots } = await server.json('/connectors/directories');
+        return roots[0].lastSyncAt && Date.parse(roots[0].lastSyncAt) > since;
+    });
+}
+
+test('ingests new files in the directory', async () => {
+    writeFile('handbook.md', '# Handbook\n\nEmployees get twenty five vacation days.', 120);
+
+    const [doc] = await waitFor(async () => {
+        const docs = await documents();
+        return docs.length > 0 && docs;
+    });
+    assert.equal(doc.filename, 'handbook.md');
+    documentId = doc.id;
+    assert.match((await getDocument(documentId)).content, /twenty five vacation days/);
+});
+
+test('stores a modified file as a new version of its document', async () => {
+    writeFile('handbook.md', '# Handbook\n\nEmployees get thirty vacation days.', 60);
+
+    const doc = await waitFor(async () => {
+        const current = await getDocument(documentId);
+        return current.version === 2 && current;
+    });
+    assert.match(doc.content, /thirty vacation days/);
+    assert.equal((await documents()).length, 1);
+});
+
+test('does not ingest unchanged files again after a restart', async () => {
+    await server.restart();
+    const restarted = server.output().length;
+    await syncedSince(Date.now());
+
+    const docs = await documents();
+    assert.deepEqual(docs.map(doc => doc.id), [documentId]);
+    assert.equal((await getDocument(documentId)).version, 2);
+    assert.doesNotMatch(server.output().slice(restarted), /(Ingested|Updated) handbook\.md/);
+});
+
+test('ingests a file again when its document is deleted through the API', async () => {
+    await server.json(`/documents/${documentId}`, { method: 'DELETE' });
+
+    const [doc] = await waitFor(async () => {
+        const docs = await documents();
+        return docs.length > 0 && docs;
+    });
+    assert.equal(doc.filename, 'handbook.md');
+    assert.notEqual(doc.id, documentId);
+    assert.match((await getDocument(doc.id)).content, /thirty vacation days/);
+    documentId = doc.id;
+});
+
+test('deletes the document of a file removed from the directory', async () => {
+    fs.unlinkSync(path.join(watchDir, 'handbook.md'));
+
+    await waitFor(async () => (await documents()).length === 0);
+    assert.equal((await server.request(`/documents/${documentId}`)).status, 404);
+});
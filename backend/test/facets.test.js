@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let budgetId;
+
+before(async () => {
+    server = await startServer();
+    budgetId = await server.upload('budget.txt', 'The yearly budget of the platform team.');
+    await server.upload('roadmap.txt', 'The roadmap of the platform team.');
+
+    await server.json(`/documents/${budgetId}`, { method: 'PATCH', json: { tags: ['Finance'] } });
+    const { collection } = await server.json('/collections', { json: { name: 'Q3 Reports' } }, 201);
+    await server.json(`/collections/${collection.id}/documents`, { json: { documentId: budgetId } });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('tag and collection facets match names in any case', async () => {
+    for (const query of ['tag=finance', 'tag=FINANCE', 'collection=q3%20reports', 'tag=finance&collection=Q3%20REPORTS']) {
+        const listing = await server.json(`/documents?${query}`);
+        assert.equal(listing.total, 1, query);
+        assert.equal(listing.documents[0].id, budgetId);
+
+        const search = await server.json(`/search?q=platform&mode=keyword&${query}`);
+        assert.deepEqual(search.results.map(hit => hit.id), [budgetId], query);
+    }
+
+    const { facets } = await server.json('/documents?tag=finance');
+    assert.deepEqual(facets.tag.map(({ value, selected }) => ({ value, selected })), [{ value: 'Finance', selected: true }]);
+});
@@ -0,0 +1,184 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'src', 'server.js');
+const STARTUP_TIMEOUT_MS = 20000;
+
+// Run the API server in a child process against a throwaway database and blob store, with
+// the offline embedding and chat providers unless env says otherwise. Resolves once the
+// database is ready and, unless admin is false, an admin account is signed in; every request
+// helper sends its token.
+async function startServer(env = {}, { admin = true } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidquest-test-'));
+    const port = await freePort();
+    let child = null;
+    let output = '';
+
+    async function launch() {
+        child = spawn(process.execPath, [SERVER], {
+            env: {
+                PATH: process.env.PATH,
+                PORT: String(port),
+                DATABASE_URL: path.join(dir, 'test.db'),
+                BLOB_STORE_DIR: path.join(dir, 'blobs'),
+                UPLOAD_DIR: path.join(dir, 'uploads'),
+                EMBEDDING_PROVIDER: 'local',
+                CHAT_PROVIDER: 'local',
+                ...env
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+
+        const started = output.length;
+        const current = child;
+        await waitFor(() => output.includes('Database initialized successfully', started), STARTUP_TIMEOUT_MS, () => {
+            if (current.exitCode !== null) {
+                throw new Error(`Server exited with code ${current.exitCode}:\n${output.slice(started)}`);
+            }
+        });
+    }
+
+    async function exit() {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill('SIGTERM');
+            await exited;
+        }
+    }
+
+    const server = Object.assign(client(`http://localhost:${port}`, null), {
+        uploadDir: path.join(dir, 'uploads'),
+        output: () => output,
+
+        // Register another account and sign it in; resolves to a client acting as that user
+        async signUp(username, password = 'password123') {
+            await server.json('/auth/register', { json: { username, password } }, 201);
+            const { token } = await server.json('/auth/login', { json: { username, password } });
+            return client(server.url, token);
+        },
+
+        // Stop the server and start it again on the same database and files
+        async restart() {
+            await exit();
+            await launch();
+        },
+
+        async stop() {
+            await exit();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    try {
+        await launch();
+        if (admin) {
+            server.token = (await server.signUp('admin')).token;
+        }
+    } catch (error) {
+        await server.stop();
+        throw error;
+    }
+    return server;
+}
+
+// Requests to the API as one user (token null for none)
+function client(url, token) {
+    const api = {
+        url,
+        token,
+
+        async request(route, options = {}) {
+            const headers = { ...options.headers };
+            if (api.token) {
+                headers.Authorization = `Bearer ${api.token}`;
+            }
+            if (options.json !== undefined) {
+                headers['Content-Type'] = 'application/json';
+            }
+            return fetch(`${url}${route}`, {
+                method: options.method || (options.json !== undefined ? 'POST' : 'GET'),
+                headers,
+                body: options.json !== undefined ? JSON.stringify(options.json) : options.body
+            });
+        },
+
+        // JSON body of a request, failing on anything but the expected status
+        async json(route, options = {}, expectedStatus = 200) {
+            const response = await api.request(route, options);
+            const body = await response.json();
+            if (response.status !== expectedStatus) {
+                throw new Error(`${route} answered ${response.status}: ${JSON.stringify(body)}`);
+            }
+            return body;
+        },
+
+        // Upload one file through POST /upload; resolves to the new document's id
+        async upload(filename, content) {
+            const form = new FormData();
+            form.append('document', new Blob([content]), filename);
+            const body = await api.json('/upload', { method: 'POST', body: form });
+            return body.documentId;
+        }
+    };
+    return api;
+}
+
+// A local HTTP server standing in for a webhook receiver. Every request is recorded as
+// { path, headers, body } (body as the raw string); respond(request, count) picks the status,
+// count being how many requests reached that path so far, and defaults to 200.
+async function startReceiver(respond = () => 200) {
+    const requests = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { path: req.url, headers: req.headers, body };
+            requests.push(request);
+            const count = requests.filter(other => other.path === req.url).length;
+            res.writeHead(respond(request, count)).end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${receiver.address().port}`,
+        requests,
+        close: () => new Promise(resolve => receiver.close(resolve))
+    };
+}
+
+// Poll until check() is truthy; onPoll may throw to give up early
+async function waitFor(check, timeoutMs = 10000, onPoll = () => {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        onPoll();
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+module.exports = { startServer, startReceiver, waitFor };
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const { startServer, waitFor } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({ INGEST_MAX_ATTEMPTS: '3' });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+function zipOf(files) {
+    const zip = new AdmZip();
+    for (const [filename, content] of Object.entries(files)) {
+        zip.addFile(filename, Buffer.from(content));
+    }
+    return zip.toBuffer();
+}
+
+async function uploadBatch(files) {
+    const form = new FormData();
+    for (const [filename, content] of Object.entries(files)) {
+        form.append('documents', new Blob([content]), filename);
+    }
+    return server.request('/upload/batch', { method: 'POST', body: form });
+}
+
+// Jobs of a batch once none is queued or processing any more
+async function finishedJobs(batchId) {
+    return waitFor(async () => {
+        const { jobs } = await server.json(`/jobs?batch=${batchId}`);
+        return jobs.every(job => job.status === 'done' || job.status === 'failed') && jobs;
+    });
+}
+
+test('files that cannot be parsed fail on the first attempt', async () => {
+    const response = await uploadBatch({
+        'notes.txt': 'Quarterly planning notes for the platform team.',
+        'broken.pdf': 'this is not a PDF'
+    });
+    assert.equal(response.status, 202);
+
+    const jobs = await finishedJobs((await response.json()).batchId);
+    const notes = jobs.find(job => job.filename === 'notes.txt');
+    const broken = jobs.find(job => job.filename === 'broken.pdf');
+
+    assert.equal(notes.status, 'done');
+    assert.equal(broken.status, 'failed');
+    assert.equal(broken.attempts, 1);
+    assert.equal(broken.maxAttempts, 3);
+    assert.match(broken.error, /Failed to parse PDF/);
+});
+
+test('a failing archive leaves no uploaded or unpacked files behind', async () => {
+    const response = await uploadBatch({
+        'loose.txt': 'A file uploaded next to the archives.',
+        'first.zip': zipOf({ 'a.txt': 'First archive, first file.', 'b.md': '# Second file' }),
+        'second.zip': 'not a zip archive'
+    });
+    assert.equal(response.status, 422);
+    assert.match((await response.json()).error, /Failed to read zip archive/);
+    assert.deepEqual(fs.readdirSync(server.uploadDir), []);
+});
+
+test('files inside archives count towards the batch limit', async () => {
+    const entries = Object.fromEntries(Array.from({ length: 60 }, (_, i) => [`note-${i}.txt`, `Note number ${i}.`]));
+    const response = await uploadBatch({
+        'first.zip': zipOf(entries),
+        'second.zip': zipOf(entries)
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /^Too many files/);
+    assert.deepEqual(fs.readdirSync(server.uploadDir), []);
+});
+
+test('a file that cannot be parsed is answered with 422 when uploaded directly', async () => {
+    const id = await server.upload('handbook.txt', 'A document that gets an unreadable new version.');
+
+    for (const [route, method] of [['/upload', 'POST'], [`/documents/${id}`, 'PUT']]) {
+        const form = new FormData();
+        form.append('document', new Blob(['this is not a PDF']), 'broken.pdf');
+        const response = await server.request(route, { method, body: form });
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /Failed to parse PDF/);
+    }
+    assert.deepEqual(fs.readdirSync(server.uploadDir), []);
+});
+
+test('uploads of an unsupported file type are rejected with 400', async () => {
+    const id = await server.upload('kept.txt', 'A document that gets an unsupported new version.');
+
+    for (const [route, method] of [['/upload', 'POST'], [`/documents/${id}`, 'PUT']]) {
+        const form = new FormData();
+        form.append('document', new Blob(['MZ']), 'x.exe');
+        const response = await server.request(route, { method, body: form });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /^Only .* files are allowed!$/);
+    }
+});
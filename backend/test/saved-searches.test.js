@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/database');
+const WebhookService = require('../src/webhooks');
+const { startServer, startReceiver, waitFor } = require('./helpers');
+
+const SECRET = 'saved-search-test-secret';
+
+let server;
+let receiver;
+let workspaceId;
+let viewer;
+let editor;
+
+before(async () => {
+    receiver = await startReceiver();
+    server = await startServer({ ALLOW_REGISTRATION: 'true' });
+    workspaceId = (await server.json('/workspaces')).workspaces[0].id;
+
+    viewer = await server.signUp('viewer');
+    editor = await server.signUp('editor');
+    await server.json(`/workspaces/${workspaceId}/members`, { json: { username: 'viewer', role: 'viewer' } });
+    await server.json(`/workspaces/${workspaceId}/members`, { json: { username: 'editor', role: 'editor' } });
+});
+
+after(async () => {
+    await server.stop();
+    await receiver.close();
+});
+
+// Requests in the shared workspace rather than the user's own
+function inWorkspace(options = {}) {
+    return { ...options, headers: { 'X-Workspace-Id': String(workspaceId) } };
+}
+
+async function upload(user, filename, content) {
+    const form = new FormData();
+    form.append('document', new Blob([content]), filename);
+    return (await user.json('/upload', inWorkspace({ method: 'POST', body: form }))).documentId;
+}
+
+test('viewers cannot save searches', async () => {
+    const response = await viewer.request('/saved-searches', inWorkspace({ json: { name: 'Budgets', query: 'budget' } }));
+    assert.equal(response.status, 403);
+});
+
+test('a saved search only sends to webhooks of its workspace', async () => {
+    const response = await editor.request('/saved-searches', inWorkspace({
+        json: { name: 'Budgets', query: 'budget', webhookId: 9999 }
+    }));
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /not a webhook of this workspace/);
+});
+
+test('new matches are delivered to the chosen webhook, signed', async () => {
+    const { webhook } = await server.json('/webhooks', inWorkspace({
+        json: { url: `${receiver.url}/alerts`, events: ['document.deleted'], secret: SECRET, description: 'Alerts' }
+    }), 201);
+
+    const { webhooks } = await editor.json('/saved-searches', inWorkspace());
+    assert.deepEqual(webhooks, [{ id: webhook.id, description: 'Alerts', active: true }]);
+
+    const { savedSearch } = await editor.json('/saved-searches', inWorkspace({
+        json: { name: 'Budgets', query: 'budget', webhookId: webhook.id }
+    }), 201);
+    assert.equal(savedSearch.webhookId, webhook.id);
+
+    const documentId = await upload(editor, 'budget.txt', 'The 2026 budget for the platform team.');
+
+    const request = await waitFor(() => receiver.requests.find(request => request.path === '/alerts'));
+    const timestamp = request.headers['x-webhook-timestamp'];
+    assert.equal(request.headers['x-webhook-event'], 'saved_search.match');
+    assert.equal(request.headers['x-webhook-signature'], WebhookService.sign(SECRET, timestamp, request.body));
+
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, 'saved_search.match');
+    assert.equal(event.workspaceId, workspaceId);
+    assert.equal(event.data.savedSearch.id, savedSearch.id);
+    assert.deepEqual(event.data.documents.map(doc => doc.id), [documentId]);
+});
+
+test('saved searches of users who left the workspace stop matching', async () => {
+    const { user } = await editor.json('/auth/me');
+    const { webhooks: [webhook] } = await server.json('/saved-searches', inWorkspace());
+    const before = (await server.json(`/webhooks/${webhook.id}/deliveries`, inWorkspace())).deliveries.length;
+
+    await server.json(`/workspaces/${workspaceId}/members/${user.id}`, { method: 'DELETE' });
+    await upload(server, 'travel.txt', 'Travel costs are covered by the budget of each department.');
+
+    const { deliveries } = await server.json(`/webhooks/${webhook.id}/deliveries`, inWorkspace());
+    assert.equal(deliveries.length, before);
+});
+
+test('saved searches are skipped while their owner is not a member of the workspace', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidquest-db-'));
+    process.env.DATABASE_URL = path.join(dir, 'test.db');
+    const db = new Database();
+    try {
+        await db.initialize();
+        const admin = await db.createUser({ username: 'admin', passwordHash: 'x' });
+        const member = await db.createUser({ username: 'member', passwordHash: 'x' });
+        const workspace = await db.createWorkspace('Shared', admin.id);
+        await db.setWorkspaceMember(workspace.id, member.id, 'editor');
+        await db.createSavedSearch(workspace.id, admin.id, { name: 'Admin', query: 'budget' });
+        await db.createSavedSearch(workspace.id, member.id, { name: 'Member', query: 'budget' });
+
+        const names = async () => (await db.getSavedSearches(workspace.id)).map(savedSearch => savedSearch.name);
+        assert.deepEqual(await names(), ['Admin', 'Member']);
+
+        // Left behind by a membership removed without cleaning up, e.g. by an older version
+        await db.run('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?', [workspace.id, member.id]);
+        assert.deepEqual(await names(), ['Admin']);
+    } finally {
+        await db.close();
+        delete process.env.DATABASE_URL;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// EMBEDDING_PROVIDER=local hashes words and character trigrams, so related wording lands close
+// together without any network access
+const DOCUMENTS = {
+    'gardening.txt': 'Planting tomatoes and peppers in raised beds. Water the vegetables every morning and ' +
+        'mulch the soil so the garden keeps its moisture through the summer.',
+    'invoices.txt': 'Invoices are due within thirty days. Late payments accrue interest and the finance ' +
+        'team sends a reminder to the customer after the due date.',
+    'networking.txt': 'Configure the router with a static address, open the firewall port for the web server ' +
+        'and check the DNS records before switching traffic over.'
+};
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    for (const [filename, content] of Object.entries(DOCUMENTS)) {
+        await server.upload(filename, content);
+    }
+});
+
+after(async () => {
+    await server.stop();
+});
+
+async function search(query, mode) {
+    return server.json(`/search?q=${encodeURIComponent(query)}&mode=${mode}`);
+}
+
+test('semantic search ranks the related document first', async () => {
+    const result = await search('watering vegetable gardens', 'semantic');
+    assert.equal(result.mode, 'semantic');
+    assert.equal(result.results[0].filename, 'gardening.txt');
+    assert.ok(result.results[0].retrievers.semantic);
+});
+
+test('hybrid search fuses both rankings and keeps the related document first', async () => {
+    const result = await search('late customer payments', 'hybrid');
+    assert.equal(result.mode, 'hybrid');
+    assert.equal(result.results[0].filename, 'invoices.txt');
+    assert.ok(result.results[0].retrievers.semantic);
+    assert.ok(result.results[0].retrievers.keyword);
+});
+
+test('a query made only of filters lists the filtered documents in every mode', async () => {
+    const keyword = await search('filename:invoices.txt', 'keyword');
+    for (const mode of ['semantic', 'hybrid']) {
+        const result = await search('filename:invoices.txt', mode);
+        assert.deepEqual(result.results.map(hit => hit.filename), ['invoices.txt']);
+        assert.deepEqual(result.results.map(hit => hit.id), keyword.results.map(hit => hit.id));
+    }
+});
+
+test('a query with neither searchable words nor filters matches nothing', async () => {
+    for (const query of ['???', 'NOT', '()', '-', '"']) {
+        for (const mode of ['keyword', 'semantic', 'hybrid']) {
+            const result = await search(query, mode);
+            assert.equal(result.totalResults, 0, `${mode} search for ${query}`);
+            assert.deepEqual(result.results, []);
+        }
+    }
+
+    const response = await server.request('/saved-searches', { json: { name: 'Everything', query: '???' } });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /at least one search term or filter/);
+});
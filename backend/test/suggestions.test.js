@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.upload('budget.txt', 'The quarterly budget of the platform team.');
+});
+
+after(async () => {
+    await server.stop();
+});
+
+async function didYouMean(query) {
+    return (await server.json(`/suggest?q=${encodeURIComponent(query)}`)).didYouMean;
+}
+
+test('corrects misspelt words to the closest known word', async () => {
+    const suggestion = await didYouMean('quartely budgte ');
+    assert.equal(suggestion.text, 'quarterly budget');
+    assert.deepEqual(suggestion.corrections.map(({ term, suggestion }) => [term, suggestion]),
+        [['quartely', 'quarterly'], ['budgte', 'budget']]);
+    assert.equal(await didYouMean('quarterly budget '), null);
+});
+
+test('corrections follow changes to the indexed documents', async () => {
+    assert.equal(await didYouMean('invioce '), null);
+
+    const id = await server.upload('invoice.txt', 'An invoice for the platform team.');
+    assert.equal((await didYouMean('invioce ')).text, 'invoice');
+
+    await server.json(`/documents/${id}`, { method: 'DELETE' });
+    assert.equal(await didYouMean('invioce '), null);
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+// Upload a file as the next version of a document
+async function replace(documentId, filename, content) {
+    const form = new FormData();
+    form.append('document', new Blob([content]), filename);
+    return server.json(`/documents/${documentId}`, { method: 'PUT', body: form });
+}
+
+function lines(prefix, count) {
+    return Array.from({ length: count }, (_, i) => `${prefix} line ${i} ${Math.random().toString(36).slice(2)}`).join('\n');
+}
+
+test('diffs two versions line by line', async () => {
+    const id = await server.upload('policy.txt', 'Remote work is allowed two days a week.\nOffices open at 8am.');
+    await replace(id, 'policy.txt', 'Remote work is allowed three days a week.\nOffices open at 8am.');
+
+    const diff = await server.json(`/documents/${id}/diff`);
+    assert.equal(diff.from, 1);
+    assert.equal(diff.to, 2);
+    assert.equal(diff.additions, 1);
+    assert.equal(diff.deletions, 1);
+    assert.ok(diff.hunks[0].lines.includes('+Remote work is allowed three days a week.'));
+
+    const patch = await server.request(`/documents/${id}/diff?format=patch`);
+    assert.equal(patch.status, 200);
+    assert.match(await patch.text(), /^-Remote work is allowed two days a week\.$/m);
+});
+
+test('gives up with 422 on versions too different to diff', async () => {
+    const id = await server.upload('log.txt', lines('first', 6000));
+    await replace(id, 'log.txt', lines('second', 6000));
+
+    for (const route of [`/documents/${id}/diff`, `/documents/${id}/diff?format=patch`]) {
+        const response = await server.request(route);
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /differ too much to diff/);
+    }
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, startReceiver, waitFor } = require('./helpers');
+
+const SECRET = 'webhook-test-secret';
+const RETRY_DELAY_MS = 200;
+
+let server;
+let receiver;
+
+before(async () => {
+    // /flaky answers 500 twice before accepting, everything else is accepted at once
+    receiver = await startReceiver((request, count) => request.path === '/flaky' && count <= 2 ? 500 : 200);
+    server = await startServer({ WEBHOOK_MAX_ATTEMPTS: '4', WEBHOOK_RETRY_DELAY_MS: String(RETRY_DELAY_MS) });
+});
+
+after(async () => {
+    await server.stop();
+    await receiver.close();
+});
+
+async function createWebhook(path) {
+    const { webhook } = await server.json('/webhooks', {
+        json: { url: `${receiver.url}${path}`, events: ['document.added'], secret: SECRET }
+    }, 201);
+    return webhook;
+}
+
+// The delivery of a webhook once it is delivered or failed
+async function finishedDelivery(webhook) {
+    const { deliveries } = await waitFor(async () => {
+        const body = await server.json(`/webhooks/${webhook.id}/deliveries`);
+        return body.deliveries.some(delivery => delivery.status === 'delivered' || delivery.status === 'failed') && body;
+    });
+    return (await server.json(`/webhooks/${webhook.id}/deliveries/${deliveries[0].id}`)).delivery;
+}
+
+test('deliveries are signed with an HMAC of the timestamp and body', async () => {
+    const webhook = await createWebhook('/signed');
+    const documentId = await server.upload('signed.txt', 'A document for a signed delivery.');
+
+    const request = await waitFor(() => receiver.requests.find(request => request.path === '/signed'));
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+
+    const event = JSON.parse(request.body);
+    assert.equal(request.headers['x-webhook-event'], 'document.added');
+    assert.equal(event.type, 'document.added');
+    assert.equal(event.data.document.id, documentId);
+
+    const delivery = await finishedDelivery(webhook);
+    assert.equal(request.headers['x-webhook-delivery'], String(delivery.id));
+});
+
+test('server errors are retried with backoff and every attempt is logged', async () => {
+    const webhook = await createWebhook('/flaky');
+    await server.upload('flaky.txt', 'A document for a receiver that fails at first.');
+
+    const delivery = await finishedDelivery(webhook);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(delivery.error, null);
+    assert.equal(receiver.requests.filter(request => request.path === '/flaky').length, 3);
+
+    assert.deepEqual(delivery.history.map(attempt => [attempt.attempt, attempt.responseStatus]), [[1, 500], [2, 500], [3, 200]]);
+    assert.match(delivery.history[0].error, /^HTTP 500/);
+    assert.equal(delivery.history[2].error, null);
+
+    // The delay doubles after each failed attempt
+    const [first, second, third] = delivery.history.map(attempt => Date.parse(attempt.attemptedAt));
+    assert.ok(second - first >= RETRY_DELAY_MS, `second attempt ${second - first}ms after the first`);
+    assert.ok(third - second >= 2 * RETRY_DELAY_MS, `third attempt ${third - second}ms after the second`);
+});
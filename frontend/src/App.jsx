@@ -3,40 +3,1256 @@ import './App.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
+// Mirrors the extractor registry in backend/src/extractors.js, plus zip archives for batch uploads
+const ACCEPTED_FILE_TYPES = '.pdf,.txt,.md,.markdown,.html,.htm,.docx,.csv,.tsv,.json,.epub,.zip';
+
+const isAcceptedFile = (file) => {
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  return file.name.includes('.') && ACCEPTED_FILE_TYPES.split(',').includes(extension);
+};
+
+// Rough progress per ingestion stage, for the upload progress bars
+const STAGE_PROGRESS = { queued: 5, extracting: 35, indexing: 70, done: 100, failed: 100 };
+
+const JOB_POLL_INTERVAL = 1000;
+
+// Fired when the API answers 401, e.g. after the session expired
+const AUTH_EXPIRED_EVENT = 'auth-expired';
+
+// Workspace the API calls act in; set by App once the user picks one
+let activeWorkspaceId = null;
+
+// fetch against the API with the session cookie, in the active workspace
+const apiFetch = async (path, options = {}) => {
+  const headers = activeWorkspaceId ? { 'X-Workspace-Id': activeWorkspaceId, ...options.headers } : options.headers;
+  const response = await fetch(`${API_URL}${path}`, { credentials: 'include', ...options, headers });
+  if (response.status === 401 && !path.startsWith('/auth/')) {
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return response;
+};
+
+// Originals the browser can display in a frame; others are offered as a download
+const VIEWABLE_FILE_TYPES = ['.pdf', '.txt', '.md', '.markdown', '.html', '.htm', '.json'];
+
+const fileExtension = (filename) => filename.slice(filename.lastIndexOf('.')).toLowerCase();
+
+// Render a search snippet with its highlight ranges wrapped in <mark>.
+// With onOpenPage, the page badge opens the original at that page.
+function Snippet({ snippet, onOpenPage }) {
+  const parts = [];
+  let cursor = 0;
+
+  snippet.highlights.forEach(([start, end], index) => {
+    if (start > cursor) {
+      parts.push(snippet.text.slice(cursor, start));
+    }
+    parts.push(<mark key={index}>{snippet.text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.text.slice(cursor));
+
+  return (
+    <p className="snippet">
+      {snippet.page && (onOpenPage ? (
+        <button className="page-badge page-link" onClick={() => onOpenPage(snippet.page)} title="Open at this page">
+          p. {snippet.page}
+        </button>
+      ) : (
+        <span className="page-badge">p. {snippet.page}</span>
+      ))}
+      {snippet.start > 0 && '…'}
+      {parts}…
+    </p>
+  );
+}
+
+// Read a server-sent event stream from a fetch response, calling onEvent(type, data) per event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    events.forEach((raw) => {
+      const type = raw.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = raw.match(/^data: (.*)$/m)?.[1];
+      if (data) {
+        onEvent(type, JSON.parse(data));
+      }
+    });
+  }
+}
+
+// Render an answer with its [n] citation markers as buttons that select the source
+function AnswerText({ text, onCite }) {
+  const parts = text.split(/(\[\d+(?:\s*,\s*\d+)*\])/g);
+
+  return (
+    <p className="answer-text">
+      {parts.map((part, index) => {
+        const match = part.match(/^\[([\d,\s]+)\]$/);
+        if (!match) {
+          return part;
+        }
+        return match[1].split(',').map((number) => (
+          <button key={`${index}-${number}`} className="citation" onClick={() => onCite(parseInt(number, 10))}>
+            {number.trim()}
+          </button>
+        ));
+      })}
+    </p>
+  );
+}
+
+// The original file of a document in a modal, opened at `page` for PDFs.
+// target: { id, filename, page }
+function DocumentViewer({ target, onClose, onOpen }) {
+  const [status, setStatus] = useState('loading');
+  // Frames and download links cannot send headers, so the workspace goes in the query
+  const fileUrl = `${API_URL}/documents/${target.id}/file?workspace=${activeWorkspaceId}`;
+  const extension = fileExtension(target.filename);
+
+  // Check the original is stored before framing it; older documents only kept their text
+  useEffect(() => {
+    setStatus('loading');
+    fetch(fileUrl, { method: 'HEAD', credentials: 'include' })
+      .then((response) => setStatus(response.ok ? 'ready' : 'missing'))
+      .catch(() => setStatus('missing'));
+  }, [fileUrl]);
+
+  useEffect(() => {
+    const closeOnEscape = (event) => event.key === 'Escape' && onClose();
+    window.addEventListener('keydown', closeOnEscape);
+    return () => window.removeEventListener('keydown', closeOnEscape);
+  }, [onClose]);
+
+  // Browser PDF viewers read the page from the fragment
+  const frameUrl = extension === '.pdf' && target.page ? `${fileUrl}#page=${target.page}` : fileUrl;
+
+  return (
+    <div className="viewer-backdrop" onClick={onClose}>
+      <div className="viewer" onClick={(event) => event.stopPropagation()}>
+        <div className="viewer-header">
+          <h3>{target.filename}</h3>
+          {target.page && <span className="page-badge">p. {target.page}</span>}
+          {status === 'ready' && (
+            <a href={`${fileUrl}&download=1`} className="viewer-download">Download</a>
+          )}
+          <button onClick={onClose} className="viewer-close" title="Close">✕</button>
+        </div>
+        <div className="viewer-body">
+          <div className="viewer-main">
+            {status === 'loading' && <p className="viewer-note">Loading…</p>}
+            {status === 'missing' && (
+              <p className="viewer-note">The original file is not available for this document; only its text was kept.</p>
+            )}
+            {status === 'ready' && (VIEWABLE_FILE_TYPES.includes(extension) ? (
+              <iframe key={frameUrl} src={frameUrl} title={target.filename} className="viewer-frame" />
+            ) : (
+              <p className="viewer-note">This file type cannot be previewed in the browser. Use Download to open it.</p>
+            ))}
+          </div>
+          <RelatedDocuments documentId={target.id} onOpen={onOpen} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Documents most like the one being viewed, with the terms they have in common
+function RelatedDocuments({ documentId, onOpen }) {
+  const [related, setRelated] = useState(null);
+
+  useEffect(() => {
+    setRelated(null);
+    apiFetch(`/documents/${documentId}/similar`)
+      .then((response) => (response.ok ? response.json() : { similar: [] }))
+      .then((data) => setRelated(data.similar))
+      .catch(() => setRelated([]));
+  }, [documentId]);
+
+  return (
+    <aside className="related-panel">
+      <h4>Related documents</h4>
+      {related === null && <p className="related-note">Loading…</p>}
+      {related?.length === 0 && <p className="related-note">No related documents found.</p>}
+      {related?.map((doc) => (
+        <button key={doc.id} className="related-item" onClick={() => onOpen(doc)}>
+          <span className="related-name">{doc.title || doc.filename}</span>
+          <span className="related-score">{Math.round(doc.score * 100)}% similar</span>
+          {doc.sharedTerms.length > 0 && (
+            <span className="related-terms">Shares: {doc.sharedTerms.join(', ')}</span>
+          )}
+        </button>
+      ))}
+    </aside>
+  );
+}
+
+// Ask a question; the answer streams in and cites the passages it was built from
+function AskPanel({ mode, onOpen }) {
+  const [question, setQuestion] = useState('');
+  const [answer, setAnswer] = useState('');
+  const [sources, setSources] = useState([]);
+  const [activeSource, setActiveSource] = useState(null);
+  const [isAsking, setIsAsking] = useState(false);
+  const [error, setError] = useState('');
+
+  const ask = async () => {
+    if (!question.trim()) {
+      return;
+    }
+
+    setIsAsking(true);
+    setAnswer('');
+    setSources([]);
+    setActiveSource(null);
+    setError('');
+
+    try {
+      const response = await apiFetch('/ask', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({ question, mode }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error || 'Failed to get an answer');
+        return;
+      }
+
+      await readEventStream(response, (type, data) => {
+        if (type === 'sources') {
+          setSources(data.sources);
+        } else if (type === 'delta') {
+          setAnswer((current) => current + data.text);
+        } else if (type === 'error') {
+          setError(data.details || data.error);
+        }
+      });
+    } catch (err) {
+      console.error('Ask error:', err);
+      setError('Failed to get an answer. Please try again.');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const showSource = (number) => {
+    setActiveSource(number);
+    document.getElementById(`source-${number}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  return (
+    <div className="ask-panel">
+      <div className="search-area">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && !isAsking && ask()}
+          placeholder="Ask a question about your documents..."
+          className="search-input"
+        />
+        <button onClick={ask} disabled={isAsking || !question.trim()} className="search-btn">
+          {isAsking ? 'Answering...' : 'Ask'}
+        </button>
+      </div>
+
+      {error && <div className="message error">{error}</div>}
+
+      {(answer || isAsking) && (
+        <div className="answer">
+          <AnswerText text={answer || 'Thinking…'} onCite={showSource} />
+        </div>
+      )}
+
+      {sources.length > 0 && (
+        <div className="answer-sources">
+          <h3>Sources</h3>
+          {sources.map((source) => (
+            <div
+              key={source.number}
+              id={`source-${source.number}`}
+              className={`answer-source ${activeSource === source.number ? 'active' : ''}`}
+              onClick={() => setActiveSource(source.number)}
+            >
+              <div className="answer-source-header">
+                <span className="citation">{source.number}</span>
+                <strong>{source.filename}</strong>
+                {source.page && <span className="page-badge">p. {source.page}</span>}
+                <button
+                  className="open-btn"
+                  onClick={() => onOpen({ id: source.documentId, filename: source.filename, page: source.page })}
+                >
+                  Open
+                </button>
+              </div>
+              <p>{source.text}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Per-file progress of an upload batch
+// Wait this long after the last keystroke before asking for suggestions
+const SUGGEST_DELAY = 150;
+
+const SUGGESTION_LABELS = { correction: 'spelling', query: 'recent search', title: 'document', term: 'word' };
+
+// Search input with a typeahead of completions and "did you mean" corrections from /suggest
+function SearchBox({ value, onChange, onSearch }) {
+  const [suggestions, setSuggestions] = useState({ completions: [], didYouMean: null });
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  useEffect(() => {
+    if (!value.trim()) {
+      setSuggestions({ completions: [], didYouMean: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      apiFetch(`/suggest?q=${encodeURIComponent(value)}`)
+        .then((response) => (response.ok ? response.json() : null))
+        .then((data) => {
+          if (!cancelled && data) {
+            setSuggestions(data);
+            setHighlighted(-1);
+          }
+        })
+        .catch(() => {});
+    }, SUGGEST_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  const options = [
+    ...(suggestions.didYouMean ? [{ text: suggestions.didYouMean.text, type: 'correction' }] : []),
+    ...suggestions.completions,
+  ];
+
+  const choose = (text) => {
+    onChange(text);
+    setIsOpen(false);
+    onSearch(text);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && options.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted((index) => (index + 1) % options.length);
+    } else if (e.key === 'ArrowUp' && options.length > 0) {
+      e.preventDefault();
+      setHighlighted((index) => (index <= 0 ? options.length - 1 : index - 1));
+    } else if (e.key === 'Enter') {
+      if (isOpen && options[highlighted]) {
+        choose(options[highlighted].text);
+      } else {
+        setIsOpen(false);
+        onSearch(value);
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="typeahead">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder="Enter your search query..."
+        className="search-input"
+        autoComplete="off"
+      />
+      {isOpen && value.trim() && options.length > 0 && (
+        <ul className="typeahead-list">
+          {options.map((option, index) => (
+            <li
+              key={`${option.type}-${option.text}`}
+              className={`typeahead-item ${index === highlighted ? 'active' : ''}`}
+              onMouseDown={(e) => {
+                e.preventDefault(); // Keep focus so the blur does not close the list first
+                choose(option.text);
+              }}
+            >
+              <span>
+                {option.type === 'correction' ? <>Did you mean <strong>{option.text}</strong>?</> : option.text}
+              </span>
+              <span className="typeahead-type">{SUGGESTION_LABELS[option.type]}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const ANALYTICS_WINDOWS = [7, 30, 90];
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Search analytics for the workspace: how much people search, what they look for, which
+// queries find nothing (the gaps in the corpus) and which results they open
+function AnalyticsDashboard() {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const interval = days > 30 ? 'week' : 'day';
+    const load = async (path) => {
+      const response = await apiFetch(path);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load analytics');
+      }
+      return data;
+    };
+
+    setError('');
+    Promise.all([
+      load(`/analytics/summary?days=${days}`),
+      load(`/analytics/volume?days=${days}&interval=${interval}`),
+      load(`/analytics/queries?days=${days}&limit=10`),
+      load(`/analytics/zero-results?days=${days}&limit=10`),
+      load(`/analytics/clicks?days=${days}&limit=10`),
+    ])
+      .then(([summary, volume, queries, zeroResults, clicks]) => setReport({
+        summary,
+        volume: volume.volume,
+        queries: queries.queries,
+        zeroResults: zeroResults.queries,
+        clicks,
+      }))
+      .catch((err) => setError(err.message));
+  }, [days]);
+
+  if (error) {
+    return <p className="analytics-note">{error}</p>;
+  }
+  if (!report) {
+    return <p className="analytics-note">Loading analytics…</p>;
+  }
+
+  const { summary, volume, queries, zeroResults, clicks } = report;
+  const busiest = Math.max(1, ...volume.map((period) => period.searches));
+
+  return (
+    <div className="analytics">
+      <div className="analytics-header">
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="mode-select">
+          {ANALYTICS_WINDOWS.map((value) => (
+            <option key={value} value={value}>Last {value} days</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>{summary.searches}</h3>
+          <p>Searches</p>
+        </div>
+        <div className="stat-card">
+          <h3>{summary.distinctQueries}</h3>
+          <p>Distinct Queries</p>
+        </div>
+        <div className="stat-card">
+          <h3>{percent(summary.zeroResultRate)}</h3>
+          <p>Found Nothing</p>
+        </div>
+        <div className="stat-card">
+          <h3>{percent(summary.clickThroughRate)}</h3>
+          <p>Click-through</p>
+        </div>
+      </div>
+
+      <h3>Searches per {days > 30 ? 'week' : 'day'}</h3>
+      <div className="volume-chart">
+        {volume.map((period) => (
+          <div
+            key={period.period}
+            className="volume-bar"
+            title={`${period.period}: ${period.searches} searches, ${period.zeroResultSearches} without results`}
+          >
+            <div className="volume-fill" style={{ height: `${(period.searches / busiest) * 100}%` }}>
+              <div
+                className="volume-zero"
+                style={{ height: `${period.searches ? (period.zeroResultSearches / period.searches) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="analytics-columns">
+        <div>
+          <h3>Top queries</h3>
+          {queries.length === 0 ? (
+            <p className="analytics-note">No searches yet.</p>
+          ) : (
+            <table className="analytics-table">
+              <thead>
+                <tr><th>Query</th><th>Searches</th><th>Avg. results</th><th>Click-through</th></tr>
+              </thead>
+              <tbody>
+                {queries.map((row) => (
+                  <tr key={row.query}>
+                    <td>{row.query}</td>
+                    <td>{row.searches}</td>
+                    <td>{row.averageResults}</td>
+                    <td>{percent(row.clickThroughRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          <h3>Queries that found nothing</h3>
+          {zeroResults.length === 0 ? (
+            <p className="analytics-note">Every search found something.</p>
+          ) : (
+            <table className="analytics-table">
+              <thead>
+                <tr><th>Query</th><th>Searches</th><th>Now</th></tr>
+              </thead>
+              <tbody>
+                {zeroResults.map((row) => (
+                  <tr key={row.query}>
+                    <td>{row.query}</td>
+                    <td>{row.searches}</td>
+                    <td>{row.latestResultCount > 0 ? `${row.latestResultCount} results` : 'still nothing'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          <h3>Most opened results</h3>
+          {clicks.documents.length === 0 ? (
+            <p className="analytics-note">No results opened yet.</p>
+          ) : (
+            <table className="analytics-table">
+              <thead>
+                <tr><th>Document</th><th>Opens</th><th>Avg. rank</th></tr>
+              </thead>
+              <tbody>
+                {clicks.documents.map((row) => (
+                  <tr key={row.documentId}>
+                    <td>{row.filename ? row.title || row.filename : '(deleted)'}</td>
+                    <td>{row.clicks}</td>
+                    <td>{row.averagePosition}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {clicks.positions.length > 0 && (
+            <p className="analytics-note">
+              Opens by rank: {clicks.positions.map((row) => `#${row.position}: ${row.clicks}`).join(', ')}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const filterSummary = (filters) => Object.entries(filters)
+  .map(([facet, values]) => `${facet}: ${values.join(', ')}`)
+  .join('; ');
+
+// Saved searches, and the notifications they raise when newly uploaded documents match them
+function AlertsPanel({ canEdit, onOpen, onUnreadChange }) {
+  const [savedSearches, setSavedSearches] = useState(null);
+  const [webhooks, setWebhooks] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [error, setError] = useState('');
+
+  const request = async (path, method = 'GET', body) => {
+    const response = await apiFetch(path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body && JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const load = () => Promise.all([request('/saved-searches'), request('/notifications')])
+    .then(([saved, feed]) => {
+      setSavedSearches(saved.savedSearches);
+      setWebhooks(saved.webhooks);
+      setNotifications(feed.notifications);
+      onUnreadChange(feed.unreadCount);
+    })
+    .catch((err) => setError(err.message));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Run a change, then reload the lists
+  const update = (path, method, body) => {
+    setError('');
+    request(path, method, body).then(load).catch((err) => setError(err.message));
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.readAt) {
+      update(`/notifications/${notification.id}/read`, 'POST');
+    }
+    onOpen(notification.document);
+  };
+
+  const rename = (savedSearch) => {
+    const name = window.prompt('Name of the saved search', savedSearch.name);
+    if (name && name.trim()) {
+      update(`/saved-searches/${savedSearch.id}`, 'PATCH', { name });
+    }
+  };
+
+  const setWebhook = (savedSearch, value) => {
+    update(`/saved-searches/${savedSearch.id}`, 'PATCH', { webhookId: value ? Number(value) : null });
+  };
+
+  const webhookLabel = (webhook) => `${webhook.description || `Webhook ${webhook.id}`}${webhook.active ? '' : ' (paused)'}`;
+
+  const webhookOf = (savedSearch) => webhooks.find((webhook) => webhook.id === savedSearch.webhookId);
+
+  const remove = (savedSearch) => {
+    if (window.confirm(`Delete the saved search "${savedSearch.name}" and its notifications?`)) {
+      update(`/saved-searches/${savedSearch.id}`, 'DELETE');
+    }
+  };
+
+  if (!savedSearches) {
+    return <p className="analytics-note">{error || 'Loading alerts…'}</p>;
+  }
+
+  const unread = notifications.filter((notification) => !notification.readAt).length;
+
+  return (
+    <div className="alerts">
+      {error && <p className="alerts-error">{error}</p>}
+      <div className="alerts-header">
+        <h3>Notifications</h3>
+        {unread > 0 && (
+          <button className="link-btn" onClick={() => update('/notifications/read', 'POST')}>Mark all as read</button>
+        )}
+      </div>
+      {notifications.length === 0 ? (
+        <p className="analytics-note">No notifications yet. Save a search and new documents matching it will show up here.</p>
+      ) : (
+        <ul className="notification-list">
+          {notifications.map((notification) => (
+            <li key={notification.id} className={`notification ${notification.readAt ? '' : 'unread'}`}>
+              <button className="notification-open" onClick={() => openNotification(notification)}>
+                <span className="notification-title">{notification.document.title || notification.document.filename}</span>
+                <span className="notification-meta">
+                  matches “{notification.savedSearch.name}” · {new Date(notification.createdAt).toLocaleString()}
+                </span>
+              </button>
+              {!notification.readAt && (
+                <button className="link-btn" onClick={() => update(`/notifications/${notification.id}/read`, 'POST')}>
+                  Mark read
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3>Saved searches</h3>
+      {savedSearches.length === 0 ? (
+        <p className="analytics-note">No saved searches. Run a search and use “Save search” to be told about new matches.</p>
+      ) : (
+        <table className="analytics-table">
+          <thead>
+            <tr><th>Name</th><th>Query</th><th>Filters</th><th>Webhook</th><th>Last match</th><th></th></tr>
+          </thead>
+          <tbody>
+            {savedSearches.map((savedSearch) => (
+              <tr key={savedSearch.id}>
+                <td>{savedSearch.name}</td>
+                <td><code>{savedSearch.query}</code></td>
+                <td>{filterSummary(savedSearch.filters) || '—'}</td>
+                <td>
+                  {canEdit && webhooks.length > 0 ? (
+                    <select
+                      value={savedSearch.webhookId || ''}
+                      onChange={(e) => setWebhook(savedSearch, e.target.value)}
+                      title="Also send new matches to this webhook"
+                    >
+                      <option value="">None</option>
+                      {webhooks.map((webhook) => (
+                        <option key={webhook.id} value={webhook.id}>{webhookLabel(webhook)}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    webhookOf(savedSearch) ? webhookLabel(webhookOf(savedSearch)) : '—'
+                  )}
+                </td>
+                <td>{savedSearch.lastMatchedAt ? new Date(savedSearch.lastMatchedAt).toLocaleString() : 'never'}</td>
+                <td className="alerts-actions">
+                  {canEdit && <button className="link-btn" onClick={() => rename(savedSearch)}>Rename</button>}
+                  <button className="link-btn" onClick={() => remove(savedSearch)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function UploadJobs({ jobs, skipped }) {
+  return (
+    <div className="upload-jobs">
+      {jobs.map((job) => (
+        <div key={job.id} className={`upload-job ${job.status}`}>
+          <div className="upload-job-header">
+            <span className="upload-job-name">{job.filename}</span>
+            <span className="upload-job-status">
+              {job.status === 'processing' ? job.stage : job.status}
+              {job.attempts > 1 && ` (attempt ${job.attempts} of ${job.maxAttempts})`}
+            </span>
+          </div>
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${STAGE_PROGRESS[job.stage] || 0}%` }} />
+          </div>
+          {job.error && <p className="upload-job-error">{job.error}</p>}
+        </div>
+      ))}
+      {skipped.length > 0 && (
+        <p className="upload-skipped">Skipped unsupported files: {skipped.join(', ')}</p>
+      )}
+    </div>
+  );
+}
+
+const FACET_GROUPS = [
+  { key: 'type', title: 'File Type' },
+  { key: 'uploaded', title: 'Uploaded' },
+  { key: 'size', title: 'Size' },
+  { key: 'tag', title: 'Tags' },
+  { key: 'collection', title: 'Collections' },
+];
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'date', label: 'Upload date' },
+  { value: 'size', label: 'File size' },
+  { value: 'words', label: 'Word count' },
+  { value: 'name', label: 'Name' },
+];
+
+const EMPTY_FILTERS = { type: [], uploaded: [], size: [], tag: [], collection: [] };
+
+const PAGE_SIZE = 20;
+
+// Facet selections and sort as query parameters shared by /search and /documents
+function filterParams(filters, sort) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([facet, values]) => {
+    if (values.length > 0) {
+      params.set(facet, values.join(','));
+    }
+  });
+  if (sort) {
+    params.set('sort', sort);
+  }
+  return params;
+}
+
+function FilterSidebar({ facets, filters, sort, onToggle, onSortChange, onClear }) {
+  const hasFilters = Object.values(filters).some((values) => values.length > 0);
+
+  return (
+    <aside className="filter-sidebar">
+      <div className="filter-header">
+        <h2>🧭 Filters</h2>
+        {hasFilters && (
+          <button onClick={onClear} className="clear-filters-btn">
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="filter-group">
+        <h3>Sort by</h3>
+        <select value={sort} onChange={(e) => onSortChange(e.target.value)} className="sort-select">
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {FACET_GROUPS.map((group) => {
+        const values = facets?.[group.key] || [];
+        return (
+          <div key={group.key} className="filter-group">
+            <h3>{group.title}</h3>
+            {values.length === 0 ? (
+              <p className="filter-empty">None</p>
+            ) : (
+              values.map((facet) => (
+                <label
+                  key={facet.value}
+                  className={`filter-option ${facet.count === 0 && !facet.selected ? 'empty' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={filters[group.key].includes(facet.value)}
+                    onChange={() => onToggle(group.key, facet.value)}
+                  />
+                  <span className="filter-label">{facet.label}</span>
+                  <span className="filter-count">{facet.count}</span>
+                </label>
+              ))
+            )}
+          </div>
+        );
+      })}
+    </aside>
+  );
+}
+
+// Author, description, tags and collections of a document card
+function DocumentLabels({ doc }) {
+  const hasChips = doc.tags?.length > 0 || doc.collections?.length > 0;
+  return (
+    <>
+      {doc.title && <div className="document-filename">{doc.filename}</div>}
+      {doc.author && <div className="document-author">by {doc.author}</div>}
+      {doc.description && <p className="document-description">{doc.description}</p>}
+      {hasChips && (
+        <div className="chip-list">
+          {(doc.tags || []).map((tag) => (
+            <span key={`tag-${tag}`} className="chip tag-chip">#{tag}</span>
+          ))}
+          {(doc.collections || []).map((name) => (
+            <span key={`collection-${name}`} className="chip collection-chip">📁 {name}</span>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+// The model-written summary when there is one, else the extractive one; documents not yet
+// summarized fall back to the start of their text
+function DocumentSummary({ doc }) {
+  const summary = doc.abstractSummary || doc.summary;
+  return (
+    <>
+      <div className="document-preview">
+        {summary || `${doc.preview?.substring(0, 150) || ''}...`}
+      </div>
+      {doc.keyphrases?.length > 0 && (
+        <div className="chip-list keyphrase-list">
+          {doc.keyphrases.map((phrase) => (
+            <span key={phrase} className="chip keyphrase-chip">{phrase}</span>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+// Inline form for a document's metadata and collections. Documents shared in from another
+// workspace keep their metadata there, so only their collections can be changed here.
+function MetadataEditor({ doc, collections, canEditMetadata, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    title: doc.title || '',
+    author: doc.author || '',
+    description: doc.description || '',
+    tags: (doc.tags || []).join(', '),
+    collections: doc.collections || [],
+    newCollection: '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const toggleCollection = (name) => setForm({
+    ...form,
+    collections: form.collections.includes(name)
+      ? form.collections.filter((current) => current !== name)
+      : [...form.collections, name],
+  });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSave(form);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="metadata-editor" onSubmit={submit}>
+      {canEditMetadata && (
+        <>
+          <input value={form.title} onChange={update('title')} placeholder="Title" maxLength={200} />
+          <input value={form.author} onChange={update('author')} placeholder="Author" maxLength={200} />
+          <textarea
+            value={form.description}
+            onChange={update('description')}
+            placeholder="Description"
+            maxLength={2000}
+            rows={2}
+          />
+          <input value={form.tags} onChange={update('tags')} placeholder="Tags, separated by commas" />
+        </>
+      )}
+      <div className="editor-collections">
+        {collections.map((collection) => (
+          <label key={collection.id} className="filter-option">
+            <input
+              type="checkbox"
+              checked={form.collections.includes(collection.name)}
+              onChange={() => toggleCollection(collection.name)}
+            />
+            <span className="filter-label">{collection.name}</span>
+          </label>
+        ))}
+        <input
+          value={form.newCollection}
+          onChange={update('newCollection')}
+          placeholder="Add to a new collection"
+          maxLength={100}
+        />
+      </div>
+      <div className="editor-actions">
+        <button type="submit" className="upload-btn" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="link-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// Sign in, or create an account (the first one becomes the admin)
+function LoginScreen({ onLogin }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const post = (path) => apiFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      if (mode === 'register') {
+        const response = await post('/auth/register');
+        if (!response.ok) {
+          setError((await response.json()).error || 'Registration failed');
+          return;
+        }
+      }
+
+      const response = await post('/auth/login');
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Login failed');
+        return;
+      }
+      onLogin(data.user);
+    } catch (err) {
+      console.error('Login error:', err);
+      setError('Could not reach the server. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="App">
+      <header className="app-header">
+        <h1>🚀 RapidQuest</h1>
+        <p>AI-Powered Document Search & Management</p>
+      </header>
+
+      <form className="login-form" onSubmit={submit}>
+        <h2>{mode === 'login' ? 'Sign in' : 'Create account'}</h2>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          className="search-input"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          className="search-input"
+        />
+        {error && <div className="message error">{error}</div>}
+        <button type="submit" disabled={isSubmitting || !username || !password} className="search-btn">
+          {isSubmitting ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+        <button
+          type="button"
+          className="link-btn"
+          onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(''); }}
+        >
+          {mode === 'login' ? 'No account yet? Create one' : 'Already have an account? Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Checks for an existing session, then shows the login screen or the app
 function App() {
+  const [user, setUser] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(true);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(null);
+
+  useEffect(() => {
+    apiFetch('/auth/me')
+      .then((response) => (response.ok ? response.json() : { user: null }))
+      .then((data) => setUser(data.user))
+      .catch(() => setUser(null))
+      .finally(() => setIsCheckingSession(false));
+
+    const signOut = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, signOut);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, signOut);
+  }, []);
+
+  useEffect(() => {
+    activeWorkspaceId = null;
+    setWorkspaceId(null);
+    if (user) {
+      loadWorkspaces();
+    }
+  }, [user]);
+
+  // Keep the current workspace when it still exists, otherwise use the first (personal) one
+  const loadWorkspaces = async (selectId = null) => {
+    try {
+      const response = await apiFetch('/workspaces');
+      const data = await response.json();
+      const list = data.workspaces || [];
+      setWorkspaces(list);
+      const selected = list.find((ws) => ws.id === (selectId ?? activeWorkspaceId)) || list[0];
+      switchWorkspace(selected ? selected.id : null);
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+    }
+  };
+
+  const switchWorkspace = (id) => {
+    activeWorkspaceId = id;
+    setWorkspaceId(id);
+  };
+
+  const createWorkspace = async () => {
+    const name = window.prompt('Name of the new workspace');
+    if (!name || !name.trim()) {
+      return;
+    }
+    const response = await apiFetch('/workspaces', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    });
+    const data = await response.json();
+    if (response.ok) {
+      loadWorkspaces(data.workspace.id);
+    } else {
+      window.alert(data.error || 'Failed to create workspace');
+    }
+  };
+
+  const logout = async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } finally {
+      setUser(null);
+    }
+  };
+
+  if (isCheckingSession) {
+    return null;
+  }
+  if (!user) {
+    return <LoginScreen onLogin={setUser} />;
+  }
+  const workspace = workspaces.find((ws) => ws.id === workspaceId);
+  if (!workspace) {
+    return null;
+  }
+  // Keyed by workspace so switching starts from a clean slate
+  return (
+    <SearchApp
+      key={workspace.id}
+      user={user}
+      workspace={workspace}
+      workspaces={workspaces}
+      onSwitchWorkspace={switchWorkspace}
+      onCreateWorkspace={createWorkspace}
+      onLogout={logout}
+    />
+  );
+}
+
+// Where a document in the current workspace can be shared to: other workspaces the user edits
+function ShareSelect({ doc, workspace, workspaces, onShare }) {
+  const targets = workspaces.filter((ws) => ws.id !== workspace.id && ws.role !== 'viewer');
+  if (targets.length === 0) {
+    return null;
+  }
+  return (
+    <select
+      value=""
+      onChange={(e) => onShare(doc.id, Number(e.target.value))}
+      className="share-select"
+      title="Share with another workspace"
+    >
+      <option value="">Share…</option>
+      {targets.map((ws) => (
+        <option key={ws.id} value={ws.id}>{ws.name}</option>
+      ))}
+    </select>
+  );
+}
+
+function SearchApp({ user, workspace, workspaces, onSwitchWorkspace, onCreateWorkspace, onLogout }) {
   const [documents, setDocuments] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
+  const [searchMode, setSearchMode] = useState('hybrid');
+  const [activeTab, setActiveTab] = useState('search');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState('relevance');
+  const [documentFacets, setDocumentFacets] = useState(null);
+  const [searchFacets, setSearchFacets] = useState(null);
+  const [hasSearched, setHasSearched] = useState(false);
+  const [documentsTotal, setDocumentsTotal] = useState(0);
+  const [documentsCursor, setDocumentsCursor] = useState(null);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [searchCursor, setSearchCursor] = useState(null);
+  const [searchId, setSearchId] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [stats, setStats] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [uploadBatch, setUploadBatch] = useState(null);
   const [message, setMessage] = useState({ text: '', type: '' });
+  const [viewing, setViewing] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Viewers can only read; documents shared in from other workspaces are read-only for everyone
+  const canEdit = workspace.role !== 'viewer';
+  const isOwnDocument = (doc) => doc.workspaceId === workspace.id;
 
   useEffect(() => {
-    loadDocuments();
     loadStats();
+    loadCollections();
+    loadUnreadCount();
   }, []);
 
+  // Reload the listing (and rerun the last search) whenever filters or sorting change
+  useEffect(() => {
+    loadDocuments();
+    if (hasSearched) {
+      searchDocuments();
+    }
+  }, [filters, sort]);
+
   const showMessage = (text, type = 'info') => {
     setMessage({ text, type });
     setTimeout(() => setMessage({ text: '', type: '' }), 5000);
   };
 
-  const loadDocuments = async () => {
+  // Load the first page of documents, or the page after `cursor` to append to the list
+  const loadDocuments = async (cursor = null) => {
     try {
-      const response = await fetch(`${API_URL}/documents`);
+      // Relevance only applies to searches; the listing keeps its default order
+      const params = filterParams(filters, sort === 'relevance' ? null : sort);
+      params.set('limit', PAGE_SIZE);
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      const response = await apiFetch(`/documents?${params}`);
       const data = await response.json();
-      setDocuments(data.documents || []);
+      setDocuments((current) => (cursor ? [...current, ...(data.documents || [])] : data.documents || []));
+      setDocumentFacets(data.facets || null);
+      setDocumentsTotal(data.total || 0);
+      setDocumentsCursor(data.nextCursor || null);
     } catch (error) {
       console.error('Failed to load documents:', error);
       showMessage('Failed to load documents', 'error');
     }
   };
 
+  const loadMore = async (loader, cursor) => {
+    setIsLoadingMore(true);
+    try {
+      await loader(cursor);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
   const loadStats = async () => {
     try {
-      const response = await fetch(`${API_URL}/stats`);
+      const response = await apiFetch('/stats');
       const data = await response.json();
       setStats(data);
     } catch (error) {
@@ -44,23 +1260,74 @@ function App() {
     }
   };
 
+  // Uploads can match saved searches, so this is reloaded after each batch
+  const loadUnreadCount = async () => {
+    try {
+      const response = await apiFetch('/notifications?unread=true&limit=1');
+      const data = await response.json();
+      setUnreadCount(data.unreadCount || 0);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  };
+
+  const loadCollections = async () => {
+    try {
+      const response = await apiFetch('/collections');
+      const data = await response.json();
+      setCollections(data.collections || []);
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+    }
+  };
+
+  // Unsupported files are dropped here so a folder selection does not fail the whole batch
   const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    setSelectedFile(file);
+    setSelectedFiles(Array.from(event.target.files).filter(isAcceptedFile));
+  };
+
+  // Poll the batch until every job is done or failed
+  const watchBatch = async (batchId, skipped) => {
+    try {
+      const response = await apiFetch(`/jobs?batch=${batchId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        showMessage(data.error || 'Failed to load upload progress', 'error');
+        return;
+      }
+
+      setUploadBatch({ batchId, jobs: data.jobs, skipped });
+      if (!data.summary.finished) {
+        setTimeout(() => watchBatch(batchId, skipped), JOB_POLL_INTERVAL);
+        return;
+      }
+
+      const { done, failed } = data.summary;
+      showMessage(
+        failed > 0 ? `${done} documents processed, ${failed} failed` : `${done} documents processed successfully`,
+        failed > 0 ? 'error' : 'success'
+      );
+      loadDocuments();
+      loadStats();
+      loadUnreadCount();
+    } catch (error) {
+      console.error('Upload progress error:', error);
+      setTimeout(() => watchBatch(batchId, skipped), JOB_POLL_INTERVAL);
+    }
   };
 
-  const uploadDocument = async () => {
-    if (!selectedFile) {
+  const uploadDocuments = async () => {
+    if (selectedFiles.length === 0) {
       showMessage('Please select a file', 'error');
       return;
     }
 
     setIsUploading(true);
     const formData = new FormData();
-    formData.append('document', selectedFile);
+    selectedFiles.forEach((file) => formData.append('documents', file));
 
     try {
-      const response = await fetch(`${API_URL}/upload`, {
+      const response = await apiFetch('/upload/batch', {
         method: 'POST',
         body: formData,
       });
@@ -68,11 +1335,12 @@ function App() {
       const data = await response.json();
 
       if (response.ok) {
-        showMessage(data.message || 'Document uploaded successfully', 'success');
-        setSelectedFile(null);
+        showMessage(`Queued ${data.jobs.length} files for processing`, 'success');
+        setSelectedFiles([]);
         document.getElementById('fileInput').value = '';
-        loadDocuments();
-        loadStats();
+        document.getElementById('folderInput').value = '';
+        setUploadBatch({ batchId: data.batchId, jobs: data.jobs, skipped: data.skipped });
+        watchBatch(data.batchId, data.skipped);
       } else {
         showMessage(data.error || 'Upload failed', 'error');
       }
@@ -84,20 +1352,38 @@ function App() {
     }
   };
 
-  const searchDocuments = async () => {
-    if (!searchQuery.trim()) {
+  // Run the search, or fetch the page after `cursor` and append it to the results
+  // queryText is passed when a suggestion is picked, before searchQuery has updated
+  const searchDocuments = async (cursor = null, queryText = searchQuery) => {
+    if (!queryText.trim()) {
       showMessage('Please enter a search query', 'error');
       return;
     }
 
-    setIsSearching(true);
+    if (!cursor) {
+      setIsSearching(true);
+    }
     try {
-      const response = await fetch(`${API_URL}/search?q=${encodeURIComponent(searchQuery)}`);
+      const params = filterParams(filters, sort);
+      params.set('q', queryText);
+      params.set('mode', searchMode);
+      params.set('limit', PAGE_SIZE);
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      const response = await apiFetch(`/search?${params}`);
       const data = await response.json();
 
       if (response.ok) {
-        setSearchResults(data.results || []);
-        showMessage(`Found ${data.results?.length || 0} results`, 'success');
+        setSearchResults((current) => (cursor ? [...current, ...(data.results || [])] : data.results || []));
+        setSearchFacets(data.facets || null);
+        setSearchTotal(data.totalResults || 0);
+        setSearchCursor(data.nextCursor || null);
+        setHasSearched(true);
+        if (!cursor) {
+          setSearchId(data.searchId);
+          showMessage(`Found ${data.totalResults ?? data.results?.length ?? 0} results`, 'success');
+        }
       } else {
         showMessage(data.error || 'Search failed', 'error');
         setSearchResults([]);
@@ -111,13 +1397,41 @@ function App() {
     }
   };
 
+  // Save the current query and filters; documents uploaded later that match them are
+  // notified about under Alerts
+  const saveSearch = async () => {
+    const name = window.prompt('Name for this saved search', searchQuery.trim());
+    if (!name || !name.trim()) {
+      return;
+    }
+    try {
+      await sendJson('/saved-searches', 'POST', {
+        name,
+        query: searchQuery,
+        filters: Object.fromEntries(Object.entries(filters).filter(([, values]) => values.length > 0)),
+      });
+      showMessage(`Saved "${name.trim()}". New matching documents will appear under Alerts`, 'success');
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  };
+
+  // Open a search result, recording the click for search analytics
+  const openResult = (result, index, page) => {
+    if (searchId) {
+      sendJson('/search/clicks', 'POST', { searchId, documentId: result.id, position: index + 1 })
+        .catch((error) => console.error('Click logging error:', error));
+    }
+    setViewing({ ...result, page });
+  };
+
   const deleteDocument = async (id) => {
     if (!window.confirm('Are you sure you want to delete this document?')) {
       return;
     }
 
     try {
-      const response = await fetch(`${API_URL}/documents/${id}`, {
+      const response = await apiFetch(`/documents/${id}`, {
         method: 'DELETE',
       });
 
@@ -137,6 +1451,92 @@ function App() {
     }
   };
 
+  const sendJson = async (path, method, body) => {
+    const response = await apiFetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  // Save the editor form: metadata first, then collection membership changes
+  const saveDocumentMetadata = async (doc, form) => {
+    try {
+      if (isOwnDocument(doc)) {
+        await sendJson(`/documents/${doc.id}`, 'PATCH', {
+          title: form.title,
+          author: form.author,
+          description: form.description,
+          tags: form.tags,
+        });
+      }
+
+      const wanted = [...form.collections];
+      const newName = form.newCollection.trim();
+      let known = collections;
+      if (newName && !known.some((collection) => collection.name.toLowerCase() === newName.toLowerCase())) {
+        const { collection } = await sendJson('/collections', 'POST', { name: newName });
+        known = [...known, collection];
+      }
+      if (newName) {
+        wanted.push(newName);
+      }
+
+      for (const collection of known) {
+        const isWanted = wanted.some((name) => name.toLowerCase() === collection.name.toLowerCase());
+        const isMember = (doc.collections || []).includes(collection.name);
+        if (isWanted && !isMember) {
+          await sendJson(`/collections/${collection.id}/documents`, 'POST', { documentId: doc.id });
+        } else if (!isWanted && isMember) {
+          await sendJson(`/collections/${collection.id}/documents/${doc.id}`, 'DELETE');
+        }
+      }
+
+      showMessage('Document updated', 'success');
+      setEditingId(null);
+      loadCollections();
+      loadDocuments();
+    } catch (error) {
+      console.error('Update error:', error);
+      showMessage(error.message || 'Update failed', 'error');
+    }
+  };
+
+  const shareDocument = async (id, workspaceId) => {
+    try {
+      const response = await apiFetch(`/documents/${id}/shares`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        const target = workspaces.find((ws) => ws.id === workspaceId);
+        showMessage(`Shared with ${target ? target.name : 'the workspace'}`, 'success');
+      } else {
+        showMessage(data.error || 'Share failed', 'error');
+      }
+    } catch (error) {
+      console.error('Share error:', error);
+      showMessage('Share failed. Please try again.', 'error');
+    }
+  };
+
+  const toggleFilter = (facet, value) => {
+    setFilters((current) => {
+      const values = current[facet];
+      return {
+        ...current,
+        [facet]: values.includes(value) ? values.filter((v) => v !== value) : [...values, value],
+      };
+    });
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -160,6 +1560,21 @@ function App() {
       <header className="app-header">
         <h1>🚀 RapidQuest</h1>
         <p>AI-Powered Document Search & Management</p>
+        <div className="user-bar">
+          <select
+            value={workspace.id}
+            onChange={(e) => onSwitchWorkspace(Number(e.target.value))}
+            className="workspace-select"
+            title="Workspace"
+          >
+            {workspaces.map((ws) => (
+              <option key={ws.id} value={ws.id}>{ws.name} ({ws.role})</option>
+            ))}
+          </select>
+          <button onClick={onCreateWorkspace} className="link-btn">New workspace</button>
+          <span>Signed in as <strong>{user.username}</strong>{user.role === 'admin' && ' (admin)'}</span>
+          <button onClick={onLogout} className="link-btn">Log out</button>
+        </div>
       </header>
 
       {message.text && (
@@ -170,49 +1585,113 @@ function App() {
 
       <div className="container">
         {/* Upload Section */}
-        <section className="upload-section">
-          <h2>📤 Upload Document</h2>
-          <div className="upload-area">
-            <input
-              id="fileInput"
-              type="file"
-              accept=".pdf,.txt,.md"
-              onChange={handleFileSelect}
-              className="file-input"
-            />
-            <button
-              onClick={uploadDocument}
-              disabled={!selectedFile || isUploading}
-              className="upload-btn"
-            >
-              {isUploading ? 'Uploading...' : 'Upload Document'}
-            </button>
-          </div>
-          <p className="upload-info">
-            Supports PDF, TXT, and MD files (max 10MB)
-          </p>
-        </section>
+        {canEdit && (
+          <section className="upload-section">
+            <h2>📤 Upload Documents</h2>
+            <div className="upload-area">
+              <input
+                id="fileInput"
+                type="file"
+                multiple
+                accept={ACCEPTED_FILE_TYPES}
+                onChange={handleFileSelect}
+                className="file-input"
+                title="Select files or zip archives"
+              />
+              <label className="folder-btn">
+                📁 Folder
+                <input
+                  id="folderInput"
+                  type="file"
+                  webkitdirectory=""
+                  onChange={handleFileSelect}
+                  hidden
+                />
+              </label>
+              <button
+                onClick={uploadDocuments}
+                disabled={selectedFiles.length === 0 || isUploading}
+                className="upload-btn"
+              >
+                {isUploading
+                  ? 'Uploading...'
+                  : `Upload ${selectedFiles.length > 1 ? `${selectedFiles.length} Files` : 'Document'}`}
+              </button>
+            </div>
+            <p className="upload-info">
+              Supports PDF, Word (DOCX), EPUB, HTML, Markdown, TXT, CSV/TSV and JSON files (max 10MB each). Select several files, a folder or a ZIP archive to upload in bulk
+            </p>
+            {uploadBatch && <UploadJobs jobs={uploadBatch.jobs} skipped={uploadBatch.skipped} />}
+          </section>
+        )}
 
         {/* Search Section */}
         <section className="search-section">
-          <h2>🔍 Search Documents</h2>
-          <div className="search-area">
-            <input
-              type="text"
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && searchDocuments()}
-              placeholder="Enter your search query..."
-              className="search-input"
-            />
+          <div className="section-tabs">
             <button
-              onClick={searchDocuments}
-              disabled={isSearching || !searchQuery.trim()}
-              className="search-btn"
+              className={`tab-btn ${activeTab === 'search' ? 'active' : ''}`}
+              onClick={() => setActiveTab('search')}
             >
-              {isSearching ? 'Searching...' : 'Search'}
+              🔍 Search Documents
+            </button>
+            <button
+              className={`tab-btn ${activeTab === 'ask' ? 'active' : ''}`}
+              onClick={() => setActiveTab('ask')}
+            >
+              💬 Ask
+            </button>
+            <button
+              className={`tab-btn ${activeTab === 'analytics' ? 'active' : ''}`}
+              onClick={() => setActiveTab('analytics')}
+            >
+              📈 Analytics
+            </button>
+            <button
+              className={`tab-btn ${activeTab === 'alerts' ? 'active' : ''}`}
+              onClick={() => setActiveTab('alerts')}
+            >
+              🔔 Alerts{unreadCount > 0 && <span className="unread-badge">{unreadCount}</span>}
             </button>
           </div>
+          {activeTab === 'analytics' && <AnalyticsDashboard />}
+          {activeTab === 'alerts' && <AlertsPanel canEdit={canEdit} onOpen={setViewing} onUnreadChange={setUnreadCount} />}
+          {activeTab === 'ask' && <AskPanel mode={searchMode} onOpen={setViewing} />}
+          {activeTab === 'search' && (
+            <div className="search-area">
+              <SearchBox
+                value={searchQuery}
+                onChange={setSearchQuery}
+                onSearch={(text) => searchDocuments(null, text)}
+              />
+              <select
+                value={searchMode}
+                onChange={(e) => setSearchMode(e.target.value)}
+                className="mode-select"
+                title="Search mode"
+              >
+                <option value="hybrid">Hybrid</option>
+                <option value="semantic">Semantic</option>
+                <option value="keyword">Keyword</option>
+              </select>
+              <button
+                onClick={() => searchDocuments()}
+                disabled={isSearching || !searchQuery.trim()}
+                className="search-btn"
+              >
+                {isSearching ? 'Searching...' : 'Search'}
+              </button>
+              {canEdit && (
+                <button
+                  onClick={saveSearch}
+                  disabled={!searchQuery.trim()}
+                  className="save-search-btn"
+                  title="Be notified when new documents match this search"
+                >
+                  Save search
+                </button>
+              )}
+            </div>
+          )}
         </section>
 
         {/* Stats Section */}
@@ -240,69 +1719,150 @@ function App() {
           </section>
         )}
 
-        {/* Search Results */}
-        {searchResults.length > 0 && (
-          <section className="results-section">
-            <h2>📋 Search Results ({searchResults.length})</h2>
-            <div className="results-list">
-              {searchResults.map((result, index) => (
-                <div key={index} className="result-item">
-                  <div className="result-header">
-                    <h3>{result.filename}</h3>
-                    <span className="score">
-                      Score: {result.score?.toFixed(3) || '0.000'}
-                    </span>
-                  </div>
-                  <p className="snippet">
-                    {result.content?.substring(0, 200)}...
-                  </p>
-                  <div className="result-meta">
-                    <span>Words: {result.wordCount || 0}</span>
-                    <span>Pages: {result.pageCount || 0}</span>
-                    <span>Uploaded: {formatDate(result.uploadedAt)}</span>
-                  </div>
-                </div>
-              ))}
-            </div>
-          </section>
-        )}
+        <div className="browse-layout">
+          <FilterSidebar
+            facets={searchResults.length > 0 ? searchFacets : documentFacets}
+            filters={filters}
+            sort={sort}
+            onToggle={toggleFilter}
+            onSortChange={setSort}
+            onClear={() => setFilters(EMPTY_FILTERS)}
+          />
 
-        {/* Documents List */}
-        <section className="documents-section">
-          <h2>📚 Documents ({documents.length})</h2>
-          <div className="documents-list">
-            {documents.length === 0 ? (
-              <p className="no-documents">No documents uploaded yet.</p>
-            ) : (
-              documents.map((doc) => (
-                <div key={doc.id} className="document-item">
-                  <div className="document-header">
-                    <h3>{doc.filename}</h3>
-                    <button
-                      onClick={() => deleteDocument(doc.id)}
-                      className="delete-btn"
-                      title="Delete document"
-                    >
-                      🗑️
-                    </button>
-                  </div>
-                  <div className="document-meta">
-                    <span>Words: {doc.wordCount || 0}</span>
-                    <span>Pages: {doc.pageCount || 0}</span>
-                    <span>Size: {formatFileSize(doc.fileSize || 0)}</span>
-                  </div>
-                  <div className="document-date">
-                    Uploaded: {formatDate(doc.uploadedAt)}
-                  </div>
-                  <div className="document-preview">
-                    {doc.content?.substring(0, 150)}...
-                  </div>
+          <div className="browse-main">
+            {/* Search Results */}
+            {searchResults.length > 0 && (
+              <section className="results-section">
+                <h2>📋 Search Results ({searchTotal})</h2>
+                <div className="results-list">
+                  {searchResults.map((result, index) => (
+                    <div key={index} className="result-item">
+                      <div className="result-header">
+                        <h3>{result.title || result.filename}</h3>
+                        {result.hasFile && (
+                          <button
+                            className="open-btn"
+                            onClick={() => openResult(result, index, result.snippets?.[0]?.page)}
+                          >
+                            Open
+                          </button>
+                        )}
+                        <span className="score">
+                          Score: {result.score?.toFixed(3) || '0.000'}
+                        </span>
+                      </div>
+                      <DocumentLabels doc={result} />
+                      {(result.snippets || []).map((snippet) => (
+                        <Snippet
+                          key={snippet.start}
+                          snippet={snippet}
+                          onOpenPage={result.hasFile ? (page) => openResult(result, index, page) : null}
+                        />
+                      ))}
+                      <div className="result-meta">
+                        {(result.boosts || []).length > 0 && (
+                          <span className="retriever-badge boost" title="Query terms found in the document's metadata">
+                            boosted: {result.boosts.join(', ')}
+                          </span>
+                        )}
+                        {Object.keys(result.retrievers || {}).map((retriever) => (
+                          <span key={retriever} className={`retriever-badge ${retriever}`}>
+                            {retriever} #{result.retrievers[retriever].rank}
+                          </span>
+                        ))}
+                        <span>Words: {result.wordCount || 0}</span>
+                        <span>Pages: {result.pageCount || 0}</span>
+                        <span>Uploaded: {formatDate(result.uploadedAt)}</span>
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              ))
+                {searchCursor && (
+                  <button
+                    onClick={() => loadMore(searchDocuments, searchCursor)}
+                    disabled={isLoadingMore}
+                    className="load-more-btn"
+                  >
+                    {isLoadingMore ? 'Loading...' : `Load more (${searchResults.length} of ${searchTotal})`}
+                  </button>
+                )}
+              </section>
             )}
+
+            {/* Documents List */}
+            <section className="documents-section">
+              <h2>📚 Documents ({documentsTotal})</h2>
+              <div className="documents-list">
+                {documents.length === 0 ? (
+                  <p className="no-documents">No documents uploaded yet.</p>
+                ) : (
+                  documents.map((doc) => (
+                    <div key={doc.id} className="document-item">
+                      <div className="document-header">
+                        <h3>{doc.title || doc.filename}</h3>
+                        {!isOwnDocument(doc) && <span className="shared-badge">Shared</span>}
+                        {doc.hasFile && (
+                          <button onClick={() => setViewing(doc)} className="open-btn" title="Open original">
+                            Open
+                          </button>
+                        )}
+                        {canEdit && (
+                          <button onClick={() => setEditingId(doc.id)} className="open-btn" title="Edit details">
+                            Edit
+                          </button>
+                        )}
+                        {canEdit && isOwnDocument(doc) && (
+                          <>
+                            <ShareSelect doc={doc} workspace={workspace} workspaces={workspaces} onShare={shareDocument} />
+                            <button
+                              onClick={() => deleteDocument(doc.id)}
+                              className="delete-btn"
+                              title="Delete document"
+                            >
+                              🗑️
+                            </button>
+                          </>
+                        )}
+                      </div>
+                      {editingId === doc.id ? (
+                        <MetadataEditor
+                          doc={doc}
+                          collections={collections}
+                          canEditMetadata={isOwnDocument(doc)}
+                          onSave={(form) => saveDocumentMetadata(doc, form)}
+                          onCancel={() => setEditingId(null)}
+                        />
+                      ) : (
+                        <DocumentLabels doc={doc} />
+                      )}
+                      <div className="document-meta">
+                        <span>Words: {doc.wordCount || 0}</span>
+                        <span>Pages: {doc.pageCount || 0}</span>
+                        <span>Size: {formatFileSize(doc.fileSize || 0)}</span>
+                      </div>
+                      <div className="document-date">
+                        Uploaded: {formatDate(doc.uploadedAt)}
+                      </div>
+                      <DocumentSummary doc={doc} />
+                    </div>
+                  ))
+                )}
+              </div>
+              {documentsCursor && (
+                <button
+                  onClick={() => loadMore(loadDocuments, documentsCursor)}
+                  disabled={isLoadingMore}
+                  className="load-more-btn"
+                >
+                  {isLoadingMore ? 'Loading...' : `Load more (${documents.length} of ${documentsTotal})`}
+                </button>
+              )}
+            </section>
           </div>
-        </section>
+        </div>
       </div>
+
+      {viewing && <DocumentViewer target={viewing} onClose={() => setViewing(null)} onOpen={setViewing} />}
     </div>
   );
 }